@@ -0,0 +1,89 @@
+/**
+ * Mock sync server for SpicyAccessibility remote sync
+ * Keeps a single user's preferences in memory and merges writes per key (last writer wins)
+ *
+ * Usage: node examples/sync-server/server.js [port]
+ * Then init the widget with: SpicyAccessibility.init({ sync: 'http://localhost:9100/preferences' })
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 9100;
+const BLOBS = ['spicySettings', 'spicyProfiles'];
+
+// In-memory state, same shape as the wire format
+const state = {
+  spicySettings: { values: {}, timestamps: {} },
+  spicyProfiles: { values: {}, timestamps: {} }
+};
+
+/**
+ * Merge an incoming state into the stored one, key by key
+ * @param {Object} incoming - State received from a client
+ */
+function merge(incoming) {
+  BLOBS.forEach(blob => {
+    const remote = incoming[blob];
+    if (!remote || !remote.values) return;
+    
+    Object.keys(remote.values).forEach(key => {
+      const incomingTime = (remote.timestamps && remote.timestamps[key]) || 0;
+      const storedTime = state[blob].timestamps[key] || 0;
+      
+      if (incomingTime >= storedTime) {
+        state[blob].values[key] = remote.values[key];
+        state[blob].timestamps[key] = incomingTime;
+      }
+    });
+  });
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
+  
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  
+  if (req.url !== '/preferences') {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+  
+  if (req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(state));
+    return;
+  }
+  
+  if (req.method === 'PUT') {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        merge(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(state));
+      } catch (e) {
+        res.writeHead(400);
+        res.end();
+      }
+    });
+    return;
+  }
+  
+  res.writeHead(405);
+  res.end();
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock sync server listening on http://localhost:${PORT}/preferences`);
+});
@@ -0,0 +1,428 @@
+/**
+ * Storage Adapters - Pluggable persistence backends for Storage
+ * Every adapter exposes the same synchronous interface so Settings can stay synchronous
+ *
+ * Adapter contract:
+ *   name          {string}               Identifier used in config and logs
+ *   isAvailable() {boolean}              Whether the backend works in this environment
+ *   getItem(key)  {string|null}          Read a raw value
+ *   setItem(key, value) {void}           Write a raw value (may throw)
+ *   removeItem(key) {void}               Delete a value
+ *   keys()        {string[]}             List all stored keys
+ *   ready()       {Promise<void>}        Optional, resolves once async backends are hydrated,
+ *                                        rejects when the backend can't be opened (Storage then falls back)
+ *   close()       {void}                 Optional, release connections when the toolkit is destroyed
+ */
+
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('storage');
+
+/**
+ * Order in which adapters are tried when the requested one is unavailable
+ */
+export const ADAPTER_CHAIN = ['local', 'session', 'cookie', 'indexedDB', 'memory'];
+
+/**
+ * Largest cookie browsers keep, counting the encoded name and value
+ */
+const MAX_COOKIE_SIZE = 4096;
+
+/**
+ * Base adapter for the Web Storage API (localStorage / sessionStorage)
+ */
+class WebStorageAdapter {
+  /**
+   * Creates a new WebStorageAdapter instance
+   * @param {string} name - Adapter name
+   * @param {string} area - Name of the window storage area
+   */
+  constructor(name, area) {
+    this.name = name;
+    this.area = area;
+  }
+  
+  /**
+   * Get the underlying storage area
+   * @returns {Storage} Web storage area
+   */
+  get store() {
+    return window[this.area];
+  }
+  
+  /**
+   * Check if the storage area can be written to
+   * @returns {boolean} Whether the adapter is available
+   */
+  isAvailable() {
+    try {
+      const testKey = '__spicy_test__';
+      this.store.setItem(testKey, 'test');
+      this.store.removeItem(testKey);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  getItem(key) {
+    return this.store.getItem(key);
+  }
+  
+  setItem(key, value) {
+    this.store.setItem(key, value);
+  }
+  
+  removeItem(key) {
+    this.store.removeItem(key);
+  }
+  
+  keys() {
+    return Object.keys(this.store);
+  }
+}
+
+/**
+ * Persists data in localStorage
+ */
+export class LocalStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super('local', 'localStorage');
+  }
+}
+
+/**
+ * Persists data in sessionStorage (cleared when the tab closes)
+ */
+export class SessionStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super('session', 'sessionStorage');
+  }
+}
+
+/**
+ * Persists data in first-party cookies so server-rendered pages can read preferences
+ * Note: browsers cap cookies at roughly 4KB each and silently drop larger ones,
+ * so setItem throws for values that don't fit
+ */
+export class CookieAdapter {
+  /**
+   * Creates a new CookieAdapter instance
+   * @param {Object} [options] - Cookie options
+   * @param {string} [options.path='/'] - Cookie path
+   * @param {string} [options.domain] - Cookie domain
+   * @param {number} [options.maxAge=31536000] - Lifetime in seconds (defaults to one year)
+   * @param {string} [options.sameSite='Lax'] - SameSite attribute
+   * @param {boolean} [options.secure] - Whether to set the Secure flag (defaults to true on https)
+   */
+  constructor(options = {}) {
+    this.name = 'cookie';
+    this.options = {
+      path: '/',
+      maxAge: 31536000,
+      sameSite: 'Lax',
+      secure: typeof location !== 'undefined' && location.protocol === 'https:',
+      ...options
+    };
+  }
+  
+  /**
+   * Build the attribute string appended to every cookie write
+   * @param {number} [maxAge] - Override for max-age
+   * @returns {string} Cookie attributes
+   */
+  buildAttributes(maxAge = this.options.maxAge) {
+    const { path, domain, sameSite, secure } = this.options;
+    let attributes = `; path=${path}; max-age=${maxAge}; SameSite=${sameSite}`;
+    
+    if (domain) {
+      attributes += `; domain=${domain}`;
+    }
+    
+    if (secure) {
+      attributes += '; Secure';
+    }
+    
+    return attributes;
+  }
+  
+  isAvailable() {
+    try {
+      if (typeof document === 'undefined' || !navigator.cookieEnabled) return false;
+      
+      const testKey = '__spicy_test__';
+      this.setItem(testKey, 'test');
+      const works = this.getItem(testKey) === 'test';
+      this.removeItem(testKey);
+      return works;
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  getItem(key) {
+    const encodedKey = `${encodeURIComponent(key)}=`;
+    const cookie = document.cookie
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(encodedKey));
+    
+    return cookie ? decodeURIComponent(cookie.substring(encodedKey.length)) : null;
+  }
+  
+  setItem(key, value) {
+    const cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+    if (cookie.length > MAX_COOKIE_SIZE) {
+      throw new Error(`Cookie ${key} is ${cookie.length} bytes encoded, over the ${MAX_COOKIE_SIZE} byte limit`);
+    }
+    document.cookie = `${cookie}${this.buildAttributes()}`;
+  }
+  
+  removeItem(key) {
+    document.cookie = `${encodeURIComponent(key)}=${this.buildAttributes(0)}`;
+  }
+  
+  keys() {
+    return document.cookie
+      .split(';')
+      .map(part => part.trim())
+      .filter(part => part.length > 0)
+      .map(part => decodeURIComponent(part.split('=')[0]));
+  }
+}
+
+/**
+ * Keeps data in memory only (lost on reload, always available)
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.data = new Map();
+  }
+  
+  isAvailable() {
+    return true;
+  }
+  
+  getItem(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+  
+  setItem(key, value) {
+    this.data.set(key, String(value));
+  }
+  
+  removeItem(key) {
+    this.data.delete(key);
+  }
+  
+  keys() {
+    return [...this.data.keys()];
+  }
+}
+
+/**
+ * Persists data in IndexedDB
+ * Reads are served from an in-memory cache that is hydrated asynchronously,
+ * so callers should wait for ready() before trusting the first read
+ * `indexedDB` can exist and still refuse to open (Safari private mode, sandboxed iframes),
+ * so whether it works is only known once ready() settles
+ */
+export class IndexedDBAdapter extends MemoryAdapter {
+  /**
+   * Creates a new IndexedDBAdapter instance
+   * @param {Object} [options] - Database options
+   * @param {string} [options.dbName='spicy-accessibility'] - Database name
+   * @param {string} [options.storeName='settings'] - Object store name
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'indexedDB';
+    this.isAsync = true;
+    this.dbName = options.dbName || 'spicy-accessibility';
+    this.storeName = options.storeName || 'settings';
+    this.db = null;
+    this.closed = false;
+    this._readyPromise = null;
+  }
+  
+  isAvailable() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  /**
+   * Open the database and hydrate the cache
+   * @returns {Promise<void>} Resolves when the cache reflects the database, rejects when it can't be opened or read
+   */
+  ready() {
+    if (this._readyPromise) return this._readyPromise;
+    
+    this._readyPromise = new Promise((resolve, reject) => {
+      let request;
+      try {
+        request = indexedDB.open(this.dbName, 1);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+      
+      request.onerror = () => {
+        reject(request.error || new Error('IndexedDB could not be opened'));
+      };
+      
+      request.onsuccess = () => {
+        // close() was called while the database was opening
+        if (this.closed) {
+          request.result.close();
+          resolve();
+          return;
+        }
+        
+        this.db = request.result;
+        
+        let cursorRequest;
+        try {
+          cursorRequest = this.db.transaction(this.storeName, 'readonly').objectStore(this.storeName).openCursor();
+        } catch (e) {
+          this.db.close();
+          this.db = null;
+          reject(e);
+          return;
+        }
+        
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor) {
+            // Writes made before hydration finished win over stored values
+            if (!this.data.has(cursor.key)) {
+              this.data.set(cursor.key, cursor.value);
+            }
+            cursor.continue();
+          } else {
+            // Flush writes made before the database was open
+            this.data.forEach((value, key) => this.persist('put', key, value));
+            resolve();
+          }
+        };
+        
+        cursorRequest.onerror = () => {
+          this.db.close();
+          this.db = null;
+          reject(cursorRequest.error || new Error('IndexedDB could not be read'));
+        };
+      };
+    });
+    
+    return this._readyPromise;
+  }
+  
+  /**
+   * Close the database connection, including one that is still opening
+   */
+  close() {
+    this.closed = true;
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+  
+  /**
+   * Write a change through to the database
+   * @param {string} method - Object store method ('put' or 'delete')
+   * @param {string} key - Item key
+   * @param {string} [value] - Item value
+   */
+  persist(method, key, value) {
+    if (!this.db) return;
+    
+    try {
+      const store = this.db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+      if (method === 'put') {
+        store.put(value, key);
+      } else {
+        store.delete(key);
+      }
+    } catch (e) {
+      logger.error(`Error writing ${key} to IndexedDB:`, e);
+    }
+  }
+  
+  setItem(key, value) {
+    super.setItem(key, value);
+    this.persist('put', key, String(value));
+  }
+  
+  removeItem(key) {
+    super.removeItem(key);
+    this.persist('delete', key);
+  }
+}
+
+/**
+ * Built-in adapter constructors by name
+ */
+const ADAPTERS = {
+  local: LocalStorageAdapter,
+  session: SessionStorageAdapter,
+  cookie: CookieAdapter,
+  indexedDB: IndexedDBAdapter,
+  memory: MemoryAdapter
+};
+
+/**
+ * Resolve the first available adapter for a storage option
+ * A name starts the built-in chain at that adapter, an array defines the chain explicitly,
+ * and an adapter object is used as-is (falling back to memory if it reports unavailable)
+ * @param {string|string[]|Object} [option='local'] - Adapter name, chain of names, or adapter instance
+ * @param {Object} [failed] - Adapter that failed after it was chosen; resolving continues after it in the chain
+ * @returns {Object} Available adapter instance
+ */
+export function resolveAdapter(option = 'local', failed = null) {
+  let candidates;
+  
+  if (Array.isArray(option)) {
+    candidates = option;
+  } else if (option && typeof option === 'object') {
+    candidates = [option, 'memory'];
+  } else {
+    const start = ADAPTER_CHAIN.indexOf(option);
+    if (start === -1) {
+      logger.warn(`Unknown storage adapter "${option}", using localStorage`);
+    }
+    candidates = ADAPTER_CHAIN.slice(Math.max(start, 0));
+  }
+  
+  if (failed) {
+    const index = candidates.findIndex(candidate => candidate === failed || candidate === failed.name);
+    candidates = index === -1 ? ['memory'] : candidates.slice(index + 1);
+  }
+  
+  for (const candidate of candidates) {
+    const adapter = typeof candidate === 'string' && ADAPTERS[candidate]
+      ? new ADAPTERS[candidate]()
+      : candidate;
+    
+    if (!adapter || typeof adapter.getItem !== 'function') {
+      logger.warn('Ignoring invalid storage adapter:', candidate);
+      continue;
+    }
+    
+    const available = typeof adapter.isAvailable === 'function' ? adapter.isAvailable() : true;
+    if (available) {
+      return adapter;
+    }
+    
+    logger.warn(`Storage adapter "${adapter.name || 'custom'}" is not available, trying the next one`);
+  }
+  
+  return new MemoryAdapter();
+}
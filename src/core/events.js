@@ -3,6 +3,10 @@
  * Allows modules to communicate without direct dependencies
  */
 
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('events');
+
 export default class EventBus {
   constructor() {
     this.listeners = new Map();
@@ -76,7 +80,7 @@ export default class EventBus {
         try {
           callback(...args);
         } catch (e) {
-          console.error(`Error in event handler for ${event}:`, e);
+          logger.error(`Error in event handler for ${event}:`, e);
         }
       });
     }
@@ -88,7 +92,7 @@ export default class EventBus {
         try {
           callback(event, ...args);
         } catch (e) {
-          console.error(`Error in wildcard event handler for ${event}:`, e);
+          logger.error(`Error in wildcard event handler for ${event}:`, e);
         }
       });
     }
@@ -0,0 +1,273 @@
+/**
+ * I18n - Message catalogs and translation lookup for all widget strings
+ * Messages are nested objects addressed by dotted keys (e.g. 'widget.title')
+ */
+
+import catalogs from '../locales';
+
+/**
+ * Language used for any key missing from the active catalog
+ */
+const FALLBACK_LANGUAGE = 'en';
+
+/**
+ * Languages written right to left
+ */
+const RTL_LANGUAGES = ['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+export default class I18n {
+  /**
+   * Creates a new I18n instance
+   * @param {string} language - Language code, or 'auto' to detect it from the page
+   * @param {EventBus} events - Event bus instance
+   * @param {Object} [translations] - Extra messages keyed by language code
+   * @param {string} [direction] - 'ltr', 'rtl', or 'auto' to follow the page, then the language
+   */
+  constructor(language, events, translations = {}, direction = 'auto') {
+    this.events = events;
+    this.catalogs = {};
+    this.directionOption = direction;
+    
+    Object.entries(catalogs).forEach(([code, messages]) => this.addTranslations(code, messages));
+    Object.entries(translations || {}).forEach(([code, messages]) => this.addTranslations(code, messages));
+    
+    this.language = this.resolveLanguage(language);
+    this.direction = this.resolveDirection();
+    this.watchDocumentDirection();
+  }
+  
+  /**
+   * Detect the page language from <html lang>, then the browser
+   * @returns {string} Language code
+   */
+  detectLanguage() {
+    const pageLanguage = document.documentElement.getAttribute('lang');
+    if (pageLanguage) return pageLanguage;
+    
+    if (typeof navigator !== 'undefined' && navigator.language) {
+      return navigator.language;
+    }
+    
+    return FALLBACK_LANGUAGE;
+  }
+  
+  /**
+   * Map a requested language to one that has a catalog
+   * 'fr-CA' resolves to 'fr-CA' if registered, else 'fr', else the fallback language
+   * @param {string} language - Language code or 'auto'
+   * @returns {string} Supported language code
+   */
+  resolveLanguage(language) {
+    const requested = !language || language === 'auto' ? this.detectLanguage() : language;
+    const normalized = String(requested).trim().toLowerCase().replace('_', '-');
+    
+    if (this.catalogs[normalized]) return normalized;
+    
+    const base = normalized.split('-')[0];
+    if (this.catalogs[base]) return base;
+    
+    return FALLBACK_LANGUAGE;
+  }
+  
+  /**
+   * Change the active language
+   * @param {string} language - Language code or 'auto'
+   * @returns {string} The language actually used
+   */
+  setLanguage(language) {
+    const previous = this.language;
+    this.language = this.resolveLanguage(language);
+    
+    if (this.language !== previous) {
+      this.events.emit('language:changed', this.language, previous);
+      this.refreshDirection();
+    }
+    
+    return this.language;
+  }
+  
+  /**
+   * Get the text direction of the page from a `dir` attribute on <html> or <body>
+   * @returns {string|null} 'ltr', 'rtl', or null if the page doesn't set one
+   */
+  detectDirection() {
+    const candidates = [document.documentElement, document.body];
+    
+    for (const element of candidates) {
+      const dir = element && (element.getAttribute('dir') || '').toLowerCase();
+      if (dir === 'ltr' || dir === 'rtl') return dir;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Work out the direction the UI should use
+   * An explicit 'ltr'/'rtl' option wins, then the page's `dir`, then the active language
+   * @returns {string} 'ltr' or 'rtl'
+   */
+  resolveDirection() {
+    if (this.directionOption === 'ltr' || this.directionOption === 'rtl') {
+      return this.directionOption;
+    }
+    
+    return this.detectDirection() || (this.isRTL(this.language) ? 'rtl' : 'ltr');
+  }
+  
+  /**
+   * Check whether a language is written right to left
+   * @param {string} language - Language code
+   * @returns {boolean} Whether the language is RTL
+   */
+  isRTL(language) {
+    return RTL_LANGUAGES.includes(String(language || '').toLowerCase().split('-')[0]);
+  }
+  
+  /**
+   * Get the active text direction
+   * @returns {string} 'ltr' or 'rtl'
+   */
+  getDirection() {
+    return this.direction;
+  }
+  
+  /**
+   * Change the direction option
+   * @param {string} direction - 'ltr', 'rtl', or 'auto'
+   * @returns {string} The direction actually used
+   */
+  setDirection(direction) {
+    this.directionOption = direction;
+    this.refreshDirection();
+    return this.direction;
+  }
+  
+  /**
+   * Re-resolve the direction and emit 'direction:changed' if it changed
+   */
+  refreshDirection() {
+    const previous = this.direction;
+    this.direction = this.resolveDirection();
+    
+    if (this.direction !== previous) {
+      this.events.emit('direction:changed', this.direction, previous);
+    }
+  }
+  
+  /**
+   * Follow `dir` changes on the page, e.g. when a single-page app switches locale
+   */
+  watchDocumentDirection() {
+    if (typeof MutationObserver === 'undefined') return;
+    
+    this.directionObserver = new MutationObserver(() => this.refreshDirection());
+    this.directionObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['dir'] });
+  }
+  
+  /**
+   * Stop following `dir` changes on the page
+   */
+  destroy() {
+    if (this.directionObserver) {
+      this.directionObserver.disconnect();
+      this.directionObserver = null;
+    }
+  }
+  
+  /**
+   * Get the active language
+   * @returns {string} Language code
+   */
+  getLanguage() {
+    return this.language;
+  }
+  
+  /**
+   * Get the languages that have a catalog
+   * @returns {string[]} Language codes
+   */
+  getLanguages() {
+    return Object.keys(this.catalogs);
+  }
+  
+  /**
+   * Register or extend the messages of a language
+   * Messages are merged key by key, so integrators can override single strings
+   * @param {string} language - Language code
+   * @param {Object} messages - Nested messages
+   */
+  addTranslations(language, messages) {
+    if (!language || !messages || typeof messages !== 'object') return;
+    
+    const code = language.toLowerCase();
+    this.catalogs[code] = mergeMessages(this.catalogs[code] || {}, messages);
+    
+    // Refresh the UI if the active language just gained strings
+    if (this.language && this.language === code) {
+      this.events.emit('language:changed', this.language, this.language);
+    }
+  }
+  
+  /**
+   * Check whether a key has a message in the active or fallback language
+   * @param {string} key - Dotted message key
+   * @returns {boolean} Whether the key exists
+   */
+  has(key) {
+    return this.lookup(key) !== undefined;
+  }
+  
+  /**
+   * Translate a key
+   * @param {string} key - Dotted message key
+   * @param {Object} [params] - Values for `{name}` placeholders
+   * @param {string} [fallback] - Text used when no catalog has the key (defaults to the key)
+   * @returns {string} Translated text
+   */
+  t(key, params = {}, fallback) {
+    const message = this.lookup(key);
+    const text = typeof message === 'string' ? message : (fallback !== undefined ? fallback : key);
+    
+    return text.replace(/\{(\w+)\}/g, (match, name) => (
+      params && params[name] !== undefined ? String(params[name]) : match
+    ));
+  }
+  
+  /**
+   * Find a message in the active language, falling back to the base language and English
+   * @param {string} key - Dotted message key
+   * @returns {string|undefined} Message, if any
+   */
+  lookup(key) {
+    const chain = [this.language, this.language.split('-')[0], FALLBACK_LANGUAGE];
+    
+    for (const code of chain) {
+      const message = key.split('.').reduce(
+        (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+        this.catalogs[code]
+      );
+      
+      if (typeof message === 'string') return message;
+    }
+    
+    return undefined;
+  }
+}
+
+/**
+ * Deep-merge nested message objects
+ * @param {Object} target - Existing messages
+ * @param {Object} source - Messages to add
+ * @returns {Object} Merged copy
+ */
+function mergeMessages(target, source) {
+  const merged = { ...target };
+  
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergeMessages(merged[key] && typeof merged[key] === 'object' ? merged[key] : {}, value)
+      : value;
+  });
+  
+  return merged;
+}
@@ -0,0 +1,152 @@
+/**
+ * FeatureRegistry - Keeps track of feature modules, built-in and third-party
+ * Every module follows the same contract, so plugins get settings validation,
+ * persistence, profiles and panel rendering exactly like the built-in modules
+ *
+ * Module contract:
+ *   id              {string}   Unique module ID, also used for the `sections.<id>` message
+ *   title           {string}   Section title used when there is no translation
+ *   icon            {string}   Section icon class
+ *   features        {Object[]} Feature definitions (id, name, icon, type, min, max, step, default, options, group)
+ *   init()          {Function} Optional, called once when the widget renders
+ *   apply(settings, diff)
+ *                   {Function} Optional, called with the current settings right after init (diff is null)
+ *                              and again on every change (diff as in `settings:changed`)
+ *   destroy()       {Function} Optional, undo everything the module did to the page
+ *   renderSection() {Function} Optional, return a complete panel section to use instead of the
+ *                              standard grid of feature buttons, or null to render nothing
+ *
+ * A module can be registered as a class (constructed with settings, events and i18n), an
+ * instance, or a plain definition object. `this.settings`, `this.events` and `this.i18n` are
+ * available inside its methods either way
+ */
+
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('registry');
+
+export default class FeatureRegistry {
+  /**
+   * Creates a new FeatureRegistry instance
+   * @param {Settings} settings - Settings manager instance
+   * @param {EventBus} events - Event bus instance
+   * @param {I18n} i18n - Translations
+   * @param {Object} [config] - Toolkit configuration (`features` limits the enabled features)
+   */
+  constructor(settings, events, i18n, config = {}) {
+    this.settings = settings;
+    this.events = events;
+    this.i18n = i18n;
+    this.config = config;
+    this.modules = [];
+  }
+  
+  /**
+   * Validate and register a feature module
+   * Its features are added to the settings schema, so their values are validated,
+   * saved, and included in profiles
+   * @param {Function|Object} moduleOrDefinition - Module class, instance, or plain definition
+   * @returns {Object|null} The registered module, or null if it was rejected
+   */
+  register(moduleOrDefinition) {
+    const module = this.createModule(moduleOrDefinition);
+    if (!module) return null;
+    
+    if (!module.id || typeof module.id !== 'string') {
+      logger.warn('Feature modules need a string `id`, ignoring:', moduleOrDefinition);
+      return null;
+    }
+    
+    if (this.get(module.id)) {
+      logger.warn(`Feature module "${module.id}" is already registered`);
+      return null;
+    }
+    
+    if (!Array.isArray(module.features)) {
+      module.features = [];
+    }
+    
+    for (const feature of module.features) {
+      if (!feature || !feature.id) {
+        logger.warn(`Every feature of module "${module.id}" needs an \`id\`, ignoring the module`);
+        return null;
+      }
+      
+      if (this.getFeature(feature.id)) {
+        logger.warn(`Feature "${feature.id}" of module "${module.id}" is already registered, ignoring the module`);
+        return null;
+      }
+    }
+    
+    // Limit to the features requested in the config, if any
+    if (Array.isArray(this.config.features)) {
+      module.enabledFeatures = module.features.filter(feature => this.config.features.includes(feature.id));
+    } else if (!Array.isArray(module.enabledFeatures)) {
+      module.enabledFeatures = [...module.features];
+    }
+    
+    this.settings.registerFeatures(module.features);
+    this.modules.push(module);
+    
+    return module;
+  }
+  
+  /**
+   * Turn a class, instance or definition into a module object
+   * @param {Function|Object} moduleOrDefinition - Module class, instance, or plain definition
+   * @returns {Object|null} Module, or null if the argument can't be one
+   */
+  createModule(moduleOrDefinition) {
+    if (typeof moduleOrDefinition === 'function') {
+      const ModuleClass = moduleOrDefinition;
+      return new ModuleClass(this.settings, this.events, this.i18n);
+    }
+    
+    if (!moduleOrDefinition || typeof moduleOrDefinition !== 'object') {
+      logger.warn('Feature modules must be a class or an object, ignoring:', moduleOrDefinition);
+      return null;
+    }
+    
+    // Plain definitions are wrapped so registering one never mutates the caller's object
+    const isDefinition = Object.getPrototypeOf(moduleOrDefinition) === Object.prototype;
+    const module = isDefinition ? Object.create(moduleOrDefinition) : moduleOrDefinition;
+    
+    // Always this registry's, so an instance registered again after destroy() and init()
+    // doesn't keep the destroyed settings, events and translations
+    ['settings', 'events', 'i18n'].forEach(key => {
+      module[key] = this[key];
+    });
+    
+    return module;
+  }
+  
+  /**
+   * Get a registered module
+   * @param {string} id - Module ID
+   * @returns {Object|undefined} Module, if registered
+   */
+  get(id) {
+    return this.modules.find(module => module.id === id);
+  }
+  
+  /**
+   * Get all registered modules, in registration order
+   * @returns {Object[]} Modules
+   */
+  getAll() {
+    return [...this.modules];
+  }
+  
+  /**
+   * Find a feature definition in any registered module
+   * @param {string} featureId - Feature ID
+   * @returns {Object|undefined} Feature definition, if registered
+   */
+  getFeature(featureId) {
+    for (const module of this.modules) {
+      const feature = module.features.find(f => f.id === featureId);
+      if (feature) return feature;
+    }
+    return undefined;
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Settings Schema - Declarative validation and migration for stored settings
+ * Rules are built from the `features` definitions of each feature module
+ *
+ * Rule shape:
+ *   type    {string}   'boolean', 'number' or 'string'
+ *   default {*}        Value used when the stored value is missing or invalid
+ *   min     {number}   Lower bound for numbers (values are clamped)
+ *   max     {number}   Upper bound for numbers (values are clamped)
+ *   enum    {Array}    Allowed values
+ *   pattern {RegExp}   Format strings must match
+ *   persist {boolean}  false for settings that only last for the page session,
+ *                      never written to storage, profiles or sync
+ *   group   {string}   Settings sharing a group are mutually exclusive: turning one on
+ *                      turns the others off in the same change
+ */
+
+import { createLogger } from '../utils/logger';
+import { HEX_COLOR_PATTERN } from '../utils/color';
+
+const logger = createLogger('settings');
+
+/**
+ * Current version of the stored settings format
+ */
+export const SCHEMA_VERSION = 4;
+
+/**
+ * Ordered migrations, each upgrading stored data to its `version`
+ * Data saved before versioning was introduced is treated as version 0
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Rename dyslexiaFont to dyslexicFont',
+    migrate(settings) {
+      if ('dyslexiaFont' in settings) {
+        if (!('dyslexicFont' in settings)) {
+          settings.dyslexicFont = settings.dyslexiaFont;
+        }
+        delete settings.dyslexiaFont;
+      }
+      return settings;
+    }
+  },
+  {
+    version: 2,
+    description: 'Replace the dyslexicFont toggle with the readingFont picker',
+    migrate(settings) {
+      if ('dyslexicFont' in settings) {
+        if (!('readingFont' in settings)) {
+          settings.readingFont = settings.dyslexicFont === true || settings.dyslexicFont === 'true' ? 'opendyslexic' : 'none';
+        }
+        delete settings.dyslexicFont;
+      }
+      return settings;
+    }
+  },
+  {
+    version: 3,
+    description: 'Replace the lineHeight and letterSpacing toggles with spacing levels',
+    migrate(settings) {
+      const isOn = value => value === true || value === 'true';
+      
+      // Keep the look of the old toggles: line-height 1.8, letter 0.12em and word 0.16em
+      if (typeof settings.lineHeight === 'boolean' || typeof settings.lineHeight === 'string') {
+        settings.lineHeight = isOn(settings.lineHeight) ? 1.8 : 0;
+      }
+      if (typeof settings.letterSpacing === 'boolean' || typeof settings.letterSpacing === 'string') {
+        const on = isOn(settings.letterSpacing);
+        settings.letterSpacing = on ? 0.12 : 0;
+        if (!('wordSpacing' in settings)) {
+          settings.wordSpacing = on ? 0.16 : 0;
+        }
+      }
+      return settings;
+    }
+  },
+  {
+    version: 4,
+    description: 'Replace the physical left text alignment with start',
+    migrate(settings) {
+      if (settings.textAlign === 'left') {
+        settings.textAlign = 'start';
+      }
+      return settings;
+    }
+  }
+];
+
+/**
+ * Map feature definition types to value types
+ */
+const FEATURE_TYPES = {
+  toggle: 'boolean',
+  slider: 'number',
+  level: 'number',
+  select: 'string',
+  color: 'string'
+};
+
+/**
+ * Create a schema rule from a feature definition
+ * @param {Object} feature - Feature definition from a feature module
+ * @returns {Object} Schema rule
+ */
+export function ruleFromFeature(feature) {
+  const values = feature.enum || feature.options;
+  const rule = {
+    type: FEATURE_TYPES[feature.type] || 'boolean'
+  };
+  
+  if (typeof feature.min === 'number') rule.min = feature.min;
+  if (typeof feature.max === 'number') rule.max = feature.max;
+  if (feature.type === 'color') rule.pattern = HEX_COLOR_PATTERN;
+  
+  if (Array.isArray(values)) {
+    // Options may be plain values or { value, label } objects
+    rule.enum = values.map(option => (option && typeof option === 'object' ? option.value : option));
+    rule.type = typeof rule.enum[0];
+  }
+  
+  if (feature.persist === false) rule.persist = false;
+  if (typeof feature.group === 'string') rule.group = feature.group;
+  
+  if (feature.default !== undefined) {
+    rule.default = feature.default;
+  } else if (rule.enum) {
+    rule.default = rule.enum[0];
+  } else if (rule.type === 'number') {
+    rule.default = typeof rule.min === 'number' ? rule.min : 0;
+  } else {
+    rule.default = rule.type === 'boolean' ? false : '';
+  }
+  
+  return rule;
+}
+
+/**
+ * Create a schema rule from a default value (type is inferred)
+ * @param {*} value - Default value
+ * @returns {Object} Schema rule
+ */
+export function ruleFromDefault(value) {
+  return { type: typeof value, default: value };
+}
+
+/**
+ * Validate and coerce a value against a rule
+ * @param {Object} rule - Schema rule
+ * @param {*} value - Value to check
+ * @returns {{valid: boolean, value: *}} Whether the value was usable and the coerced value
+ */
+export function validateValue(rule, value) {
+  let coerced = value;
+  
+  if (rule.type === 'boolean') {
+    if (value === 'true' || value === 'false') {
+      coerced = value === 'true';
+    }
+    if (typeof coerced !== 'boolean') {
+      return { valid: false, value: rule.default };
+    }
+  } else if (rule.type === 'number') {
+    coerced = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof coerced !== 'number' || !Number.isFinite(coerced)) {
+      return { valid: false, value: rule.default };
+    }
+    if (typeof rule.min === 'number') coerced = Math.max(rule.min, coerced);
+    if (typeof rule.max === 'number') coerced = Math.min(rule.max, coerced);
+  } else if (rule.type === 'string') {
+    if (typeof coerced !== 'string') {
+      return { valid: false, value: rule.default };
+    }
+    if (rule.pattern && !rule.pattern.test(coerced)) {
+      return { valid: false, value: rule.default };
+    }
+  }
+  
+  if (rule.enum && !rule.enum.includes(coerced)) {
+    return { valid: false, value: rule.default };
+  }
+  
+  return { valid: true, value: coerced };
+}
+
+/**
+ * Validate every known key of a settings object
+ * Unknown keys are kept as they may belong to modules registered later
+ * @param {Object} schema - Schema rules keyed by setting
+ * @param {Object} settings - Settings to sanitize
+ * @returns {Object} Sanitized copy with defaults filled in
+ */
+export function sanitizeSettings(schema, settings) {
+  const source = settings && typeof settings === 'object' && !Array.isArray(settings) ? settings : {};
+  const sanitized = { ...source };
+  
+  Object.entries(schema).forEach(([key, rule]) => {
+    if (!(key in source)) {
+      sanitized[key] = rule.default;
+      return;
+    }
+    
+    const result = validateValue(rule, source[key]);
+    if (!result.valid) {
+      logger.warn(`Invalid value for setting "${key}", using default:`, source[key]);
+    }
+    sanitized[key] = result.value;
+  });
+  
+  return sanitized;
+}
+
+/**
+ * Leave out the session-only settings (rules with `persist: false`)
+ * @param {Object} schema - Schema rules keyed by setting
+ * @param {Object} settings - Settings to filter
+ * @returns {Object} Copy holding only settings that can be saved
+ */
+export function persistentSettings(schema, settings) {
+  const persistent = { ...settings };
+  
+  Object.entries(schema).forEach(([key, rule]) => {
+    if (rule.persist === false) {
+      delete persistent[key];
+    }
+  });
+  
+  return persistent;
+}
+
+/**
+ * Upgrade stored settings to the current schema version
+ * @param {Object} settings - Stored settings
+ * @param {number} fromVersion - Version the data was saved with
+ * @returns {Object} Migrated settings
+ */
+export function migrateSettings(settings, fromVersion) {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion && migration.version <= SCHEMA_VERSION)
+    .reduce((migrated, migration) => {
+      try {
+        return migration.migrate(migrated) || migrated;
+      } catch (e) {
+        logger.error(`Settings migration to version ${migration.version} failed:`, e);
+        return migrated;
+      }
+    }, { ...settings });
+}
@@ -3,6 +3,19 @@
  * Handles saving, loading, and updating settings
  */
 
+import {
+  SCHEMA_VERSION,
+  ruleFromFeature,
+  ruleFromDefault,
+  validateValue,
+  sanitizeSettings,
+  persistentSettings,
+  migrateSettings
+} from './schema';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('settings');
+
 export default class Settings {
   /**
    * Creates a new Settings instance
@@ -17,15 +30,37 @@ export default class Settings {
     this.defaultSettings = {
       // Text settings
       fontSize: 100,
-      lineHeight: false,
-      letterSpacing: false,
-      dyslexicFont: false,
+      lineHeight: 0,
+      letterSpacing: 0,
+      wordSpacing: 0,
+      paragraphSpacing: 0,
+      textAlign: 'none',
+      lineLength: 0,
+      hyphenation: 'none',
+      magnifier: 0,
+      bionicReading: false,
+      readingFont: 'none',
       
       // Visual settings
       contrast: false,
+      customColors: false,
+      textColor: '#1b1b1b',
+      backgroundColor: '#fdf6e3',
+      linkColor: '#0645ad',
+      headingColor: '#1b1b1b',
       darkMode: false,
       lightMode: false,
       grayscale: false,
+      invertColors: false,
+      saturationLevel: 100,
+      brightnessLevel: 100,
+      contrastLevel: 100,
+      protanopia: false,
+      deuteranopia: false,
+      tritanopia: false,
+      achromatopsia: false,
+      colorFilterStrength: 100,
+      colorSimulation: 'none',
       
       // Reading aids
       highlightLinks: false,
@@ -42,24 +77,328 @@ export default class Settings {
       textToSpeech: false,
       tooltips: false
     };
+    
+    // Snapshot taken when the outermost batch() started, null outside a batch
+    this.pendingBatch = null;
+    
+    // Bounded undo/redo history of settings snapshots
+    this.history = {
+      past: [],
+      future: [],
+      limit: 50,
+      lastKey: null,
+      lastTime: 0
+    };
+    
+    // Validation rules, extended by feature modules through registerFeatures()
+    this.schema = {};
+    Object.entries(this.defaultSettings).forEach(([key, value]) => {
+      this.schema[key] = ruleFromDefault(value);
+    });
+  }
+  
+  /**
+   * Add validation rules for the features of a feature module
+   * Settings and profiles already loaded are re-validated against the new rules
+   * @param {Object[]} features - Feature definitions (id, type, min, max, enum/options, default)
+   */
+  registerFeatures(features) {
+    if (!Array.isArray(features)) return;
+    
+    features.forEach(feature => {
+      if (!feature || !feature.id) return;
+      
+      const rule = ruleFromFeature(feature);
+      
+      // Keep the built-in default unless the feature declares its own
+      if (feature.default === undefined && feature.id in this.defaultSettings) {
+        rule.default = this.defaultSettings[feature.id];
+      }
+      
+      this.schema[feature.id] = rule;
+      this.defaultSettings[feature.id] = rule.default;
+    });
+    
+    this.settings = this.sanitize(this.settings);
+    Object.keys(this.profiles).forEach(name => {
+      this.profiles[name] = this.getPersistent(this.sanitize(this.profiles[name]));
+    });
+  }
+  
+  /**
+   * Validate a settings object against the schema
+   * @param {Object} settings - Settings to validate
+   * @returns {Object} Sanitized settings
+   */
+  sanitize(settings) {
+    return sanitizeSettings(this.schema, settings);
+  }
+  
+  /**
+   * Read and parse a JSON value from storage
+   * Corrupted data is discarded instead of breaking initialization
+   * @param {string} key - Storage key
+   * @returns {*} Parsed value, or null if missing or unreadable
+   */
+  readStored(key) {
+    const raw = this.storage.getItem(key);
+    if (!raw) return null;
+    
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+      logger.warn(`Stored ${key} is not an object, ignoring it`);
+    } catch (e) {
+      logger.warn(`Stored ${key} is corrupted, ignoring it:`, e);
+    }
+    
+    return null;
   }
   
   /**
    * Load settings from storage
    */
   load() {
+    const previous = this.settings;
+    const storedVersion = parseInt(this.storage.getItem('spicySettingsVersion'), 10) || 0;
+    
     // Load settings
-    const savedSettings = this.storage.getItem('spicySettings');
-    this.settings = savedSettings ? JSON.parse(savedSettings) : { ...this.defaultSettings };
+    const savedSettings = this.readStored('spicySettings');
+    this.settings = savedSettings
+      ? this.sanitize(migrateSettings(this.getPersistent(savedSettings), storedVersion))
+      : { ...this.defaultSettings };
+    Object.assign(this.settings, this.getSessionValues(previous));
     
     // Load profiles
-    const savedProfiles = this.storage.getItem('spicyProfiles');
-    this.profiles = savedProfiles ? JSON.parse(savedProfiles) : this.getDefaultProfiles();
+    const savedProfiles = this.readStored('spicyProfiles');
+    if (savedProfiles) {
+      this.profiles = {};
+      Object.entries(savedProfiles).forEach(([name, profile]) => {
+        this.profiles[name] = this.getPersistent(this.sanitize(migrateSettings(profile, storedVersion)));
+      });
+    } else {
+      this.profiles = this.getDefaultProfiles();
+    }
+    
+    // Persist migrated data so migrations only run once
+    if (savedSettings && storedVersion < SCHEMA_VERSION) {
+      this.storage.setItem('spicySettings', JSON.stringify(this.getPersistent()));
+      if (savedProfiles) {
+        this.storage.setItem('spicyProfiles', JSON.stringify(this.profiles));
+      }
+    }
+    this.storage.setItem('spicySettingsVersion', String(SCHEMA_VERSION));
     
     // Emit settings loaded event
     this.events.emit('settings:loaded', this.settings);
   }
   
+  /**
+   * Reload settings from storage and notify listeners
+   * Used when stored data changes outside this instance (e.g. async storage adapters)
+   */
+  reload() {
+    const previous = this.settings;
+    this.load();
+    this.commit(previous, { save: false, history: false });
+  }
+  
+  /**
+   * Apply settings that were changed elsewhere (e.g. in another tab)
+   * Does not save, so the change is not written back and broadcast again;
+   * `settings:external` tells listeners tracking saves (RemoteSync) about it instead
+   * Session-only settings keep their values in this tab
+   * @param {Object} settings - New settings
+   */
+  applyExternal(settings) {
+    if (!settings || typeof settings !== 'object') return;
+    
+    const previous = this.settings;
+    this.settings = {
+      ...this.sanitize(settings),
+      ...this.getSessionValues()
+    };
+    this.commit(previous, { save: false, history: false });
+    this.events.emit('settings:external', this.getPersistent());
+  }
+  
+  /**
+   * Run several updates as one transaction
+   * Changes made inside `fn` are saved once and announced with a single `settings:changed`
+   * event; if `fn` throws, all of them are rolled back
+   * @param {Function} fn - Callback receiving this Settings instance
+   * @returns {Object|null} The change diff (see diff()), or null when nested in another batch
+   */
+  batch(fn) {
+    // Nested batches join the outermost one
+    if (this.pendingBatch) {
+      fn(this);
+      return null;
+    }
+    
+    const previous = { ...this.settings };
+    this.pendingBatch = previous;
+    
+    try {
+      fn(this);
+    } catch (error) {
+      this.settings = previous;
+      throw error;
+    } finally {
+      this.pendingBatch = null;
+    }
+    
+    return this.commit(previous);
+  }
+  
+  /**
+   * Describe the difference between two settings objects
+   * @param {Object} previous - Settings before the change
+   * @param {Object} current - Settings after the change
+   * @returns {Object} Diff with `keys` (changed keys) and `changes` ({ [key]: { oldValue, newValue } });
+   *   single-key diffs also carry `key` and `value` for convenience
+   */
+  diff(previous, current) {
+    const changes = {};
+    
+    new Set([...Object.keys(previous), ...Object.keys(current)]).forEach(key => {
+      if (previous[key] !== current[key]) {
+        changes[key] = { oldValue: previous[key], newValue: current[key] };
+      }
+    });
+    
+    const keys = Object.keys(changes);
+    const result = { keys, changes };
+    
+    if (keys.length === 1) {
+      result.key = keys[0];
+      result.value = current[keys[0]];
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Finish a change: record history, save and emit one `settings:changed` event with the diff
+   * Changes that only touch session-only settings (e.g. a color simulation preview) are neither
+   * saved nor recorded, so they stay out of the undo history and never reach the sync modules
+   * @param {Object} previous - Settings before the change
+   * @param {Object} [options] - Commit options
+   * @param {boolean} [options.save=true] - Whether to write to storage
+   * @param {boolean} [options.history=true] - Whether the change can be undone
+   * @returns {Object} The change diff
+   */
+  commit(previous, { save = true, history = true } = {}) {
+    const diff = this.diff(previous, this.settings);
+    if (diff.keys.length === 0) return diff;
+    
+    if (diff.keys.every(key => this.schema[key] && this.schema[key].persist === false)) {
+      save = false;
+      history = false;
+    }
+    
+    if (history) {
+      this.recordHistory(previous, diff.keys);
+    }
+    
+    if (save) {
+      this.save();
+    }
+    
+    this.events.emit('settings:changed', this.settings, diff);
+    return diff;
+  }
+  
+  /**
+   * Record a previous state in the undo history
+   * Rapid changes to the same key (e.g. dragging a slider) are merged into one step
+   * @param {Object} previous - Settings before the change
+   * @param {string[]} keys - Keys the change touched
+   */
+  recordHistory(previous, keys) {
+    const now = Date.now();
+    const { history } = this;
+    const key = keys.length === 1 ? keys[0] : null;
+    const isSameGesture = key && key === history.lastKey && now - history.lastTime < 1000;
+    
+    history.lastKey = key;
+    history.lastTime = now;
+    
+    if (isSameGesture) return;
+    
+    history.past.push({ ...previous });
+    if (history.past.length > history.limit) {
+      history.past.shift();
+    }
+    history.future = [];
+    this.emitHistory();
+  }
+  
+  /**
+   * Notify listeners about the undo/redo availability
+   */
+  emitHistory() {
+    this.events.emit('settings:history', {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+  }
+  
+  /**
+   * Check if there is a change to undo
+   * @returns {boolean} Whether undo is possible
+   */
+  canUndo() {
+    return this.history.past.length > 0;
+  }
+  
+  /**
+   * Check if there is a change to redo
+   * @returns {boolean} Whether redo is possible
+   */
+  canRedo() {
+    return this.history.future.length > 0;
+  }
+  
+  /**
+   * Revert the last settings change
+   * @returns {boolean} Whether a change was undone
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    
+    this.history.future.push({ ...this.settings });
+    this.restore(this.history.past.pop());
+    return true;
+  }
+  
+  /**
+   * Re-apply the last undone settings change
+   * @returns {boolean} Whether a change was redone
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+    
+    this.history.past.push({ ...this.settings });
+    this.restore(this.history.future.pop());
+    return true;
+  }
+  
+  /**
+   * Replace the current settings with a snapshot from the history
+   * @param {Object} snapshot - Settings to restore
+   */
+  restore(snapshot) {
+    const previous = this.settings;
+    // Session-only settings are not part of the history, keep their current values
+    this.settings = this.sanitize({ ...snapshot, ...this.getSessionValues() });
+    this.history.lastKey = null;
+    this.commit(previous, { history: false });
+    this.emitHistory();
+  }
+  
   /**
    * Get default profiles
    * @returns {Object} Default accessibility profiles
@@ -75,9 +414,14 @@ export default class Settings {
       },
       dyslexic: {
         ...this.defaultSettings,
-        dyslexicFont: true,
-        lineHeight: true,
-        letterSpacing: true,
+        readingFont: 'opendyslexic',
+        lineHeight: 1.5,
+        letterSpacing: 0.12,
+        wordSpacing: 0.16,
+        paragraphSpacing: 2,
+        textAlign: 'start',
+        lineLength: 70,
+        hyphenation: 'off',
         fontSize: 120
       },
       senior: {
@@ -104,7 +448,8 @@ export default class Settings {
         ...this.defaultSettings,
         readingGuide: true,
         pauseAnimations: true,
-        lineHeight: true
+        lineHeight: 1.8,
+        paragraphSpacing: 2
       }
     };
   }
@@ -113,24 +458,37 @@ export default class Settings {
    * Save current settings to storage
    */
   save() {
-    this.storage.setItem('spicySettings', JSON.stringify(this.settings));
-    this.events.emit('settings:saved', this.settings);
+    const persistent = this.getPersistent();
+    this.storage.setItem('spicySettings', JSON.stringify(persistent));
+    this.events.emit('settings:saved', persistent);
   }
   
   /**
    * Update a single setting value
    * @param {string} key - Setting key
    * @param {*} value - Setting value
+   * @returns {boolean} Whether the value was accepted
    */
   updateSetting(key, value) {
-    // Update setting
-    this.settings[key] = value;
+    // Reject unknown keys and invalid values
+    const rule = this.schema[key];
+    if (!rule) {
+      logger.warn(`Unknown setting "${key}" ignored`);
+      return false;
+    }
     
-    // Save to storage
-    this.save();
+    const result = validateValue(rule, value);
+    if (!result.valid) {
+      logger.warn(`Invalid value for setting "${key}" ignored:`, value);
+      return false;
+    }
     
-    // Emit change event
-    this.events.emit('settings:changed', this.settings, { key, value });
+    // Update setting (saved and announced when the batch commits)
+    this.batch(() => {
+      this.settings[key] = result.value;
+      this.clearGroup(key);
+    });
+    return true;
   }
   
   /**
@@ -138,14 +496,40 @@ export default class Settings {
    * @param {Object} updates - Object with setting updates
    */
   updateSettings(updates) {
-    // Update multiple settings
-    Object.assign(this.settings, updates);
+    // Keep only known keys with valid values
+    const validUpdates = {};
+    Object.entries(updates || {}).forEach(([key, value]) => {
+      const rule = this.schema[key];
+      const result = rule ? validateValue(rule, value) : { valid: false };
+      if (result.valid) {
+        validUpdates[key] = result.value;
+      } else {
+        logger.warn(`Ignoring invalid update for setting "${key}":`, value);
+      }
+    });
     
-    // Save to storage
-    this.save();
+    // Update multiple settings in one transaction
+    this.batch(() => {
+      Object.entries(validUpdates).forEach(([key, value]) => {
+        this.settings[key] = value;
+        this.clearGroup(key);
+      });
+    });
+  }
+  
+  /**
+   * Turn off the other settings in the exclusive group of a setting that was turned on
+   * @param {string} key - Setting that changed
+   */
+  clearGroup(key) {
+    const rule = this.schema[key];
+    if (!rule || !rule.group || !this.settings[key]) return;
     
-    // Emit change event
-    this.events.emit('settings:changed', this.settings, { updates });
+    Object.entries(this.schema).forEach(([otherKey, otherRule]) => {
+      if (otherKey !== key && otherRule.group === rule.group) {
+        this.settings[otherKey] = otherRule.default;
+      }
+    });
   }
   
   /**
@@ -165,12 +549,39 @@ export default class Settings {
     return { ...this.settings };
   }
   
+  /**
+   * Get the settings that are saved, without the session-only ones
+   * @param {Object} [settings] - Settings to filter, the current settings by default
+   * @returns {Object} Copy without session-only settings
+   */
+  getPersistent(settings = this.settings) {
+    return persistentSettings(this.schema, settings);
+  }
+  
+  /**
+   * Get the values of the session-only settings (`persist: false` in the schema)
+   * @param {Object} [settings] - Settings to read, the current settings by default
+   * @returns {Object} Session-only settings present in `settings`
+   */
+  getSessionValues(settings = this.settings) {
+    const values = {};
+    
+    Object.entries(this.schema).forEach(([key, rule]) => {
+      if (rule.persist === false && settings && key in settings) {
+        values[key] = settings[key];
+      }
+    });
+    
+    return values;
+  }
+  
   /**
    * Reset all settings to defaults
    */
   resetAll() {
-    this.settings = { ...this.defaultSettings };
-    this.save();
+    this.batch(() => {
+      this.settings = { ...this.defaultSettings };
+    });
     this.events.emit('settings:reset', this.settings);
   }
   
@@ -181,12 +592,16 @@ export default class Settings {
   loadProfile(profileName) {
     // Check if profile exists
     if (this.profiles[profileName]) {
-      // Apply profile settings
-      this.settings = { ...this.profiles[profileName] };
-      this.save();
+      // Apply profile settings, session-only settings are not part of profiles
+      this.batch(() => {
+        this.settings = {
+          ...this.sanitize(this.profiles[profileName]),
+          ...this.getSessionValues()
+        };
+      });
       this.events.emit('settings:profile:loaded', profileName, this.settings);
     } else {
-      console.warn(`Profile "${profileName}" not found`);
+      logger.warn(`Profile "${profileName}" not found`);
     }
   }
   
@@ -197,12 +612,12 @@ export default class Settings {
   saveProfile(profileName) {
     // Don't overwrite default profile
     if (profileName === 'default') {
-      console.warn('Cannot overwrite the default profile');
+      logger.warn('Cannot overwrite the default profile');
       return false;
     }
     
     // Save current settings as profile
-    this.profiles[profileName] = { ...this.settings };
+    this.profiles[profileName] = this.getPersistent();
     this.storage.setItem('spicyProfiles', JSON.stringify(this.profiles));
     this.events.emit('settings:profile:saved', profileName, this.settings);
     return true;
@@ -217,7 +632,7 @@ export default class Settings {
     // Don't delete built-in profiles
     const builtInProfiles = ['default', 'highContrast', 'dyslexic', 'senior', 'lowVision', 'motor', 'cognitive'];
     if (builtInProfiles.includes(profileName)) {
-      console.warn(`Cannot delete built-in profile "${profileName}"`);
+      logger.warn(`Cannot delete built-in profile "${profileName}"`);
       return false;
     }
     
@@ -232,6 +647,19 @@ export default class Settings {
     return false;
   }
   
+  /**
+   * Replace all profiles at once (e.g. with profiles received from another device)
+   * @param {Object} profiles - Profiles keyed by name
+   */
+  replaceProfiles(profiles) {
+    this.profiles = {};
+    Object.entries(profiles || {}).forEach(([name, profile]) => {
+      this.profiles[name] = this.getPersistent(this.sanitize(profile));
+    });
+    this.storage.setItem('spicyProfiles', JSON.stringify(this.profiles));
+    this.events.emit('settings:profiles:replaced', this.getProfiles());
+  }
+  
   /**
    * Get all available profiles
    * @returns {Object} All profiles
@@ -1,16 +1,24 @@
 /**
  * Storage - Handles data persistence
- * Abstracts storage mechanisms (localStorage)
+ * Abstracts storage mechanisms through pluggable adapters (see ./adapters)
  */
 
+import { resolveAdapter } from './adapters';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('storage');
+
 export default class Storage {
   /**
    * Creates a new Storage instance
    * @param {boolean} autoSave - Whether to automatically save settings
+   * @param {string|string[]|Object} [adapter='local'] - Adapter name, fallback chain, or adapter instance
    */
-  constructor(autoSave = true) {
+  constructor(autoSave = true, adapter = 'local') {
     this.prefix = 'spicy-';
     this.autoSave = autoSave;
+    this.adapterOption = adapter;
+    this.adapter = resolveAdapter(adapter);
     this.isAvailable = this.checkAvailability();
   }
   
@@ -19,14 +27,54 @@ export default class Storage {
    * @returns {boolean} Whether storage is available
    */
   checkAvailability() {
+    return Boolean(this.adapter);
+  }
+  
+  /**
+   * Wait for asynchronous adapters to finish loading their data
+   * If the adapter fails to open, the next one in the chain takes its place
+   * @returns {Promise<void>} Resolves when reads reflect persisted data
+   */
+  ready() {
+    if (!this.adapter || typeof this.adapter.ready !== 'function') {
+      return Promise.resolve();
+    }
+    
+    const adapter = this.adapter;
+    return Promise.resolve(adapter.ready()).catch(error => {
+      // close() was called, or another fallback already happened
+      if (this.adapter !== adapter || adapter.closed) return undefined;
+      
+      logger.warn(`Storage adapter "${adapter.name || 'custom'}" could not be opened, trying the next one:`, error);
+      this.adapter = resolveAdapter(this.adapterOption, adapter);
+      this.carryOver(adapter);
+      return this.ready();
+    });
+  }
+  
+  /**
+   * Copy values written to a failed adapter while it was opening into the current one
+   * Keys the current adapter already has are left alone
+   * @param {Object} failed - Adapter that failed to open
+   */
+  carryOver(failed) {
     try {
-      const testKey = `${this.prefix}test`;
-      localStorage.setItem(testKey, 'test');
-      localStorage.removeItem(testKey);
-      return true;
+      failed.keys().forEach(key => {
+        if (key.startsWith(this.prefix) && this.adapter.getItem(key) === null) {
+          this.adapter.setItem(key, failed.getItem(key));
+        }
+      });
     } catch (e) {
-      console.warn('Local storage is not available:', e);
-      return false;
+      logger.error('Error copying values to the fallback storage:', e);
+    }
+  }
+  
+  /**
+   * Release the adapter's resources (e.g. an open or opening IndexedDB connection)
+   */
+  close() {
+    if (this.adapter && typeof this.adapter.close === 'function') {
+      this.adapter.close();
     }
   }
   
@@ -39,9 +87,9 @@ export default class Storage {
     if (!this.isAvailable) return null;
     
     try {
-      return localStorage.getItem(`${this.prefix}${key}`);
+      return this.adapter.getItem(`${this.prefix}${key}`);
     } catch (e) {
-      console.error(`Error retrieving ${key} from storage:`, e);
+      logger.error(`Error retrieving ${key} from storage:`, e);
       return null;
     }
   }
@@ -56,10 +104,10 @@ export default class Storage {
     if (!this.isAvailable || !this.autoSave) return false;
     
     try {
-      localStorage.setItem(`${this.prefix}${key}`, value);
+      this.adapter.setItem(`${this.prefix}${key}`, value);
       return true;
     } catch (e) {
-      console.error(`Error saving ${key} to storage:`, e);
+      logger.error(`Error saving ${key} to storage:`, e);
       return false;
     }
   }
@@ -73,10 +121,10 @@ export default class Storage {
     if (!this.isAvailable) return false;
     
     try {
-      localStorage.removeItem(`${this.prefix}${key}`);
+      this.adapter.removeItem(`${this.prefix}${key}`);
       return true;
     } catch (e) {
-      console.error(`Error removing ${key} from storage:`, e);
+      logger.error(`Error removing ${key} from storage:`, e);
       return false;
     }
   }
@@ -89,14 +137,14 @@ export default class Storage {
     if (!this.isAvailable) return false;
     
     try {
-      Object.keys(localStorage).forEach(key => {
+      this.adapter.keys().forEach(key => {
         if (key.startsWith(this.prefix)) {
-          localStorage.removeItem(key);
+          this.adapter.removeItem(key);
         }
       });
       return true;
     } catch (e) {
-      console.error('Error clearing storage:', e);
+      logger.error('Error clearing storage:', e);
       return false;
     }
   }
@@ -0,0 +1,427 @@
+/**
+ * RemoteSync - Synchronizes settings and profiles with a remote HTTP endpoint
+ * Queues writes while offline and resolves conflicts per key (last writer wins)
+ *
+ * Wire format (GET response, PUT request and PUT response):
+ * {
+ *   spicySettings: { values: { fontSize: 120, ... }, timestamps: { fontSize: 1700000000000, ... } },
+ *   spicyProfiles: { values: { myProfile: {...}, removed: null }, timestamps: { myProfile: 1700000000000, ... } }
+ * }
+ * A `null` profile value is a deletion marker so deletions propagate across devices.
+ */
+
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('sync');
+
+/**
+ * Storage keys synchronized with the server
+ */
+const BLOBS = ['spicySettings', 'spicyProfiles'];
+
+/**
+ * Default sync options
+ */
+const DEFAULT_OPTIONS = {
+  endpoint: null,
+  headers: {},
+  credentials: 'same-origin',
+  pullInterval: 60000, // Periodic pull in ms, 0 to disable
+  debounce: 1000, // Delay before pushing local changes
+  fetch: null // Custom fetch implementation (defaults to window.fetch)
+};
+
+export default class RemoteSync {
+  /**
+   * Creates a new RemoteSync instance
+   * @param {Object} options - Sync options (see DEFAULT_OPTIONS)
+   * @param {Storage} storage - Storage manager instance
+   * @param {Settings} settings - Settings manager instance
+   * @param {EventBus} events - Event bus instance
+   */
+  constructor(options, storage, settings, events) {
+    this.options = { ...DEFAULT_OPTIONS, ...(typeof options === 'string' ? { endpoint: options } : options) };
+    this.storage = storage;
+    this.settings = settings;
+    this.events = events;
+    this.fetch = this.options.fetch || (typeof fetch === 'function' ? fetch.bind(window) : null);
+    
+    // Per-key modification times and pending pushes survive reloads
+    this.meta = this.readJSON('spicySyncMeta', { spicySettings: {}, spicyProfiles: {} });
+    this.queue = this.readJSON('spicySyncQueue', []);
+    
+    // Snapshots used to detect which keys a local save touched
+    this.snapshots = {
+      spicySettings: this.settings.getPersistent(),
+      spicyProfiles: this.settings.getProfiles()
+    };
+    
+    this.isApplyingRemote = false;
+    this.pushTimer = null;
+    this.pullTimer = null;
+    this.controller = null;
+    this.unsubscribers = [];
+    
+    this.handleOnline = this.flush.bind(this);
+  }
+  
+  /**
+   * Start listening for local changes and pull the remote state
+   * @returns {Promise<void>} Resolves after the initial pull
+   */
+  start() {
+    if (!this.options.endpoint || !this.fetch) {
+      logger.warn('Remote sync disabled: no endpoint or fetch implementation available');
+      return Promise.resolve();
+    }
+    
+    // Aborts the requests still in flight when stop() is called
+    this.controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    
+    this.unsubscribers = [
+      this.events.on('settings:saved', () => this.trackChanges('spicySettings', this.settings.getPersistent())),
+      this.events.on('settings:profile:saved', () => this.trackChanges('spicyProfiles', this.settings.getProfiles())),
+      this.events.on('settings:profile:deleted', () => this.trackChanges('spicyProfiles', this.settings.getProfiles())),
+      // Changes from other tabs were stamped and queued by the tab that made them
+      this.events.on('settings:external', persistent => this.adoptExternal('spicySettings', persistent)),
+      this.events.on('settings:profiles:replaced', profiles => this.adoptExternal('spicyProfiles', profiles))
+    ];
+    
+    window.addEventListener('online', this.handleOnline);
+    
+    if (this.options.pullInterval > 0) {
+      this.pullTimer = setInterval(() => this.pull(), this.options.pullInterval);
+    }
+    
+    // Push anything left over from an offline session, then pull
+    return this.flush().then(() => this.pull());
+  }
+  
+  /**
+   * Stop syncing and remove all listeners
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    window.removeEventListener('online', this.handleOnline);
+    clearInterval(this.pullTimer);
+    clearTimeout(this.pushTimer);
+    this.pullTimer = null;
+    this.pushTimer = null;
+    
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+  
+  /**
+   * Record modification times for keys that changed since the last snapshot
+   * @param {string} blob - Blob name
+   * @param {Object} current - Current blob values
+   */
+  trackChanges(blob, current) {
+    if (this.isApplyingRemote) return;
+    
+    const previous = this.snapshots[blob] || {};
+    const timestamps = this.meta[blob];
+    const now = Date.now();
+    let changed = false;
+    
+    new Set([...Object.keys(previous), ...Object.keys(current)]).forEach(key => {
+      if (!isEqual(previous[key], current[key])) {
+        timestamps[key] = now;
+        changed = true;
+      }
+    });
+    
+    this.snapshots[blob] = current;
+    
+    if (changed) {
+      this.enqueue(blob);
+    }
+  }
+  
+  /**
+   * Take values another tab changed as the new snapshot, without queuing them
+   * Their modification times are read from the metadata that tab persisted, so a later
+   * local save here neither stamps them again nor pushes them with older times
+   * @param {string} blob - Blob name
+   * @param {Object} current - Current blob values
+   */
+  adoptExternal(blob, current) {
+    if (this.isApplyingRemote) return;
+    
+    this.snapshots[blob] = current;
+    
+    const stored = this.readJSON('spicySyncMeta', {});
+    const timestamps = this.meta[blob];
+    Object.entries((stored && stored[blob]) || {}).forEach(([key, time]) => {
+      if (typeof time === 'number' && time > (timestamps[key] || 0)) {
+        timestamps[key] = time;
+      }
+    });
+  }
+  
+  /**
+   * Queue a blob for pushing and schedule a push
+   * @param {string} blob - Blob name
+   */
+  enqueue(blob) {
+    if (!this.queue.includes(blob)) {
+      this.queue.push(blob);
+    }
+    this.persistMeta();
+    this.events.emit('sync:queued', [...this.queue]);
+    
+    clearTimeout(this.pushTimer);
+    this.pushTimer = setTimeout(() => this.flush(), this.options.debounce);
+  }
+  
+  /**
+   * Push all queued blobs to the server
+   * Leaves the queue intact when offline or when the request fails
+   * @returns {Promise<boolean>} Whether the queue was flushed
+   */
+  flush() {
+    if (this.queue.length === 0) return Promise.resolve(true);
+    
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return Promise.resolve(false);
+    }
+    
+    const pending = [...this.queue];
+    const payload = {};
+    pending.forEach(blob => {
+      payload[blob] = this.getLocalState(blob);
+    });
+    
+    return this.request('PUT', payload)
+      .then(remote => {
+        this.queue = this.queue.filter(blob => !pending.includes(blob));
+        this.persistMeta();
+        if (remote) {
+          this.merge(remote);
+        }
+        this.events.emit('sync:pushed', pending);
+        return true;
+      })
+      .catch(error => {
+        if (isAbort(error)) return false;
+        logger.warn('Remote sync push failed, changes stay queued:', error);
+        this.events.emit('sync:error', error);
+        return false;
+      });
+  }
+  
+  /**
+   * Fetch the remote state and merge it into local storage
+   * @returns {Promise<boolean>} Whether the pull succeeded
+   */
+  pull() {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return Promise.resolve(false);
+    }
+    
+    return this.request('GET')
+      .then(remote => {
+        if (remote) {
+          this.merge(remote);
+        }
+        this.events.emit('sync:pulled', remote);
+        return true;
+      })
+      .catch(error => {
+        if (isAbort(error)) return false;
+        logger.warn('Remote sync pull failed:', error);
+        this.events.emit('sync:error', error);
+        return false;
+      });
+  }
+  
+  /**
+   * Push queued changes, then pull
+   * @returns {Promise<boolean>} Whether both steps succeeded
+   */
+  syncNow() {
+    return this.flush().then(pushed => this.pull().then(pulled => pushed && pulled));
+  }
+  
+  /**
+   * Merge a remote state into the local one, key by key
+   * Newer remote keys are applied locally; newer local keys are queued for pushing
+   * @param {Object} remote - Remote state in wire format
+   */
+  merge(remote) {
+    BLOBS.forEach(blob => {
+      const remoteBlob = remote[blob];
+      if (!remoteBlob || !remoteBlob.values || typeof remoteBlob.values !== 'object') return;
+      
+      const local = this.getLocalState(blob);
+      const merged = { ...local.values };
+      const timestamps = { ...local.timestamps };
+      const remoteTimestamps = remoteBlob.timestamps || {};
+      let localChanged = false;
+      let remoteStale = false;
+      
+      new Set([...Object.keys(local.values), ...Object.keys(remoteBlob.values)]).forEach(key => {
+        const localTime = local.timestamps[key] || 0;
+        const remoteTime = remoteTimestamps[key] || 0;
+        
+        if (remoteTime > localTime) {
+          if (!isEqual(merged[key], remoteBlob.values[key])) {
+            merged[key] = remoteBlob.values[key];
+            localChanged = true;
+          }
+          timestamps[key] = remoteTime;
+        } else if (localTime > remoteTime || !(key in remoteBlob.values)) {
+          remoteStale = true;
+        }
+      });
+      
+      this.meta[blob] = timestamps;
+      
+      if (localChanged) {
+        this.applyLocal(blob, merged);
+      }
+      
+      if (remoteStale && !this.queue.includes(blob)) {
+        this.enqueue(blob);
+      }
+    });
+    
+    this.persistMeta();
+  }
+  
+  /**
+   * Write merged values to storage and reload settings without re-queuing them
+   * @param {string} blob - Blob name
+   * @param {Object} values - Merged values, including deletion markers
+   */
+  applyLocal(blob, values) {
+    this.isApplyingRemote = true;
+    
+    try {
+      if (blob === 'spicySettings') {
+        this.storage.setItem(blob, JSON.stringify(values));
+        this.settings.reload();
+        this.snapshots[blob] = this.settings.getPersistent();
+      } else {
+        // Drop deletion markers before handing profiles to Settings
+        const profiles = {};
+        Object.entries(values).forEach(([name, profile]) => {
+          if (profile !== null) {
+            profiles[name] = profile;
+          }
+        });
+        this.settings.replaceProfiles(profiles);
+        this.snapshots[blob] = this.settings.getProfiles();
+      }
+    } finally {
+      this.isApplyingRemote = false;
+    }
+  }
+  
+  /**
+   * Build the wire representation of a local blob
+   * @param {string} blob - Blob name
+   * @returns {{values: Object, timestamps: Object}} Local state
+   */
+  getLocalState(blob) {
+    const values = blob === 'spicySettings' ? this.settings.getPersistent() : this.settings.getProfiles();
+    const timestamps = this.meta[blob] || {};
+    
+    // Keys with a timestamp but no value were deleted locally
+    Object.keys(timestamps).forEach(key => {
+      if (!(key in values)) {
+        values[key] = null;
+      }
+    });
+    
+    return { values, timestamps: { ...timestamps } };
+  }
+  
+  /**
+   * Send a request to the sync endpoint
+   * @param {string} method - HTTP method
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object|null>} Parsed response body
+   */
+  request(method, body) {
+    const signal = this.controller ? this.controller.signal : undefined;
+    
+    return this.fetch(this.options.endpoint, {
+      method,
+      credentials: this.options.credentials,
+      headers: {
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...this.options.headers
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal
+    }).then(response => {
+      // Custom fetch implementations may ignore the signal
+      if (signal && signal.aborted) {
+        throw abortError();
+      }
+      if (!response.ok) {
+        throw new Error(`Sync request failed with status ${response.status}`);
+      }
+      return response.status === 204 ? null : response.json();
+    });
+  }
+  
+  /**
+   * Persist sync metadata and the pending queue
+   */
+  persistMeta() {
+    this.storage.setItem('spicySyncMeta', JSON.stringify(this.meta));
+    this.storage.setItem('spicySyncQueue', JSON.stringify(this.queue));
+  }
+  
+  /**
+   * Read a JSON value from storage
+   * @param {string} key - Storage key
+   * @param {*} fallback - Value to use when missing or unreadable
+   * @returns {*} Parsed value
+   */
+  readJSON(key, fallback) {
+    try {
+      const raw = this.storage.getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+      logger.warn(`Ignoring unreadable ${key}:`, e);
+      return fallback;
+    }
+  }
+}
+
+/**
+ * Compare two JSON-compatible values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Create the error a request rejects with after stop()
+ * @returns {Error} Error named 'AbortError', like the one fetch rejects with
+ */
+function abortError() {
+  const error = new Error('Sync request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check if a request failed because sync was stopped
+ * @param {*} error - Rejection reason
+ * @returns {boolean} Whether the request was aborted
+ */
+function isAbort(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
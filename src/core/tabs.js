@@ -0,0 +1,115 @@
+/**
+ * TabSync - Keeps settings in sync between open tabs of the same site
+ * Uses BroadcastChannel when available and falls back to the `storage` event
+ */
+
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('tabs');
+
+/**
+ * Name of the BroadcastChannel shared by all tabs
+ */
+const CHANNEL_NAME = 'spicy-accessibility';
+
+export default class TabSync {
+  /**
+   * Creates a new TabSync instance
+   * @param {Storage} storage - Storage manager instance
+   * @param {Settings} settings - Settings manager instance
+   * @param {EventBus} events - Event bus instance
+   */
+  constructor(storage, settings, events) {
+    this.storage = storage;
+    this.settings = settings;
+    this.events = events;
+    this.tabId = Math.random().toString(36).substring(2, 11);
+    this.channel = null;
+    this.unsubscribers = [];
+    
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleStorageEvent = this.handleStorageEvent.bind(this);
+  }
+  
+  /**
+   * Start broadcasting local changes and listening for changes from other tabs
+   */
+  start() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.addEventListener('message', this.handleMessage);
+      
+      this.unsubscribers = [
+        this.events.on('settings:saved', settings => this.broadcast('settings', settings)),
+        this.events.on('settings:profile:saved', () => this.broadcast('profiles', this.settings.getProfiles())),
+        this.events.on('settings:profile:deleted', () => this.broadcast('profiles', this.settings.getProfiles()))
+      ];
+    } else {
+      // Older browsers: localStorage fires `storage` in every other tab on write
+      window.addEventListener('storage', this.handleStorageEvent);
+    }
+  }
+  
+  /**
+   * Stop syncing and remove all listeners
+   */
+  stop() {
+    if (this.channel) {
+      this.channel.removeEventListener('message', this.handleMessage);
+      this.channel.close();
+      this.channel = null;
+    }
+    
+    window.removeEventListener('storage', this.handleStorageEvent);
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+  
+  /**
+   * Send a change to the other tabs
+   * @param {string} type - Message type ('settings' or 'profiles')
+   * @param {Object} data - Changed data
+   */
+  broadcast(type, data) {
+    if (!this.channel) return;
+    
+    try {
+      this.channel.postMessage({ type, data, source: this.tabId });
+    } catch (e) {
+      logger.error('Error broadcasting settings to other tabs:', e);
+    }
+  }
+  
+  /**
+   * Handle a message from another tab
+   * @param {MessageEvent} event - Channel message
+   */
+  handleMessage(event) {
+    const message = event.data;
+    if (!message || message.source === this.tabId) return;
+    
+    if (message.type === 'settings') {
+      this.settings.applyExternal(message.data);
+    } else if (message.type === 'profiles') {
+      this.settings.replaceProfiles(message.data);
+    }
+  }
+  
+  /**
+   * Handle a localStorage write made by another tab
+   * @param {StorageEvent} event - Storage event
+   */
+  handleStorageEvent(event) {
+    if (!event.key || event.newValue === null) return;
+    
+    try {
+      if (event.key === `${this.storage.prefix}spicySettings`) {
+        this.settings.applyExternal(JSON.parse(event.newValue));
+      } else if (event.key === `${this.storage.prefix}spicyProfiles`) {
+        this.settings.replaceProfiles(JSON.parse(event.newValue));
+      }
+    } catch (e) {
+      logger.warn('Ignoring unreadable settings from another tab:', e);
+    }
+  }
+}
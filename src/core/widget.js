@@ -3,7 +3,28 @@
  * Handles the accessibility panel UI and interaction
  */
 
-import { createElement, addGlobalStyles } from '../utils/dom';
+import { createElement, addGlobalStyles, removeGlobalStyles, addShadowStyles, addWidgetStyles, removeWidgetStyles, UI_CLASS } from '../utils/dom';
+import { renderIcon } from '../utils/icons';
+import { contrastRatio, contrastLevel } from '../utils/color';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('widget');
+
+/**
+ * Position ids the panel wrote before it offered logical positions, and the ones replacing them
+ */
+const LEGACY_POSITIONS = {
+  bottomRight: 'bottom-end',
+  bottomLeft: 'bottom-start'
+};
+
+/**
+ * Positions offered in the panel, mirrored in RTL
+ */
+const PANEL_POSITIONS = [
+  { id: 'bottom-end', message: 'widget.bottomEnd', icon: 'fa-solid fa-arrow-down-right' },
+  { id: 'bottom-start', message: 'widget.bottomStart', icon: 'fa-solid fa-arrow-down-left' }
+];
 
 export default class Widget {
   /**
@@ -11,16 +32,25 @@ export default class Widget {
    * @param {Object} config - Configuration options
    * @param {Settings} settings - Settings manager instance
    * @param {EventBus} events - Event bus instance
+   * @param {I18n} [i18n] - Translations (English is used without it)
    */
-  constructor(config, settings, events) {
+  constructor(config, settings, events, i18n) {
     // Initialize core properties
     this.config = config || {};
     this.settings = settings;
     this.events = events;
+    this.i18n = i18n;
     this.featureModules = [];
     this.isOpen = false;
     this._outsideClickHandler = null;
     this._justToggled = false;
+    this.focusHandlers = null;
+    this.unsubscribers = [];
+    this.destroyed = false;
+    
+    // Node the UI lives in: the document, or a shadow root when `shadowDom` is enabled
+    this.root = document;
+    this.host = null;
     
     // Make sure all methods used in binding exist
     this.togglePanel = this.togglePanel || function() {};
@@ -43,18 +73,23 @@ export default class Widget {
     
     // Listen for settings changes (safely)
     if (this.events && typeof this.events.on === 'function' && typeof this.updateUI === 'function') {
-      this.events.on('settings:changed', this.updateUI.bind(this));
+      this.unsubscribers = [
+        this.events.on('settings:changed', this.updateUI.bind(this)),
+        this.events.on('settings:history', this.updateHistoryButtons.bind(this)),
+        this.events.on('language:changed', this.applyLanguage.bind(this)),
+        this.events.on('direction:changed', this.applyDirection.bind(this))
+      ];
     }
     
     // Initialize the widget
     if (document.body) {
       this.render().catch(error => {
-        console.error('Error initializing widget:', error);
+        logger.error('Error initializing widget:', error);
       });
     } else {
       document.addEventListener('DOMContentLoaded', () => {
         this.render().catch(error => {
-          console.error('Error initializing widget:', error);
+          logger.error('Error initializing widget:', error);
         });
       });
     }
@@ -62,54 +97,226 @@ export default class Widget {
   
   /**
    * Register a feature module with the widget
-   * @param {Object} featureModule - Feature module to register
+   * Modules added after the widget rendered are initialized and shown right away
+   * @param {Object} featureModule - Feature module to register (see core/registry.js)
    */
   registerFeatureModule(featureModule) {
     this.featureModules.push(featureModule);
+    
+    if (this.panel) {
+      this.initFeatureModule(featureModule);
+      this.populatePanel();
+    }
+  }
+  
+  /**
+   * Initialize a feature module once and keep its `apply` hook in step with the settings
+   * @param {Object} featureModule - Feature module
+   */
+  initFeatureModule(featureModule) {
+    if (!featureModule || featureModule.initialized) return;
+    featureModule.initialized = true;
+    
+    try {
+      if (typeof featureModule.init === 'function') {
+        featureModule.init();
+      }
+      
+      if (typeof featureModule.apply === 'function') {
+        this.unsubscribers.push(this.events.on('settings:changed', (settings, diff) => featureModule.apply(settings, diff)));
+        featureModule.apply(this.settings.getAll(), null);
+      }
+    } catch (error) {
+      logger.error(`Error initializing feature module ${featureModule.id}:`, error);
+    }
+  }
+  
+  /**
+   * Translate a message key
+   * @param {string} key - Dotted message key
+   * @param {Object} [params] - Values for `{name}` placeholders
+   * @param {string} [fallback] - Text used when the key has no translation
+   * @returns {string} Translated text
+   */
+  t(key, params, fallback) {
+    if (this.i18n) {
+      return this.i18n.t(key, params, fallback);
+    }
+    return fallback !== undefined ? fallback : key;
+  }
+  
+  /**
+   * Get the text direction of the widget
+   * @returns {string} 'ltr' or 'rtl'
+   */
+  getDirection() {
+    return this.i18n ? this.i18n.getDirection() : 'ltr';
+  }
+  
+  /**
+   * Swap the horizontal sense of a directional icon in RTL (e.g. rotate-left for rotate-right)
+   * @param {string} icon - Icon class
+   * @returns {string} Icon class for the current direction
+   */
+  mirrorIcon(icon) {
+    if (this.getDirection() !== 'rtl') return icon;
+    return icon.replace(/-(left|right)\b/, (match, side) => (side === 'left' ? '-right' : '-left'));
+  }
+  
+  /**
+   * Fill an element with an icon followed by text
+   * Only the icon is markup; the text can come from integrator translations, so it is never parsed as HTML
+   * @param {HTMLElement} element - Element to fill
+   * @param {string} icon - Icon class
+   * @param {string} text - Text after the icon
+   * @param {boolean} [wrap=false] - Put the text in a <span>
+   * @returns {HTMLElement} The element
+   */
+  setIconText(element, icon, text, wrap = false) {
+    element.innerHTML = renderIcon(icon);
+    element.appendChild(wrap ? createElement('span', { textContent: text }) : document.createTextNode(` ${text}`));
+    return element;
+  }
+  
+  /**
+   * Fill the branding line
+   * @param {HTMLElement} element - Branding element
+   */
+  setBrandingText(element) {
+    element.replaceChildren(
+      createElement('span', { attributes: { 'aria-hidden': 'true' }, textContent: '🍩' }),
+      ` ${this.t('widget.poweredBy', { brand: 'SpicyDonut' })}`
+    );
+  }
+  
+  /**
+   * Apply the text direction to the button and panel after it changes
+   */
+  applyDirection() {
+    const direction = this.getDirection();
+    
+    if (this.toggleButton) {
+      this.toggleButton.setAttribute('dir', direction);
+      this.applyButtonPosition();
+    }
+    
+    if (!this.panel) return;
+    
+    this.panel.setAttribute('dir', direction);
+    this.applyPanelPosition();
+    this.setHistoryButtonText(this.undoBtn, 'fa-solid fa-rotate-left', this.t('widget.undo'), this.t('widget.undoTitle'));
+    this.setHistoryButtonText(this.redoBtn, 'fa-solid fa-rotate-right', this.t('widget.redo'), this.t('widget.redoTitle'));
+    this.populatePanel();
+  }
+  
+  /**
+   * Refresh all widget text after the language changes
+   */
+  applyLanguage() {
+    if (!this.panel) return;
+    
+    this.panel.setAttribute('lang', this.i18n.getLanguage());
+    this.panelTitle.textContent = this.t('widget.title');
+    this.closeBtn.setAttribute('aria-label', this.t('widget.closeMenu'));
+    this.setIconText(this.resetBtn, 'fa-solid fa-arrows-rotate', this.t('widget.reset'));
+    this.setBrandingText(this.branding);
+    this.setHistoryButtonText(this.undoBtn, 'fa-solid fa-rotate-left', this.t('widget.undo'), this.t('widget.undoTitle'));
+    this.setHistoryButtonText(this.redoBtn, 'fa-solid fa-rotate-right', this.t('widget.redo'), this.t('widget.redoTitle'));
+    
+    if (this.toggleButton) {
+      this.toggleButton.setAttribute('lang', this.i18n.getLanguage());
+      this.toggleButton.setAttribute('title', this.t('widget.buttonTitle', { shortcut: 'Alt+A' }));
+      this.toggleButton.setAttribute('aria-label', this.t(this.isOpen ? 'widget.close' : 'widget.open'));
+    }
+    
+    this.populatePanel();
+  }
+  
+  /**
+   * Get the node the toggle button and panel are appended to
+   * @returns {Node} Shadow root when `shadowDom` is enabled, otherwise document.body
+   */
+  getContainer() {
+    if (!this.config.shadowDom) {
+      return document.body;
+    }
+    
+    if (!this.host) {
+      this.createShadowRoot();
+    }
+    return this.root;
+  }
+  
+  /**
+   * Create the shadow host and its scoped stylesheet
+   * The host is attached to <html> rather than <body> so body-level classes
+   * (filters, zoom, dark mode) applied by features never reach the panel
+   */
+  createShadowRoot() {
+    this.host = document.createElement('div');
+    this.host.id = 'spicy-accessibility-root';
+    this.host.className = UI_CLASS;
+    this.root = this.host.attachShadow({ mode: 'open' });
+    addShadowStyles(this.root);
+    document.documentElement.appendChild(this.host);
+    logger.debug('Shadow root created for widget UI');
+  }
+  
+  /**
+   * Find an element of the widget UI by ID, inside the shadow root if there is one
+   * @param {string} id - Element ID
+   * @returns {HTMLElement|null} The element, or null if not found
+   */
+  getElementById(id) {
+    return this.root.getElementById(id);
   }
   
   /**
    * Render the accessibility widget
    */
   async render() {
-    console.log('Rendering widget...');
+    logger.debug('Rendering widget...');
     
     try {
       // Add global styles first and wait for them to load
       await addGlobalStyles();
-      console.log('Global styles loaded');
+      logger.debug('Global styles loaded');
+      
+      // Destroyed while the styles were loading
+      if (this.destroyed) return;
+      
+      // With `shadowDom` the stylesheet goes in the shadow root instead (see createShadowRoot)
+      if (!this.config.shadowDom) {
+        addWidgetStyles(document);
+      }
     
     // Create and add toggle button
     this.createToggleButton();
-      console.log('Toggle button created');
+      logger.debug('Toggle button created');
     
     // Create and add panel
     this.createPanel();
-      console.log('Panel created');
+      logger.debug('Panel created');
     
     // Add keyboard event listener
     document.addEventListener('keydown', this.handleKeydown);
-      console.log('Keyboard event listener added');
+      logger.debug('Keyboard event listener added');
     
     // Initialize feature modules
       if (this.featureModules && this.featureModules.length > 0) {
-        this.featureModules.forEach(module => {
-          if (module && typeof module.init === 'function') {
-            module.init();
-          }
-        });
-        console.log('Feature modules initialized:', this.featureModules.length);
+        this.featureModules.forEach(module => this.initFeatureModule(module));
+        logger.debug('Feature modules initialized:', this.featureModules.length);
       } else {
-        console.warn('No feature modules found to initialize');
+        logger.warn('No feature modules found to initialize');
       }
     
     // Add hover effect for keyboard users
     this.addFocusListeners();
-      console.log('Focus listeners added');
+      logger.debug('Focus listeners added');
       
-      console.log('Widget rendering completed successfully');
+      logger.debug('Widget rendering completed successfully');
     } catch (error) {
-      console.error('Error rendering widget:', error);
+      logger.error('Error rendering widget:', error);
     }
   }
   
@@ -118,7 +325,7 @@ export default class Widget {
    * Should be called if constructor's code didn't run properly
    */
   initialize() {
-    console.log('Manually initializing widget...');
+    logger.debug('Manually initializing widget...');
     
     // Initialize properties if not already set
     this.featureModules = this.featureModules || [];
@@ -134,84 +341,90 @@ export default class Widget {
     
     // Listen for settings changes
     if (this.events && typeof this.events.on === 'function') {
-      this.events.on('settings:changed', this.updateUI.bind(this));
+      this.unsubscribers.push(this.events.on('settings:changed', this.updateUI.bind(this)));
     }
     
     // Render the widget
     this.render().catch(error => {
-      console.error('Error in manual initialization:', error);
+      logger.error('Error in manual initialization:', error);
     });
     
     // Initialize feature modules if they haven't been initialized already
     if (this.featureModules && this.featureModules.length > 0) {
-      this.featureModules.forEach(module => {
-        if (module && typeof module.init === 'function' && !module.initialized) {
-          try {
-            module.init();
-            module.initialized = true;
-          } catch (e) {
-            console.error('Error initializing module:', e);
-          }
+      this.featureModules.forEach(module => this.initFeatureModule(module));
+    }
+    
+    logger.debug('Manual initialization complete');
+  }
+  
+  /**
+   * Remove the widget and undo everything its feature modules did to the page
+   * The instance can't be rendered again afterwards
+   */
+  destroy() {
+    this.destroyed = true;
+    this.isOpen = false;
+    
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    
+    this.featureModules.forEach(module => {
+      try {
+        if (typeof module.destroy === 'function') {
+          module.destroy();
         }
-      });
+      } catch (error) {
+        logger.error(`Error destroying feature module ${module.id}:`, error);
+      }
+      module.initialized = false;
+    });
+    this.featureModules = [];
+    
+    document.removeEventListener('keydown', this.handleKeydown);
+    if (this._outsideClickHandler) {
+      document.removeEventListener('click', this._outsideClickHandler);
+      this._outsideClickHandler = null;
     }
+    this.removeFocusListeners();
+    
+    // With `shadowDom` the host takes the button, panel and widget styles with it
+    [this.toggleButton, this.panel, this.host].forEach(element => element && element.remove());
+    removeWidgetStyles(document);
+    removeGlobalStyles();
     
-    console.log('Manual initialization complete');
+    this.toggleButton = null;
+    this.panel = null;
+    this.host = null;
+    this.root = document;
+    logger.debug('Widget destroyed');
   }
   
 /**
  * Create the toggle button
  */
 createToggleButton() {
-  console.log('Creating toggle button...');
+  logger.debug('Creating toggle button...');
   
-    // Create the button element with inline styles to ensure it works
+    // Replace the button of an earlier render
+    if (this.toggleButton) {
+      this.toggleButton.remove();
+    }
+    
+    // Create the button element, styled by widget.css
     this.toggleButton = document.createElement('button');
     this.toggleButton.id = 'spicy-access-btn';
-    this.toggleButton.setAttribute('aria-label', 'Open accessibility menu');
-    this.toggleButton.setAttribute('title', 'Accessibility Options (Alt+A)');
-    this.toggleButton.innerHTML = '<i class="fa-solid fa-universal-access" aria-hidden="true"></i>';
-    
-    // Apply styles directly with enhanced modern look
-    Object.assign(this.toggleButton.style, {
-      position: 'fixed',
-      bottom: '20px',
-      right: '20px',
-      zIndex: '9999',
-      width: '64px',
-      height: '64px',
-      borderRadius: '50%',
-      backgroundColor: '#4265ED',
-      color: 'white',
-      border: 'none',
-      fontSize: '28px',
-      cursor: 'pointer',
-      boxShadow: '0 4px 20px rgba(66, 101, 237, 0.3), 0 0 0 2px rgba(255, 255, 255, 0.2)',
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'center',
-      padding: '0',
-      overflow: 'hidden',
-      transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
-    });
+    this.toggleButton.className = UI_CLASS;
+    this.toggleButton.setAttribute('dir', this.getDirection());
+    this.toggleButton.setAttribute('aria-label', this.t('widget.open'));
+    this.toggleButton.setAttribute('title', this.t('widget.buttonTitle', { shortcut: 'Alt+A' }));
+    this.toggleButton.innerHTML = renderIcon('fa-solid fa-universal-access');
     
-    // Style the icon directly
+    // Fallback text if icon fails
     setTimeout(() => {
-  const icon = this.toggleButton.querySelector('i');
-      if (icon) {
-        Object.assign(icon.style, {
-          fontFamily: "'Font Awesome 6 Free', 'FontAwesome', sans-serif",
-          fontWeight: '900',
-          fontSize: '28px',
-          textShadow: '0 0 10px rgba(255, 255, 255, 0.4)'
-        });
-      } else {
-        // Fallback text if icon fails
-        this.toggleButton.textContent = "A11Y";
-        this.toggleButton.style.fontWeight = '700';
-        this.toggleButton.style.letterSpacing = '0.5px';
-        console.warn('Font Awesome icon not rendered, using text fallback');
-      }
+      if (!this.toggleButton || this.toggleButton.querySelector('.spicy-icon')) return;
+      this.toggleButton.textContent = "A11Y";
+      this.toggleButton.classList.add('spicy-text-fallback');
+      logger.warn('Toggle button icon not rendered, using text fallback');
     }, 100);
     
     // Apply position
@@ -224,7 +437,7 @@ createToggleButton() {
     event.stopPropagation();
     event.stopImmediatePropagation();
     
-    console.log('Toggle button clicked, current state:', this.isOpen);
+    logger.debug('Toggle button clicked, current state:', this.isOpen);
     
     // Set a flag on the event to identify it came from our button
     event._fromAccessibilityToggle = true;
@@ -234,128 +447,108 @@ createToggleButton() {
       this.togglePanel();
     }, 10);
   }, true); // true for capture phase
-    
-    // Add enhanced hover effects
-    this.toggleButton.addEventListener('mouseover', () => {
-      this.toggleButton.style.backgroundColor = '#3255DD';
-      this.toggleButton.style.transform = 'scale(1.05)';
-      this.toggleButton.style.boxShadow = '0 6px 24px rgba(66, 101, 237, 0.5), 0 0 0 3px rgba(255, 255, 255, 0.3), 0 0 15px rgba(66, 101, 237, 0.5)';
-    });
-    
-    this.toggleButton.addEventListener('mouseout', () => {
-      this.toggleButton.style.backgroundColor = '#4265ED';
-      this.toggleButton.style.transform = 'scale(1)';
-      this.toggleButton.style.boxShadow = '0 4px 20px rgba(66, 101, 237, 0.3), 0 0 0 2px rgba(255, 255, 255, 0.2)';
-    });
   
   // Add to DOM
-  document.body.appendChild(this.toggleButton);
-    console.log('Toggle button added to DOM');
+  this.getContainer().appendChild(this.toggleButton);
+    logger.debug('Toggle button added to DOM');
 }
   
   /**
    * Apply position to the toggle button based on config
    */
   applyButtonPosition() {
-    // Reset previous positioning
-    this.toggleButton.style.top = '';
-    this.toggleButton.style.bottom = '';
-    this.toggleButton.style.left = '';
-    this.toggleButton.style.right = '';
-    
-    // Apply new positioning
-    const position = this.config.position || 'bottom-right';
+    this.placeElement(this.toggleButton, '20px');
+  }
+  
+  /**
+   * Apply position to the panel based on config, just above or below the toggle button
+   */
+  applyPanelPosition() {
+    this.placeElement(this.panel, '95px');
+  }
+  
+  /**
+   * Resolve a position option to the corner of the viewport it occupies
+   * 'start' and 'end' follow the text direction; 'left' and 'right' stay put
+   * Accepts both 'bottom-end' and 'bottomEnd' forms, and the panel's old ids (see LEGACY_POSITIONS)
+   * @param {string} [position] - Position option (defaults to the configured one)
+   * @returns {{vertical: string, side: string}} 'top'/'bottom' and 'left'/'right'
+   */
+  resolvePosition(position = this.config.position) {
+    const value = String(LEGACY_POSITIONS[position] || position || 'bottom-end').replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+    const vertical = value.includes('top') ? 'top' : 'bottom';
     
-    if (position.includes('top')) {
-      this.toggleButton.style.top = '20px';
-    } else {
-      this.toggleButton.style.bottom = '20px';
+    if (value.includes('left') || value.includes('right')) {
+      return { vertical, side: value.includes('left') ? 'left' : 'right' };
     }
     
-    if (position.includes('left')) {
-      this.toggleButton.style.left = '20px';
-    } else {
-      this.toggleButton.style.right = '20px';
-    }
+    // Logical positions: the inline start is the left edge in LTR and the right edge in RTL
+    const atStart = value.includes('start');
+    const rtl = this.getDirection() === 'rtl';
+    return { vertical, side: atStart !== rtl ? 'left' : 'right' };
+  }
+  
+  /**
+   * Pin a fixed element to the configured corner
+   * Fixed elements are placed against the viewport, whose direction is the page's rather
+   * than the widget's, so the resolved physical side is used instead of inset-inline-*
+   * @param {HTMLElement} element - Toggle button or panel
+   * @param {string} offset - Distance from the top or bottom edge
+   */
+  placeElement(element, offset) {
+    if (!element) return;
+    
+    const { vertical, side } = this.resolvePosition();
+    
+    element.style[vertical] = offset;
+    element.style[vertical === 'top' ? 'bottom' : 'top'] = 'auto';
+    element.style[side] = '20px';
+    element.style[side === 'left' ? 'right' : 'left'] = 'auto';
   }
   
   /**
    * Create the accessibility panel
    */
   createPanel() {
-    console.log('Creating accessibility panel...');
+    logger.debug('Creating accessibility panel...');
     
     try {
+      // Replace the panel of an earlier render
+      if (this.panel) {
+        this.panel.remove();
+      }
+      
       // Create panel element - use document.createElement for maximum compatibility
       this.panel = document.createElement('div');
       this.panel.id = 'spicy-access-panel';
+      this.panel.className = UI_CLASS;
       this.panel.setAttribute('aria-hidden', 'true');
+      this.panel.hidden = true; // Start hidden
       this.panel.setAttribute('role', 'dialog');
       this.panel.setAttribute('aria-labelledby', 'spicy-panel-title');
+      this.panel.setAttribute('dir', this.getDirection());
+      if (this.i18n) {
+        this.panel.setAttribute('lang', this.i18n.getLanguage());
+      }
       
-      // Apply enhanced modern styles directly
-      Object.assign(this.panel.style, {
-        position: 'fixed',
-        bottom: '95px',
-        right: '20px',
-        zIndex: '9998',
-        width: '420px',
-        maxHeight: '80vh',
-        backgroundColor: 'white',
-        borderRadius: '16px',
-        boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2), 0 0 0 1px rgba(66, 101, 237, 0.1)',
-        border: 'none',
-        overflowY: 'auto',
-        display: 'none', // Start hidden
-        transition: 'opacity 0.3s ease, transform 0.3s ease'
-    });
+      this.applyPanelPosition();
     
     // Create panel header
       const header = document.createElement('div');
       header.className = 'spicy-panel-header';
-      Object.assign(header.style, {
-        display: 'flex',
-        justifyContent: 'space-between',
-        alignItems: 'center',
-        padding: '20px 22px',
-        backgroundColor: '#20408E',
-        backgroundImage: 'linear-gradient(135deg, #3255DD, #20408E)',
-        color: 'white',
-        borderRadius: '16px 16px 0 0'
-      });
       
       // Create title
       const title = document.createElement('h2');
       title.id = 'spicy-panel-title';
-      title.textContent = 'Accessibility Settings';
-      Object.assign(title.style, {
-        margin: '0',
-        fontSize: '19px',
-        fontWeight: '600',
-        color: 'white',
-        letterSpacing: '0.3px'
-      });
+      title.textContent = this.t('widget.title');
+      this.panelTitle = title;
       
       // Create close button
       const closeBtn = document.createElement('button');
       closeBtn.id = 'spicy-close-btn';
-      closeBtn.setAttribute('aria-label', 'Close menu');
-      closeBtn.innerHTML = '<i class="fa-solid fa-xmark"></i>';
-      Object.assign(closeBtn.style, {
-        background: 'rgba(255, 255, 255, 0.2)',
-        border: 'none',
-        fontSize: '18px',
-        color: 'white',
-        cursor: 'pointer',
-        width: '32px',
-        height: '32px',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        borderRadius: '50%',
-        transition: 'all 0.2s',
-        backdropFilter: 'blur(2px)'
-      });
+      closeBtn.setAttribute('aria-label', this.t('widget.closeMenu'));
+      this.closeBtn = closeBtn;
+      closeBtn.innerHTML = renderIcon('fa-solid fa-xmark');
       
       // Add header elements
       header.appendChild(title);
@@ -364,68 +557,49 @@ createToggleButton() {
     // Create panel content container
       this.panelContent = document.createElement('div');
       this.panelContent.className = 'spicy-panel-content';
-      Object.assign(this.panelContent.style, {
-        padding: '24px',
-        maxHeight: 'calc(80vh - 140px)',
-        overflowY: 'auto'
-      });
       
       // Create panel footer
       const footer = document.createElement('div');
       footer.className = 'spicy-panel-footer';
-      Object.assign(footer.style, {
-        padding: '20px',
-        backgroundColor: '#20408E',
-        backgroundImage: 'linear-gradient(135deg, #20408E, #3255DD)',
-        borderRadius: '0 0 16px 16px',
-        textAlign: 'center',
-        color: 'white'
-      });
       
       // Create reset button
       const resetBtn = document.createElement('button');
       resetBtn.id = 'spicy-reset-all';
-      resetBtn.innerHTML = '<i class="fa-solid fa-arrows-rotate"></i> Reset All Accessibility Settings';
-      Object.assign(resetBtn.style, {
-        width: '100%',
-        padding: '14px',
-        fontSize: '16px',
-        backgroundColor: 'rgba(255, 255, 255, 0.15)',
-        color: 'white',
-        border: 'none',
-        borderRadius: '10px',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        gap: '10px',
-        fontWeight: '500',
-        cursor: 'pointer',
-        transition: 'all 0.2s',
-        backdropFilter: 'blur(2px)'
-      });
+      this.setIconText(resetBtn, 'fa-solid fa-arrows-rotate', this.t('widget.reset'));
+      this.resetBtn = resetBtn;
+      
+      // Create branding
+      const branding = document.createElement('p');
+      branding.className = 'spicy-branding';
+      this.setBrandingText(branding);
+      this.branding = branding;
+      
+      // Create undo/redo controls
+      const historyRow = document.createElement('div');
+      historyRow.className = 'spicy-history-controls';
+      
+      this.undoBtn = this.createHistoryButton('spicy-undo-btn', 'fa-solid fa-rotate-left', this.t('widget.undo'), this.t('widget.undoTitle'));
+      this.redoBtn = this.createHistoryButton('spicy-redo-btn', 'fa-solid fa-rotate-right', this.t('widget.redo'), this.t('widget.redoTitle'));
       
-      // Add hover effect to reset button
-      resetBtn.addEventListener('mouseover', () => {
-        resetBtn.style.backgroundColor = 'rgba(255, 255, 255, 0.25)';
-        resetBtn.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.15)';
+      this.undoBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.settings.undo();
       });
       
-      resetBtn.addEventListener('mouseout', () => {
-        resetBtn.style.backgroundColor = 'rgba(255, 255, 255, 0.15)';
-        resetBtn.style.boxShadow = 'none';
+      this.redoBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.settings.redo();
       });
       
-      // Create branding
-      const branding = document.createElement('p');
-      branding.className = 'spicy-branding';
-      branding.innerHTML = '<span aria-hidden="true">🍩</span> Powered by SpicyDonut';
-      Object.assign(branding.style, {
-        marginTop: '14px',
-        fontSize: '14px',
-        color: 'rgba(255, 255, 255, 0.7)'
+      historyRow.appendChild(this.undoBtn);
+      historyRow.appendChild(this.redoBtn);
+      this.updateHistoryButtons({
+        canUndo: this.settings.canUndo(),
+        canRedo: this.settings.canRedo()
       });
       
       // Add footer elements
+      footer.appendChild(historyRow);
       footer.appendChild(resetBtn);
       footer.appendChild(branding);
     
@@ -437,35 +611,95 @@ createToggleButton() {
     // Add event listeners
       closeBtn.addEventListener('click', (event) => {
         event.stopPropagation();
-        console.log('Close button clicked');
+        logger.debug('Close button clicked');
         this.togglePanel(false);
       });
       
-      // Add hover effect to close button
-      closeBtn.addEventListener('mouseover', () => {
-        closeBtn.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
-        closeBtn.style.transform = 'scale(1.05)';
-      });
-      
-      closeBtn.addEventListener('mouseout', () => {
-        closeBtn.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
-        closeBtn.style.transform = 'scale(1)';
-      });
-      
       resetBtn.addEventListener('click', (event) => {
         event.stopPropagation();
-        console.log('Reset button clicked');
+        logger.debug('Reset button clicked');
         this.resetAllSettings();
       });
+      
+      // Undo/redo shortcuts while focus is inside the panel
+      this.panel.addEventListener('keydown', this.handlePanelKeydown.bind(this));
     
     // Populate panel with feature modules
     this.populatePanel();
       
       // Add to DOM
-      document.body.appendChild(this.panel);
-      console.log('Panel added to DOM');
+      this.getContainer().appendChild(this.panel);
+      logger.debug('Panel added to DOM');
     } catch (error) {
-      console.error('Error creating panel:', error);
+      logger.error('Error creating panel:', error);
+    }
+  }
+  
+  /**
+   * Create an undo/redo button for the panel footer
+   * @param {string} id - Button ID
+   * @param {string} icon - Icon class
+   * @param {string} label - Visible label
+   * @param {string} title - Tooltip and accessible description
+   * @returns {HTMLButtonElement} Button element
+   */
+  createHistoryButton(id, icon, label, title) {
+    const button = document.createElement('button');
+    button.id = id;
+    button.className = 'spicy-history-btn';
+    this.setHistoryButtonText(button, icon, label, title);
+    
+    return button;
+  }
+  
+  /**
+   * Set the label and tooltip of an undo/redo button
+   * @param {HTMLButtonElement} button - Button element
+   * @param {string} icon - Icon class
+   * @param {string} label - Visible label
+   * @param {string} title - Tooltip and accessible description
+   */
+  setHistoryButtonText(button, icon, label, title) {
+    button.setAttribute('title', title);
+    button.setAttribute('aria-label', title);
+    this.setIconText(button, this.mirrorIcon(icon), label);
+  }
+  
+  /**
+   * Enable or disable the undo/redo buttons
+   * @param {Object} state - History state
+   * @param {boolean} state.canUndo - Whether undo is possible
+   * @param {boolean} state.canRedo - Whether redo is possible
+   */
+  updateHistoryButtons({ canUndo, canRedo }) {
+    [[this.undoBtn, canUndo], [this.redoBtn, canRedo]].forEach(([button, enabled]) => {
+      if (!button) return;
+      button.disabled = !enabled;
+      button.setAttribute('aria-disabled', String(!enabled));
+    });
+  }
+  
+  /**
+   * Handle keyboard shortcuts while focus is inside the panel
+   * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handlePanelKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    
+    // Leave native undo alone in text fields
+    const target = event.target;
+    if (target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type === 'text'))) {
+      return;
+    }
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      this.settings.undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      this.settings.redo();
     }
   }
   
@@ -473,106 +707,92 @@ createToggleButton() {
    * Populate the panel with feature modules
    */
   populatePanel() {
-    console.log('Populating panel with feature modules...');
+    logger.debug('Populating panel with feature modules...');
     
     try {
       // Clear existing content
       if (this.panelContent) {
-        this.panelContent.innerHTML = '';
+        this.panelContent.replaceChildren();
       } else {
-        console.error('Panel content container not found');
+        logger.error('Panel content container not found');
         return;
       }
       
       // Verify feature modules
       if (!this.featureModules) {
-        console.warn('No feature modules array available');
-        this.panelContent.innerHTML = '<p style="text-align:center;padding:20px;">No accessibility features available.</p>';
+        logger.warn('No feature modules array available');
+        this.panelContent.appendChild(createElement('p', {
+          className: 'spicy-empty-message',
+          textContent: this.t('widget.noFeatures')
+        }));
         return;
       }
       
       // Filter out invalid modules
       const validModules = this.featureModules.filter(module => 
         module && 
-        typeof module === 'object' && 
-        module.features && 
-        Array.isArray(module.features) &&
-        module.features.length > 0
+        typeof module === 'object' && (
+          typeof module.renderSection === 'function' ||
+          (Array.isArray(module.features) && module.features.length > 0)
+        )
       );
       
       // Log feature modules for debugging
-      console.log(`Found ${validModules.length} valid feature modules out of ${this.featureModules.length} total`);
+      logger.debug(`Found ${validModules.length} valid feature modules out of ${this.featureModules.length} total`);
       
       if (validModules.length === 0) {
-        console.warn('No valid feature modules available to populate panel');
-        this.panelContent.innerHTML = '<p style="text-align:center;padding:20px;">No accessibility features available.</p>';
+        logger.warn('No valid feature modules available to populate panel');
+        this.panelContent.appendChild(createElement('p', {
+          className: 'spicy-empty-message',
+          textContent: this.t('widget.noFeatures')
+        }));
         return;
       }
       
       // Add sections from feature modules
       validModules.forEach((module, index) => {
+        // Modules with their own UI render the whole section
+        if (typeof module.renderSection === 'function') {
+          try {
+            const customSection = module.renderSection();
+            if (customSection) {
+              this.panelContent.appendChild(customSection);
+            }
+          } catch (error) {
+            logger.error(`Error rendering section for ${module.id}:`, error);
+          }
+          return;
+        }
+        
         // Create section container with proper styling
-        const sectionTitle = module.constructor ? module.constructor.name.replace('Features', '') : `Feature Group ${index + 1}`;
-        const sectionIcon = this.getSectionIcon(sectionTitle);
+        const sectionTitle = this.t(`sections.${module.id}`, {}, module.title || module.id || `Feature Group ${index + 1}`);
+        const sectionIcon = module.icon || this.getSectionIcon(module.title);
         
-        console.log(`Creating section for ${sectionTitle} with ${module.features.length} features`);
+        logger.debug(`Creating section for ${sectionTitle} with ${module.features.length} features`);
         
         // Create section
         const section = document.createElement('div');
         section.className = 'spicy-section';
-        Object.assign(section.style, {
-          marginBottom: '24px',
-          paddingBottom: '20px',
-          borderBottom: '1px solid #f0f0f0'
-        });
         
         // Create section header
         const header = document.createElement('h3');
-        header.innerHTML = `<i class="${sectionIcon}"></i> ${sectionTitle}`;
-        Object.assign(header.style, {
-          fontSize: '16px',
-          color: '#4265ED',
-          marginBottom: '16px',
-          fontWeight: '600',
-          display: 'flex',
-          alignItems: 'center',
-          paddingBottom: '8px',
-          borderBottom: '1px solid #eee'
-        });
-        
-        // Style the header icon
-        const headerIcon = header.querySelector('i');
-        if (headerIcon) {
-          headerIcon.style.marginRight = '10px';
-          Object.assign(headerIcon.style, {
-            fontFamily: "'Font Awesome 6 Free', 'FontAwesome', sans-serif",
-            fontWeight: '900',
-            marginRight: '10px'
-          });
-        }
-        
+        this.setIconText(header, sectionIcon, sectionTitle);
         section.appendChild(header);
         
         // Create grid for feature buttons
         const grid = document.createElement('div');
         grid.className = 'spicy-grid';
-        Object.assign(grid.style, {
-          display: 'grid',
-          gridTemplateColumns: 'repeat(3, 1fr)',
-          gap: '12px',
-          marginTop: '16px'
-        });
         
         // Add features to grid
         const enabledFeatures = Array.isArray(module.enabledFeatures) ? module.enabledFeatures : module.features;
         
         if (enabledFeatures.length === 0) {
-          console.warn(`No enabled features for ${sectionTitle}`);
+          logger.warn(`No enabled features for ${sectionTitle}`);
           return;
         }
         
         // Create special handling for text size slider if it exists
-        if (sectionTitle === 'Text' && enabledFeatures.some(f => f.id === 'fontSize')) {
+        if (enabledFeatures.some(f => f.id === 'fontSize')) {
           const fontSizeFeature = enabledFeatures.find(f => f.id === 'fontSize');
           if (fontSizeFeature) {
             const fontSizeControl = this.createFontSizeControl(fontSizeFeature, module.settings);
@@ -580,10 +800,31 @@ createToggleButton() {
           }
         }
         
+        // Features with a list of options get a row of option buttons
+        enabledFeatures
+          .filter(feature => feature.type === 'select')
+          .forEach(feature => section.appendChild(this.createSelectControl(feature, module.settings)));
+        
+        // Features with preset levels get a stepped slider
+        enabledFeatures
+          .filter(feature => feature.type === 'level' && Array.isArray(feature.options))
+          .forEach(feature => section.appendChild(this.createLevelControl(feature, module.settings)));
+        
+        // Other number features get a continuous slider
+        enabledFeatures
+          .filter(feature => feature.type === 'slider' && feature.id !== 'fontSize')
+          .forEach(feature => section.appendChild(this.createSliderControl(feature, module.settings)));
+        
+        // Color features share one editor
+        const colorFeatures = enabledFeatures.filter(feature => feature.type === 'color');
+        if (colorFeatures.length > 0) {
+          section.appendChild(this.createColorEditor(colorFeatures, module.settings));
+        }
+        
         // Add regular features
         enabledFeatures.forEach(feature => {
-          // Skip fontSize if we already added it as a slider
-          if (feature.id === 'fontSize' && sectionTitle === 'Text') {
+          // Skip fontSize, option lists, sliders and colors, already added above
+          if (feature.id === 'fontSize' || feature.type === 'select' || feature.type === 'slider' || feature.type === 'color' || (feature.type === 'level' && Array.isArray(feature.options))) {
             return;
           }
           
@@ -592,13 +833,17 @@ createToggleButton() {
             const button = this.createFeatureButton(feature, module.settings);
             grid.appendChild(button);
           } catch (error) {
-            console.error(`Error creating button for feature ${feature.id}:`, error);
+            logger.error(`Error creating button for feature ${feature.id}:`, error);
           }
         });
         
         // Add grid to section if it has any children
         if (grid.children.length > 0) {
           section.appendChild(grid);
+        }
+        
+        // Add section if it has anything besides the header
+        if (section.children.length > 1) {
           this.panelContent.appendChild(section);
         }
       });
@@ -607,57 +852,26 @@ createToggleButton() {
       try {
         const moveWidgetSection = document.createElement('div');
         moveWidgetSection.className = 'spicy-section';
-        Object.assign(moveWidgetSection.style, {
-          marginBottom: '0',
-          paddingBottom: '0',
-          borderBottom: 'none'
-        });
         
         // Create section header
         const moveHeader = document.createElement('h3');
-        moveHeader.innerHTML = `<i class="fa-solid fa-arrows-up-down-left-right"></i> Widget Position`;
-        Object.assign(moveHeader.style, {
-          fontSize: '16px',
-          color: '#4265ED',
-          marginBottom: '16px',
-          fontWeight: '600',
-          display: 'flex',
-          alignItems: 'center',
-          paddingBottom: '8px',
-          borderBottom: '1px solid #eee'
-        });
-        
-        // Style the icon
-        const moveIcon = moveHeader.querySelector('i');
-        if (moveIcon) {
-          Object.assign(moveIcon.style, {
-            fontFamily: "'Font Awesome 6 Free', 'FontAwesome', sans-serif",
-            fontWeight: '900',
-            marginRight: '10px'
-          });
-        }
-        
+        this.setIconText(moveHeader, 'fa-solid fa-arrows-up-down-left-right', this.t('widget.position'));
         moveWidgetSection.appendChild(moveHeader);
         
         // Create grid for position options
         const moveGrid = document.createElement('div');
-        moveGrid.className = 'spicy-grid';
-        Object.assign(moveGrid.style, {
-          display: 'grid',
-          gridTemplateColumns: 'repeat(2, 1fr)',
-          gap: '12px',
-          marginTop: '16px'
-        });
+        moveGrid.className = 'spicy-grid spicy-position-grid';
         
-        // Add position options
-        const positions = [
-          { id: 'bottomRight', name: 'Bottom Right', icon: 'fa-solid fa-arrow-down-right' },
-          { id: 'bottomLeft', name: 'Bottom Left', icon: 'fa-solid fa-arrow-down-left' }
-        ];
+        // Add position options, logical so they follow the direction
+        const positions = PANEL_POSITIONS.map(({ id, message, icon }) => ({
+          id,
+          name: this.t(message),
+          icon: this.mirrorIcon(icon)
+        }));
         
         positions.forEach(position => {
           const button = this.createFeatureButton(position, {
-            getSetting: () => this.config && this.config.position === position.id,
+            getSetting: () => this.isAtPosition(position.id),
             updateSetting: () => this.moveWidget(position.id)
           });
           moveGrid.appendChild(button);
@@ -666,34 +880,34 @@ createToggleButton() {
         moveWidgetSection.appendChild(moveGrid);
         this.panelContent.appendChild(moveWidgetSection);
       } catch (error) {
-        console.error('Error adding move widget section:', error);
+        logger.error('Error adding move widget section:', error);
       }
       
-      // Ensure all icons are styled correctly
-      this.enforceIconStyles();
-      
-      console.log('Panel populated successfully');
+      logger.debug('Panel populated successfully');
     } catch (error) {
-      console.error('Error populating panel:', error);
+      logger.error('Error populating panel:', error);
       
       // Emergency fallback - add at least something to the panel
       try {
-        this.panelContent.innerHTML = `
-          <div style="padding: 20px; text-align: center;">
-            <h3 style="margin-bottom: 16px; color: #4265ED;">Accessibility Features</h3>
-            <p>There was an error loading the accessibility features.</p>
-            <button id="spicy-emergency-reset" style="margin-top: 16px; padding: 10px 16px; background: #4265ED; color: white; border: none; border-radius: 8px; cursor: pointer;">
-              Reset All Settings
-            </button>
-          </div>
-        `;
+        const resetButton = createElement('button', {
+          id: 'spicy-emergency-reset',
+          textContent: this.t('widget.resetSettings')
+        });
+        
+        this.panelContent.replaceChildren(createElement('div', {
+          className: 'spicy-panel-error',
+          children: [
+            createElement('h3', { textContent: this.t('widget.errorTitle') }),
+            createElement('p', { textContent: this.t('widget.errorMessage') }),
+            resetButton
+          ]
+        }));
         
-        const resetButton = document.getElementById('spicy-emergency-reset');
-        if (resetButton && this.settings && typeof this.settings.resetAll === 'function') {
+        if (this.settings && typeof this.settings.resetAll === 'function') {
           resetButton.addEventListener('click', () => this.settings.resetAll());
         }
       } catch (e) {
-        console.error('Emergency panel content failed:', e);
+        logger.error('Emergency panel content failed:', e);
       }
     }
   }
@@ -706,196 +920,46 @@ createToggleButton() {
    */
   createFeatureButton(feature, settings) {
     try {
-      console.log(`Creating button for feature: ${feature.id}`);
+      logger.debug(`Creating button for feature: ${feature.id}`);
       
       // Create button element
       const button = document.createElement('button');
       button.className = 'spicy-feature-btn';
       button.id = `spicy-${feature.id}`;
       
-      // Create inner HTML with level indicator if applicable
-      let buttonHTML = `<i class="${feature.icon || 'fa-solid fa-circle'}"></i><span>${feature.name}</span>`;
+      // Icon and name, with a level indicator if applicable
+      const name = this.t(`features.${feature.id}.name`, {}, feature.name);
+      this.setIconText(button, feature.icon || 'fa-solid fa-circle', name, true);
       
       // Add level indicator based on feature type
       if (feature.levels || feature.type === 'slider' || feature.type === 'level') {
-        buttonHTML += `<div class="spicy-level-indicator"></div>`;
-      }
-      
-      button.innerHTML = buttonHTML;
-      
-      // Apply enhanced modern styles
-      Object.assign(button.style, {
-        display: 'flex',
-        flexDirection: 'column',
-        alignItems: 'center',
-        justifyContent: 'center',
-        padding: '22px 10px',
-        backgroundColor: 'white',
-        border: '1px solid #e9ecef',
-        borderRadius: '14px',
-        cursor: 'pointer',
-        transition: 'all 0.25s cubic-bezier(0.4, 0, 0.2, 1)',
-        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.04)',
-        position: 'relative',
-        height: '100px',
-        overflow: 'hidden'
-      });
-      
-      // Style the icon
-      const icon = button.querySelector('i');
-      if (icon) {
-        Object.assign(icon.style, {
-          fontSize: '28px',
-          marginBottom: '12px',
-          color: '#4265ED',
-          fontFamily: "'Font Awesome 6 Free', 'FontAwesome', sans-serif",
-          fontWeight: '900',
-          transition: 'transform 0.3s ease'
-        });
-      }
-      
-      // Style the text
-      const text = button.querySelector('span');
-      if (text) {
-        Object.assign(text.style, {
-          fontSize: '13px',
-          color: '#222',
-          textAlign: 'center',
-          fontWeight: '600'
-        });
-      }
-      
-      // Style level indicator if present
-      const levelIndicator = button.querySelector('.spicy-level-indicator');
-      if (levelIndicator) {
-        Object.assign(levelIndicator.style, {
-          position: 'absolute',
-          bottom: '0',
-          left: '0',
-          width: '0%', // Default width (will be updated based on level)
-          height: '4px',
-          backgroundColor: '#4265ED',
-          transition: 'width 0.3s ease',
-          borderRadius: '0 4px 4px 0'
-        });
+        button.appendChild(createElement('div', { className: 'spicy-level-indicator' }));
       }
       
       // Check if feature is active
       let isActive = false;
-      let currentLevel = 0;
       if (settings && typeof settings.getSetting === 'function') {
         const settingValue = settings.getSetting(feature.id);
         isActive = Boolean(settingValue);
         
-        // If this is a leveled feature, update the level indicator
+        // If this is a leveled feature, fill the level indicator up to the current level
+        const levelIndicator = button.querySelector('.spicy-level-indicator');
         if (levelIndicator && typeof settingValue === 'number') {
-          currentLevel = settingValue;
           const maxLevel = feature.max || 100;
-          const percentage = (currentLevel / maxLevel) * 100;
-          levelIndicator.style.width = `${percentage}%`;
+          levelIndicator.style.width = `${(settingValue / maxLevel) * 100}%`;
         }
         
-        if (isActive) {
-          button.classList.add('active');
-          
-          // Add checkmark
-          const checkmark = document.createElement('div');
-          checkmark.className = 'spicy-checkmark';
-          checkmark.innerHTML = '✓';
-          Object.assign(checkmark.style, {
-            position: 'absolute',
-            top: '10px',
-            right: '10px',
-            background: '#4265ED',
-            color: 'white',
-            width: '22px',
-            height: '22px',
-            borderRadius: '50%',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            fontSize: '14px',
-            fontWeight: 'bold',
-            boxShadow: '0 2px 6px rgba(66, 101, 237, 0.3)',
-            zIndex: '2'
-          });
-          button.appendChild(checkmark);
-          
-          // Update button styles
-          button.style.backgroundColor = '#e7f5ff';
-          button.style.borderColor = '#4265ED';
-          button.style.boxShadow = '0 2px 12px rgba(67, 97, 238, 0.15)';
-        }
+        button.classList.toggle('active', isActive);
       }
       
-      // Add click event with enhanced transitions
+      // Toggle the feature; the active styles and checkmark come from the `active` class
       button.addEventListener('click', () => {
-        isActive = !isActive;
-        
-        if (isActive) {
-          button.classList.add('active');
-          button.style.backgroundColor = '#e7f5ff';
-          button.style.borderColor = '#4265ED';
-          button.style.boxShadow = '0 2px 12px rgba(67, 97, 238, 0.15)';
-          
-          // Scale icon for visual feedback
-          if (icon) {
-            icon.style.transform = 'scale(1.1)';
-            setTimeout(() => { icon.style.transform = 'scale(1)'; }, 300);
-          }
-          
-          // Add checkmark if not exists
-          if (!button.querySelector('.spicy-checkmark')) {
-            const checkmark = document.createElement('div');
-            checkmark.className = 'spicy-checkmark';
-            checkmark.innerHTML = '✓';
-            Object.assign(checkmark.style, {
-              position: 'absolute',
-              top: '10px',
-              right: '10px',
-              background: '#4265ED',
-              color: 'white',
-              width: '22px',
-              height: '22px',
-              borderRadius: '50%',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-              fontSize: '14px',
-              fontWeight: 'bold',
-              boxShadow: '0 2px 6px rgba(66, 101, 237, 0.3)',
-              zIndex: '2',
-              transform: 'scale(0)',
-              transition: 'transform 0.2s ease'
-            });
-            button.appendChild(checkmark);
-            
-            // Animate checkmark
-            setTimeout(() => { checkmark.style.transform = 'scale(1)'; }, 10);
-          }
-        } else {
-          button.classList.remove('active');
-          button.style.backgroundColor = 'white';
-          button.style.borderColor = '#e9ecef';
-          button.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.04)';
-          
-          // Animate icon
-          if (icon) {
-            icon.style.transform = 'scale(0.9)';
-            setTimeout(() => { icon.style.transform = 'scale(1)'; }, 300);
-          }
-          
-          // Remove checkmark if exists
-          const checkmark = button.querySelector('.spicy-checkmark');
-          if (checkmark) {
-            checkmark.style.transform = 'scale(0)';
-            setTimeout(() => {
-              if (checkmark.parentNode === button) {
-                button.removeChild(checkmark);
-              }
-            }, 200);
-          }
+        // Read the stored value so undo, profiles or other tabs can't leave this stale
+        if (settings && typeof settings.getSetting === 'function') {
+          isActive = Boolean(settings.getSetting(feature.id));
         }
+        isActive = !isActive;
+        button.classList.toggle('active', isActive);
         
         // Update setting
         if (settings && typeof settings.updateSetting === 'function') {
@@ -903,42 +967,17 @@ createToggleButton() {
         }
       });
       
-      // Add hover effects
-      button.addEventListener('mouseover', () => {
-        button.style.transform = 'translateY(-3px)';
-        button.style.boxShadow = isActive 
-          ? '0 6px 16px rgba(67, 97, 238, 0.2)' 
-          : '0 6px 12px rgba(0, 0, 0, 0.08)';
-        
-        if (icon) {
-          icon.style.transform = 'scale(1.05)';
-        }
-      });
-      
-      button.addEventListener('mouseout', () => {
-        button.style.transform = 'translateY(0)';
-        button.style.boxShadow = isActive 
-          ? '0 2px 12px rgba(67, 97, 238, 0.15)' 
-          : '0 2px 8px rgba(0, 0, 0, 0.04)';
-        
-        if (icon) {
-          icon.style.transform = 'scale(1)';
-        }
-      });
-      
       // Add info tooltip if applicable
       this.addFeatureInfo(button, feature.id);
       
       return button;
     } catch (error) {
-      console.error(`Error creating button for feature ${feature.id}:`, error);
+      logger.error(`Error creating button for feature ${feature.id}:`, error);
       
       // Return a minimal fallback button
       const fallbackButton = document.createElement('button');
+      fallbackButton.className = 'spicy-fallback-control';
       fallbackButton.textContent = feature.name || 'Feature';
-      fallbackButton.style.padding = '10px';
-      fallbackButton.style.border = '1px solid #ccc';
-      fallbackButton.style.borderRadius = '5px';
       return fallbackButton;
     }
   }
@@ -953,48 +992,17 @@ createToggleButton() {
     try {
       // Create container
       const container = document.createElement('div');
-      container.className = 'spicy-control-group';
-      Object.assign(container.style, {
-        display: 'flex',
-        alignItems: 'center',
-        gap: '15px',
-        marginBottom: '24px',
-        padding: '16px',
-        backgroundColor: '#f8fafc',
-        borderRadius: '14px',
-        boxShadow: 'inset 0 1px 3px rgba(0, 0, 0, 0.05)',
-        border: '1px solid rgba(66, 101, 237, 0.1)'
-      });
+      container.className = 'spicy-control-group spicy-font-size-control';
       
       // Create decrease button
       const decreaseBtn = document.createElement('button');
-      decreaseBtn.innerHTML = '<i class="fa-solid fa-minus"></i>';
-      decreaseBtn.setAttribute('aria-label', 'Decrease font size');
-      Object.assign(decreaseBtn.style, {
-        width: '38px',
-        height: '38px',
-        borderRadius: '50%',
-        border: 'none',
-        backgroundColor: 'white',
-        color: '#4265ED',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        cursor: 'pointer',
-        boxShadow: '0 2px 6px rgba(0, 0, 0, 0.1)',
-        transition: 'all 0.2s ease',
-        fontSize: '16px'
-      });
+      decreaseBtn.className = 'spicy-step-btn';
+      decreaseBtn.innerHTML = renderIcon('fa-solid fa-minus');
+      decreaseBtn.setAttribute('aria-label', this.t('widget.decreaseFontSize'));
       
       // Create slider container
       const sliderContainer = document.createElement('div');
       sliderContainer.className = 'spicy-slider-container';
-      Object.assign(sliderContainer.style, {
-        flexGrow: '1',
-        display: 'flex',
-        flexDirection: 'column',
-        alignItems: 'center'
-      });
       
       // Create slider
       const slider = document.createElement('input');
@@ -1004,101 +1012,23 @@ createToggleButton() {
       slider.max = feature.max || 200;
       slider.step = feature.step || 10;
       
-      // Custom slider styles
-      Object.assign(slider.style, {
-        width: '100%',
-        height: '6px',
-        appearance: 'none',
-        backgroundColor: '#e9ecef',
-        borderRadius: '3px',
-        outline: 'none',
-        cursor: 'pointer'
-      });
-      
-      // Create custom styles for the slider thumb
-      const thumbStyles = `
-        #spicy-font-slider::-webkit-slider-thumb {
-          -webkit-appearance: none;
-          appearance: none;
-          width: 18px;
-          height: 18px;
-          border-radius: 50%;
-          background: #4265ED;
-          box-shadow: 0 2px 5px rgba(66, 101, 237, 0.3);
-          cursor: pointer;
-          transition: all 0.2s ease;
-        }
-        #spicy-font-slider::-webkit-slider-thumb:hover {
-          transform: scale(1.1);
-          box-shadow: 0 2px 8px rgba(66, 101, 237, 0.5);
-        }
-        #spicy-font-slider::-moz-range-thumb {
-          width: 18px;
-          height: 18px;
-          border: none;
-          border-radius: 50%;
-          background: #4265ED;
-          box-shadow: 0 2px 5px rgba(66, 101, 237, 0.3);
-          cursor: pointer;
-          transition: all 0.2s ease;
-        }
-        #spicy-font-slider::-moz-range-thumb:hover {
-          transform: scale(1.1);
-        }
-        #spicy-font-slider::-ms-thumb {
-          width: 18px;
-          height: 18px;
-          border-radius: 50%;
-          background: #4265ED;
-          box-shadow: 0 2px 5px rgba(66, 101, 237, 0.3);
-          cursor: pointer;
-          transition: all 0.2s ease;
-        }
-      `;
-      
-      // Add custom styles to document
-      const styleElement = document.createElement('style');
-      styleElement.textContent = thumbStyles;
-      document.head.appendChild(styleElement);
-      
       // Create label with level indicator
       const labelContainer = document.createElement('div');
-      labelContainer.style.width = '100%';
-      labelContainer.style.display = 'flex';
-      labelContainer.style.justifyContent = 'space-between';
-      labelContainer.style.marginTop = '10px';
+      labelContainer.className = 'spicy-font-size-meta';
       
       const label = document.createElement('div');
       label.id = 'spicy-font-size-label';
       label.textContent = '100%';
-      Object.assign(label.style, {
-        fontSize: '14px',
-        color: '#4265ED',
-        fontWeight: '600',
-        padding: '2px 8px',
-        backgroundColor: 'rgba(66, 101, 237, 0.1)',
-        borderRadius: '4px'
-      });
       
       // Add level indicators
       const levelIndicators = document.createElement('div');
       levelIndicators.className = 'spicy-level-indicators';
-      Object.assign(levelIndicators.style, {
-        display: 'flex',
-        gap: '3px'
-      });
       
       // Create 5 level dots
       const levels = [80, 100, 130, 160, 200];
       levels.forEach(level => {
         const dot = document.createElement('div');
-        Object.assign(dot.style, {
-          width: '8px',
-          height: '8px',
-          borderRadius: '50%',
-          backgroundColor: '#cdd5e0',
-          transition: 'all 0.2s ease'
-        });
+        dot.className = 'spicy-level-dot';
         
         // Add level as data attribute for later reference
         dot.dataset.level = level;
@@ -1111,38 +1041,9 @@ createToggleButton() {
       
       // Create increase button
       const increaseBtn = document.createElement('button');
-      increaseBtn.innerHTML = '<i class="fa-solid fa-plus"></i>';
-      increaseBtn.setAttribute('aria-label', 'Increase font size');
-      Object.assign(increaseBtn.style, {
-        width: '38px',
-        height: '38px',
-        borderRadius: '50%',
-        border: 'none',
-        backgroundColor: 'white',
-        color: '#4265ED',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        cursor: 'pointer',
-        boxShadow: '0 2px 6px rgba(0, 0, 0, 0.1)',
-        transition: 'all 0.2s ease',
-        fontSize: '16px'
-      });
-      
-      // Add hover effects to buttons
-      [decreaseBtn, increaseBtn].forEach(btn => {
-        btn.addEventListener('mouseover', () => {
-          btn.style.backgroundColor = '#f0f7ff';
-          btn.style.transform = 'scale(1.05)';
-          btn.style.boxShadow = '0 3px 10px rgba(66, 101, 237, 0.2)';
-        });
-        
-        btn.addEventListener('mouseout', () => {
-          btn.style.backgroundColor = 'white';
-          btn.style.transform = 'scale(1)';
-          btn.style.boxShadow = '0 2px 6px rgba(0, 0, 0, 0.1)';
-        });
-      });
+      increaseBtn.className = 'spicy-step-btn';
+      increaseBtn.innerHTML = renderIcon('fa-solid fa-plus');
+      increaseBtn.setAttribute('aria-label', this.t('widget.increaseFontSize'));
       
       // Get current value from settings
       if (settings && typeof settings.getSetting === 'function') {
@@ -1156,16 +1057,8 @@ createToggleButton() {
       
       // Function to update level indicators
       function updateLevelIndicators(value) {
-        const dots = levelIndicators.querySelectorAll('div');
-        dots.forEach(dot => {
-          const dotLevel = parseInt(dot.dataset.level);
-          if (value >= dotLevel) {
-            dot.style.backgroundColor = '#4265ED';
-            dot.style.transform = 'scale(1.2)';
-          } else {
-            dot.style.backgroundColor = '#cdd5e0';
-            dot.style.transform = 'scale(1)';
-          }
+        levelIndicators.querySelectorAll('.spicy-level-dot').forEach(dot => {
+          dot.classList.toggle('active', value >= parseInt(dot.dataset.level));
         });
       }
       
@@ -1188,12 +1081,6 @@ createToggleButton() {
         label.textContent = `${newValue}%`;
         updateLevelIndicators(newValue);
         
-        // Add visual feedback
-        decreaseBtn.style.transform = 'scale(0.9)';
-        setTimeout(() => {
-          decreaseBtn.style.transform = 'scale(1)';
-        }, 150);
-        
         if (settings && typeof settings.updateSetting === 'function') {
           settings.updateSetting(feature.id, newValue);
         }
@@ -1207,12 +1094,6 @@ createToggleButton() {
         label.textContent = `${newValue}%`;
         updateLevelIndicators(newValue);
         
-        // Add visual feedback
-        increaseBtn.style.transform = 'scale(0.9)';
-        setTimeout(() => {
-          increaseBtn.style.transform = 'scale(1)';
-        }, 150);
-        
         if (settings && typeof settings.updateSetting === 'function') {
           settings.updateSetting(feature.id, newValue);
         }
@@ -1227,24 +1108,348 @@ createToggleButton() {
       
       return container;
     } catch (error) {
-      console.error('Error creating font size control:', error);
+      logger.error('Error creating font size control:', error);
       
       // Return a fallback
       const fallback = document.createElement('div');
-      fallback.textContent = 'Font Size Control';
-      fallback.style.padding = '10px';
-      fallback.style.border = '1px solid #ccc';
-      fallback.style.borderRadius = '5px';
-      fallback.style.marginBottom = '15px';
+      fallback.className = 'spicy-fallback-control';
+      fallback.textContent = this.t('widget.fontSizeControl');
       return fallback;
     }
   }
   
+  /**
+   * Create a control to pick one of a feature's options
+   * @param {Object} feature - Feature configuration with `options`
+   * @param {Object} settings - Settings manager
+   * @returns {HTMLElement} Control element
+   */
+  createSelectControl(feature, settings) {
+    const container = document.createElement('div');
+    container.className = 'spicy-control-group spicy-select-control';
+    container.id = `spicy-${feature.id}`;
+    
+    // Create label
+    const label = document.createElement('div');
+    label.id = `spicy-${feature.id}-label`;
+    label.className = 'spicy-control-label';
+    this.setIconText(label, feature.icon || 'fa-solid fa-circle', this.t(`features.${feature.id}.name`, {}, feature.name), true);
+    
+    const descriptionKey = `features.${feature.id}.description`;
+    if (this.i18n && this.i18n.has(descriptionKey)) {
+      label.setAttribute('title', this.t(descriptionKey));
+    }
+    
+    // Create option buttons
+    const options = document.createElement('div');
+    options.className = 'spicy-select-options';
+    options.setAttribute('role', 'group');
+    options.setAttribute('aria-labelledby', label.id);
+    
+    (feature.options || []).forEach(option => {
+      const value = option && typeof option === 'object' ? option.value : option;
+      const fallback = option && typeof option === 'object' && option.label ? option.label : String(value);
+      
+      const button = document.createElement('button');
+      button.className = 'spicy-select-option';
+      button.dataset.value = value;
+      button.textContent = this.t(`features.${feature.id}.options.${value}`, {}, fallback);
+      
+      button.addEventListener('click', () => {
+        if (settings && typeof settings.updateSetting === 'function') {
+          settings.updateSetting(feature.id, value);
+        }
+      });
+      
+      options.appendChild(button);
+    });
+    
+    container.appendChild(label);
+    container.appendChild(options);
+    
+    if (settings && typeof settings.getSetting === 'function') {
+      this.updateSelectControl(container, settings.getSetting(feature.id));
+    }
+    
+    return container;
+  }
+  
+  /**
+   * Mark the selected option of a select control
+   * @param {HTMLElement} control - Control created by createSelectControl
+   * @param {*} value - Selected value
+   */
+  updateSelectControl(control, value) {
+    control.querySelectorAll('.spicy-select-option').forEach(button => {
+      const selected = button.dataset.value === String(value);
+      button.classList.toggle('active', selected);
+      button.setAttribute('aria-pressed', String(selected));
+    });
+  }
+  
+  /**
+   * Create a stepped slider to pick one of a feature's preset levels
+   * @param {Object} feature - Feature configuration with `options`, and `wcag` for the level meeting WCAG
+   * @param {Object} settings - Settings manager
+   * @returns {HTMLElement} Control element
+   */
+  createLevelControl(feature, settings) {
+    const levels = (feature.options || []).map(option => (option && typeof option === 'object' ? option.value : option));
+    
+    const container = document.createElement('div');
+    container.className = 'spicy-control-group spicy-level-control';
+    container.id = `spicy-${feature.id}`;
+    
+    // Create label, with the current level at the end
+    const label = document.createElement('div');
+    label.id = `spicy-${feature.id}-label`;
+    label.className = 'spicy-control-label';
+    this.setIconText(label, feature.icon || 'fa-solid fa-circle', this.t(`features.${feature.id}.name`, {}, feature.name), true);
+    
+    const descriptionKey = `features.${feature.id}.description`;
+    if (this.i18n && this.i18n.has(descriptionKey)) {
+      label.setAttribute('title', this.t(descriptionKey));
+    }
+    
+    const valueLabel = document.createElement('span');
+    valueLabel.className = 'spicy-level-value';
+    label.appendChild(valueLabel);
+    
+    // Create slider, stepping through the levels by index
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'spicy-level-slider';
+    slider.min = 0;
+    slider.max = Math.max(levels.length - 1, 0);
+    slider.step = 1;
+    slider.setAttribute('aria-labelledby', label.id);
+    
+    slider.addEventListener('input', () => {
+      const value = levels[parseInt(slider.value)];
+      this.updateLevelControl(container, feature, value);
+      
+      if (settings && typeof settings.updateSetting === 'function') {
+        settings.updateSetting(feature.id, value);
+      }
+    });
+    
+    container.appendChild(label);
+    container.appendChild(slider);
+    
+    if (settings && typeof settings.getSetting === 'function') {
+      this.updateLevelControl(container, feature, settings.getSetting(feature.id));
+    }
+    
+    return container;
+  }
+  
+  /**
+   * Move a level control to a value and describe it
+   * @param {HTMLElement} control - Control created by createLevelControl
+   * @param {Object} feature - Feature configuration
+   * @param {*} value - Current level value
+   */
+  updateLevelControl(control, feature, value) {
+    const options = feature.options || [];
+    const index = Math.max(options.findIndex(option => (option && typeof option === 'object' ? option.value : option) === value), 0);
+    const option = options[index];
+    const optionValue = option && typeof option === 'object' ? option.value : option;
+    const fallback = option && typeof option === 'object' && option.label ? option.label : String(optionValue);
+    
+    let text = this.t(`features.${feature.id}.options.${optionValue}`, {}, fallback);
+    if (feature.wcag !== undefined && optionValue === feature.wcag) {
+      text += ` · ${this.t('widget.wcagMinimum')}`;
+    }
+    
+    const slider = control.querySelector('.spicy-level-slider');
+    if (slider) {
+      slider.value = index;
+      slider.setAttribute('aria-valuetext', text);
+    }
+    
+    const valueLabel = control.querySelector('.spicy-level-value');
+    if (valueLabel) {
+      valueLabel.textContent = text;
+    }
+  }
+  
+  /**
+   * Create a continuous slider for a number feature
+   * @param {Object} feature - Feature configuration (min, max, step, optional unit)
+   * @param {Object} settings - Settings manager
+   * @returns {HTMLElement} Control element
+   */
+  createSliderControl(feature, settings) {
+    const container = document.createElement('div');
+    container.className = 'spicy-control-group spicy-slider-control';
+    container.id = `spicy-${feature.id}`;
+    
+    // Create label, with the current value at the end
+    const label = document.createElement('div');
+    label.id = `spicy-${feature.id}-label`;
+    label.className = 'spicy-control-label';
+    this.setIconText(label, feature.icon || 'fa-solid fa-circle', this.t(`features.${feature.id}.name`, {}, feature.name), true);
+    
+    const descriptionKey = `features.${feature.id}.description`;
+    if (this.i18n && this.i18n.has(descriptionKey)) {
+      label.setAttribute('title', this.t(descriptionKey));
+    }
+    
+    const valueLabel = document.createElement('span');
+    valueLabel.className = 'spicy-slider-value';
+    label.appendChild(valueLabel);
+    
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'spicy-range-slider';
+    slider.min = feature.min !== undefined ? feature.min : 0;
+    slider.max = feature.max !== undefined ? feature.max : 100;
+    slider.step = feature.step || 1;
+    slider.setAttribute('aria-labelledby', label.id);
+    
+    slider.addEventListener('input', () => {
+      const value = Number(slider.value);
+      this.updateSliderControl(container, feature, value);
+      
+      if (settings && typeof settings.updateSetting === 'function') {
+        settings.updateSetting(feature.id, value);
+      }
+    });
+    
+    container.appendChild(label);
+    container.appendChild(slider);
+    
+    if (settings && typeof settings.getSetting === 'function') {
+      this.updateSliderControl(container, feature, settings.getSetting(feature.id));
+    }
+    
+    return container;
+  }
+  
+  /**
+   * Move a slider control to a value and show it
+   * @param {HTMLElement} control - Control created by createSliderControl
+   * @param {Object} feature - Feature configuration
+   * @param {number} value - Current value
+   */
+  updateSliderControl(control, feature, value) {
+    const number = typeof value === 'number' ? value : Number(feature.default) || 0;
+    const text = `${number}${feature.unit || ''}`;
+    
+    const slider = control.querySelector('.spicy-range-slider');
+    if (slider) {
+      slider.value = number;
+      slider.setAttribute('aria-valuetext', text);
+    }
+    
+    const valueLabel = control.querySelector('.spicy-slider-value');
+    if (valueLabel) {
+      valueLabel.textContent = text;
+    }
+  }
+  
+  /**
+   * Create an editor with a color picker per feature
+   * Features with `contrastWith` (another color feature's ID) show their WCAG contrast ratio with it
+   * @param {Object[]} features - Color feature configurations
+   * @param {Object} settings - Settings manager
+   * @returns {HTMLElement} Editor element
+   */
+  createColorEditor(features, settings) {
+    const getValue = key => (settings && typeof settings.getSetting === 'function' ? settings.getSetting(key) : null);
+    
+    const editor = document.createElement('div');
+    editor.className = 'spicy-control-group spicy-color-editor';
+    
+    const title = document.createElement('div');
+    title.className = 'spicy-control-label';
+    this.setIconText(title, 'fa-solid fa-palette', this.t('widget.colorEditor'), true);
+    
+    editor.appendChild(title);
+    
+    features.forEach(feature => {
+      const control = document.createElement('div');
+      control.className = 'spicy-color-control';
+      control.id = `spicy-${feature.id}`;
+      
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.id = `spicy-${feature.id}-input`;
+      
+      const label = document.createElement('label');
+      label.htmlFor = input.id;
+      this.setIconText(label, feature.icon || 'fa-solid fa-circle', this.t(`features.${feature.id}.name`, {}, feature.name), true);
+      
+      const descriptionKey = `features.${feature.id}.description`;
+      if (this.i18n && this.i18n.has(descriptionKey)) {
+        label.setAttribute('title', this.t(descriptionKey));
+      }
+      
+      control.appendChild(input);
+      control.appendChild(label);
+      
+      // Contrast readout, read by screen readers along with the picker
+      if (feature.contrastWith) {
+        const readout = document.createElement('span');
+        readout.className = 'spicy-contrast-readout';
+        readout.id = `spicy-${feature.id}-contrast`;
+        input.setAttribute('aria-describedby', readout.id);
+        control.appendChild(readout);
+      }
+      
+      input.addEventListener('input', () => {
+        if (settings && typeof settings.updateSetting === 'function') {
+          settings.updateSetting(feature.id, input.value);
+        }
+      });
+      
+      this.updateColorControl(control, feature, getValue);
+      editor.appendChild(control);
+    });
+    
+    return editor;
+  }
+  
+  /**
+   * Show a color control's value and its contrast ratio
+   * @param {HTMLElement} control - Control created by createColorEditor
+   * @param {Object} feature - Feature configuration
+   * @param {Function} getValue - Returns the value of a setting by key
+   */
+  updateColorControl(control, feature, getValue) {
+    const value = getValue(feature.id);
+    
+    const input = control.querySelector('input[type="color"]');
+    if (input && typeof value === 'string' && input.value !== value) {
+      input.value = value;
+    }
+    
+    const readout = control.querySelector('.spicy-contrast-readout');
+    if (!readout) return;
+    
+    const ratio = contrastRatio(value, getValue(feature.contrastWith));
+    if (ratio === null) {
+      readout.textContent = '';
+      delete readout.dataset.level;
+      return;
+    }
+    
+    // Ratios are truncated, so 4.49 never reads as a passing 4.5
+    const level = contrastLevel(ratio);
+    
+    readout.textContent = `${Math.floor(ratio * 10) / 10}:1 · ${this.t(`widget.contrastLevels.${level}`)}`;
+    readout.setAttribute('title', this.t('widget.contrastWith', {
+      name: this.t(`features.${feature.contrastWith}.name`, {}, feature.contrastWith)
+    }));
+    // Colored per level by widget.css
+    readout.dataset.level = level;
+  }
+  
   /**
    * Reset all settings
    */
   resetAllSettings() {
-    console.log('Resetting all settings...');
+    logger.debug('Resetting all settings...');
     
     if (this.settings && typeof this.settings.resetAll === 'function') {
       this.settings.resetAll();
@@ -1255,10 +1460,10 @@ createToggleButton() {
         }
       });
     } else {
-      console.warn('No feature modules found to reset');
+      logger.warn('No feature modules found to reset');
     }
     
-    console.log('All settings reset');
+    logger.debug('All settings reset');
   }
   
   /**
@@ -1270,19 +1475,27 @@ createToggleButton() {
       // Track whether user is using keyboard or mouse
       let usingKeyboard = false;
       
-      // Handle keyboard navigation
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Tab') {
-          usingKeyboard = true;
-          document.body.classList.add('keyboard-focus');
+      // Drop the document listeners of an earlier render
+      this.removeFocusListeners();
+      
+      this.focusHandlers = {
+        // Handle keyboard navigation
+        keydown: (e) => {
+          if (e.key === 'Tab') {
+            usingKeyboard = true;
+            document.body.classList.add('keyboard-focus');
+          }
+        },
+        
+        // Handle mouse navigation
+        mousedown: () => {
+          usingKeyboard = false;
+          document.body.classList.remove('keyboard-focus');
         }
-      });
+      };
       
-      // Handle mouse navigation
-      document.addEventListener('mousedown', () => {
-        usingKeyboard = false;
-        document.body.classList.remove('keyboard-focus');
-      });
+      document.addEventListener('keydown', this.focusHandlers.keydown);
+      document.addEventListener('mousedown', this.focusHandlers.mousedown);
       
       // Add special focus handling to all focusable elements in our widget
       if (this.panel) {
@@ -1316,12 +1529,24 @@ createToggleButton() {
         });
       }
       
-      console.log('Focus listeners added for keyboard navigation');
+      logger.debug('Focus listeners added for keyboard navigation');
     } catch (error) {
-      console.error('Error adding focus listeners:', error);
+      logger.error('Error adding focus listeners:', error);
     }
   }
   
+  /**
+   * Remove the document listeners added by addFocusListeners
+   */
+  removeFocusListeners() {
+    if (!this.focusHandlers) return;
+    
+    document.removeEventListener('keydown', this.focusHandlers.keydown);
+    document.removeEventListener('mousedown', this.focusHandlers.mousedown);
+    document.body.classList.remove('keyboard-focus');
+    this.focusHandlers = null;
+  }
+  
   /**
    * Get section icon based on section title
    * @param {string} sectionTitle - Title of the section
@@ -1354,52 +1579,23 @@ createToggleButton() {
   
   /**
    * Add feature info
+   * Descriptions come from the `features.<id>.description` messages
    * @param {HTMLElement} button - Feature button
    * @param {string} featureId - ID of the feature
    */
   addFeatureInfo(button, featureId) {
-    // Feature info descriptions
-    const featureInfo = {
-      fontSize: 'Adjust the text size on the page for better readability',
-      lineHeight: 'Increase the space between lines of text',
-      letterSpacing: 'Adjust the space between letters for easier reading',
-      dyslexiaFont: 'Use a font designed to be more readable for people with dyslexia',
-      
-      contrast: 'Increase contrast between text and background',
-      darkMode: 'Switch to dark theme for reduced eye strain',
-      lightMode: 'Switch to light theme',
-      grayscale: 'Convert all colors to grayscale',
-      invertColors: 'Invert all colors on the page',
-      
-      readingGuide: 'Show a horizontal guide that follows your cursor to help focus on text',
-      focusMode: 'Highlight the element you are currently focused on',
-      highlightLinks: 'Make all links on the page more visible',
-      bigCursor: 'Use a larger cursor that is easier to see',
-      
-      stopAnimations: 'Pause all animations on the page',
-      hideImages: 'Hide all images for distraction-free reading',
-      
-      textToSpeech: 'Read selected text aloud',
-      volumeControl: 'Adjust the volume of the screen reader'
-    };
+    const descriptionKey = `features.${featureId}.description`;
     
     // Add tooltip if info is available
-    if (featureInfo[featureId]) {
-      button.setAttribute('title', featureInfo[featureId]);
-      button.setAttribute('aria-label', `${button.textContent.trim()} - ${featureInfo[featureId]}`);
+    if (this.i18n && this.i18n.has(descriptionKey)) {
+      const description = this.t(descriptionKey);
+      button.setAttribute('title', description);
+      button.setAttribute('aria-label', `${button.textContent.trim()} - ${description}`);
       
       // Add info icon to corner of button
       const infoIcon = document.createElement('span');
       infoIcon.className = 'spicy-info-icon';
-      infoIcon.innerHTML = 'ⓘ';
-      Object.assign(infoIcon.style, {
-        position: 'absolute',
-        top: '10px',
-        left: '10px',
-        fontSize: '12px',
-        color: 'rgba(66, 101, 237, 0.7)',
-        fontWeight: 'bold'
-      });
+      infoIcon.textContent = 'ⓘ';
       
       button.appendChild(infoIcon);
     }
@@ -1407,13 +1603,14 @@ createToggleButton() {
   
   /**
    * Move widget to a different position
-   * @param {string} position - New position for the widget
+   * @param {string} position - New position for the widget; the panel's old ids are mapped to logical ones
    */
   moveWidget(position) {
     try {
       if (!this.toggleButton) return;
       
       // Update position in config
+      position = LEGACY_POSITIONS[position] || position;
       this.config.position = position;
       
       // Apply new position to button
@@ -1421,43 +1618,35 @@ createToggleButton() {
       
       // If panel is open, update its position too
       if (this.isOpen && this.panel) {
-        // Apply position to panel
-        if (position.includes('left')) {
-          this.panel.style.left = '20px';
-          this.panel.style.right = 'auto';
-        } else {
-          this.panel.style.right = '20px';
-          this.panel.style.left = 'auto';
-        }
-        
-        if (position.includes('top')) {
-          this.panel.style.top = '95px';
-          this.panel.style.bottom = 'auto';
-        } else {
-          this.panel.style.bottom = '95px';
-          this.panel.style.top = 'auto';
-        }
+        this.applyPanelPosition();
       }
       
       // Show success message
-      console.log(`Widget moved to ${position}`);
+      logger.debug(`Widget moved to ${position}`);
       
       // Update position buttons in panel
-      const bottomRightBtn = document.getElementById('spicy-bottomRight');
-      const bottomLeftBtn = document.getElementById('spicy-bottomLeft');
-      
-      if (bottomRightBtn) {
-        bottomRightBtn.classList.toggle('active', position === 'bottomRight');
-      }
-      
-      if (bottomLeftBtn) {
-        bottomLeftBtn.classList.toggle('active', position === 'bottomLeft');
-      }
+      PANEL_POSITIONS.forEach(({ id }) => {
+        const button = this.getElementById(`spicy-${id}`);
+        if (button) {
+          button.classList.toggle('active', this.isAtPosition(id));
+        }
+      });
     } catch (error) {
-      console.error('Error moving widget:', error);
+      logger.error('Error moving widget:', error);
     }
   }
   
+  /**
+   * Check whether the widget currently sits in the corner a position option resolves to
+   * @param {string} position - Position option, e.g. 'bottom-start' or 'bottom-left'
+   * @returns {boolean} Whether the widget is there
+   */
+  isAtPosition(position) {
+    const current = this.resolvePosition();
+    const target = this.resolvePosition(position);
+    return current.vertical === target.vertical && current.side === target.side;
+  }
+  
   /**
    * Update UI based on current settings
    * @param {Object} settings - Current accessibility settings
@@ -1472,59 +1661,34 @@ createToggleButton() {
         this.featureModules.forEach(module => {
           if (module && module.features && Array.isArray(module.features)) {
             module.features.forEach(feature => {
-              const button = document.getElementById(`spicy-${feature.id}`);
-              if (button) {
-                const isActive = settings[feature.id];
-                button.classList.toggle('active', isActive);
-                
-                // Update button styles based on active state
-                if (isActive) {
-                  button.style.backgroundColor = '#e7f5ff';
-                  button.style.borderColor = '#4265ED';
-                  button.style.boxShadow = '0 2px 12px rgba(67, 97, 238, 0.15)';
-                  
-                  // Add checkmark if not exists
-                  if (!button.querySelector('.spicy-checkmark')) {
-                    const checkmark = document.createElement('div');
-                    checkmark.className = 'spicy-checkmark';
-                    checkmark.innerHTML = '✓';
-                    Object.assign(checkmark.style, {
-                      position: 'absolute',
-                      top: '10px',
-                      right: '10px',
-                      background: '#4265ED',
-                      color: 'white',
-                      width: '22px',
-                      height: '22px',
-                      borderRadius: '50%',
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'center',
-                      fontSize: '14px',
-                      fontWeight: 'bold',
-                      boxShadow: '0 2px 6px rgba(66, 101, 237, 0.3)',
-                      zIndex: '2'
-                    });
-                    button.appendChild(checkmark);
-                  }
-                } else {
-                  button.style.backgroundColor = 'white';
-                  button.style.borderColor = '#e9ecef';
-                  button.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.04)';
-                  
-                  // Remove checkmark if exists
-                  const checkmark = button.querySelector('.spicy-checkmark');
-                  if (checkmark) {
-                    button.removeChild(checkmark);
-                  }
-                }
+              const button = this.getElementById(`spicy-${feature.id}`);
+              if (button && feature.type === 'select') {
+                this.updateSelectControl(button, settings[feature.id]);
+              } else if (button && feature.type === 'level' && Array.isArray(feature.options)) {
+                this.updateLevelControl(button, feature, settings[feature.id]);
+              } else if (button && feature.type === 'slider' && feature.id !== 'fontSize') {
+                this.updateSliderControl(button, feature, settings[feature.id]);
+              } else if (button && feature.type === 'color') {
+                this.updateColorControl(button, feature, key => settings[key]);
+              } else if (button) {
+                button.classList.toggle('active', Boolean(settings[feature.id]));
               }
             });
           }
         });
       }
+      
+      // Keep the font size slider in step with changes made elsewhere (undo, profiles, batches)
+      const fontSlider = this.getElementById('spicy-font-slider');
+      if (fontSlider && typeof settings.fontSize === 'number' && parseInt(fontSlider.value) !== settings.fontSize) {
+        fontSlider.value = settings.fontSize;
+        const fontLabel = this.getElementById('spicy-font-size-label');
+        if (fontLabel) {
+          fontLabel.textContent = `${settings.fontSize}%`;
+        }
+      }
     } catch (error) {
-      console.error('Error updating UI:', error);
+      logger.error('Error updating UI:', error);
     }
   }
 
@@ -1533,11 +1697,11 @@ createToggleButton() {
    * @param {boolean|undefined} forceState - Force panel to specific state (true=open, false=close)
    */
   togglePanel(forceState) {
-    console.log('Toggling panel, current state:', this.isOpen);
+    logger.debug('Toggling panel, current state:', this.isOpen);
     
     // Prevent rapid toggling with a longer lock period
     if (this._justToggled) {
-      console.log('Ignoring toggle: panel was just toggled');
+      logger.debug('Ignoring toggle: panel was just toggled');
       return;
     }
     
@@ -1547,7 +1711,7 @@ createToggleButton() {
     
     try {
       if (!this.panel) {
-        console.error('Panel element not found!');
+        logger.error('Panel element not found!');
         this.createPanel();
         if (!this.panel) {
           throw new Error('Failed to create accessibility panel');
@@ -1566,50 +1730,25 @@ createToggleButton() {
       if (this.toggleButton) {
         if (this.isOpen) {
           this.toggleButton.setAttribute('aria-expanded', 'true');
-          this.toggleButton.setAttribute('aria-label', 'Close accessibility menu');
+          this.toggleButton.setAttribute('aria-label', this.t('widget.close'));
         } else {
           this.toggleButton.setAttribute('aria-expanded', 'false');
-          this.toggleButton.setAttribute('aria-label', 'Open accessibility menu');
+          this.toggleButton.setAttribute('aria-label', this.t('widget.open'));
         }
       }
       
       // Update panel
       if (this.isOpen) {
         // Position the panel correctly
-        if (this.config && this.config.position) {
-          const position = this.config.position;
-          
-          if (position.includes('left')) {
-            this.panel.style.left = '20px';
-            this.panel.style.right = 'auto';
-          } else {
-            this.panel.style.right = '20px';
-            this.panel.style.left = 'auto';
-          }
-          
-          if (position.includes('top')) {
-            this.panel.style.top = '95px';
-            this.panel.style.bottom = 'auto';
-          } else {
-            this.panel.style.bottom = '95px';
-            this.panel.style.top = 'auto';
-          }
-        } else {
-          // Default position if no config
-          this.panel.style.right = '20px';
-          this.panel.style.bottom = '95px';
-          this.panel.style.left = 'auto';
-          this.panel.style.top = 'auto';
-        }
+        this.applyPanelPosition();
         
         // Show panel
-        this.panel.style.display = 'block';
+        this.panel.hidden = false;
         
         // Force layout recalculation before transition
         this.panel.offsetHeight;
         
-        this.panel.style.opacity = '1';
-        this.panel.style.transform = 'translateY(0)';
+        this.panel.classList.add('visible');
         this.panel.setAttribute('aria-hidden', 'false');
         
         // Refresh content
@@ -1629,18 +1768,20 @@ createToggleButton() {
               if (!e || !e.target) return;
               
               // Skip if clicking on the toggle button or within the panel
+              // (composedPath sees through the shadow root, where e.target is retargeted to the host)
               if (!this.toggleButton || !this.panel) return;
-              if (this.toggleButton.contains(e.target) || this.panel.contains(e.target)) {
+              const path = typeof e.composedPath === 'function' ? e.composedPath() : [e.target];
+              if (path.includes(this.toggleButton) || path.includes(this.panel)) {
                 return;
               }
               
               // Skip if this is the same click that opened the panel
               if (clickTarget === e.target) {
-                console.log('Skipping same click that opened panel');
+                logger.debug('Skipping same click that opened panel');
                 return;
               }
               
-              console.log('Outside click detected, closing panel');
+              logger.debug('Outside click detected, closing panel');
               this.togglePanel(false);
             };
             
@@ -1650,8 +1791,7 @@ createToggleButton() {
         }, 600); // Increased delay for more reliable handling
       } else {
         // Hide panel
-        this.panel.style.opacity = '0';
-        this.panel.style.transform = 'translateY(20px)';
+        this.panel.classList.remove('visible');
         this.panel.setAttribute('aria-hidden', 'true');
         
         // Remove outside click handler
@@ -1663,19 +1803,20 @@ createToggleButton() {
         // Wait for transition to complete
         setTimeout(() => {
           if (!this.isOpen && this.panel) {
-            this.panel.style.display = 'none';
+            this.panel.hidden = true;
           }
         }, 300);
       }
       
-      console.log('Panel toggled, new state:', this.isOpen);
+      logger.debug('Panel toggled, new state:', this.isOpen);
     } catch (error) {
-      console.error('Error toggling panel:', error);
+      logger.error('Error toggling panel:', error);
       
       // Emergency fallback
       this.isOpen = false;
       if (this.panel) {
-        this.panel.style.display = 'none';
+        this.panel.classList.remove('visible');
+        this.panel.hidden = true;
       }
     }
   }
@@ -1710,34 +1851,4 @@ createToggleButton() {
       event.preventDefault();
       this.togglePanel(false);
     }
-  }
-
-  /**
-   * Enforce consistent icon styles across the panel
-   * This ensures all Font Awesome icons are properly styled
-   */
-  enforceIconStyles() {
-    try {
-      if (!this.panel) return;
-      
-      // Find all Font Awesome icons in the panel
-      const icons = this.panel.querySelectorAll('i[class*="fa-"]');
-      
-      // Apply consistent styling to each icon
-      icons.forEach(icon => {
-        Object.assign(icon.style, {
-          fontFamily: "'Font Awesome 6 Free', 'FontAwesome', sans-serif",
-          fontWeight: '900',
-          fontStyle: 'normal',
-          display: 'inline-block',
-          textRendering: 'auto',
-          lineHeight: '1'
-        });
-      });
-      
-      console.log(`Applied consistent styling to ${icons.length} icons`);
-    } catch (error) {
-      console.error('Error enforcing icon styles:', error);
-    }
-  }
-}
\ No newline at end of file
+  }}
\ No newline at end of file
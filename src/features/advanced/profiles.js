@@ -4,17 +4,28 @@
  */
 
 import { createElement } from '../../utils/dom';
+import { renderIcon } from '../../utils/icons';
 
 export default class Profiles {
   /**
    * Creates a new Profiles instance
    * @param {Settings} settings - Settings manager instance
    * @param {EventBus} events - Event bus instance
+   * @param {I18n} i18n - Translations
    */
-  constructor(settings, events) {
+  constructor(settings, events, i18n) {
     this.settings = settings;
     this.events = events;
+    this.i18n = i18n;
+    this.id = 'profiles';
+    this.title = 'Profiles';
+    this.icon = 'fa-solid fa-user-gear';
     this.features = []; // No toggleable features, just a control panel
+    
+    // Controls of the rendered section, looked up directly since the panel may be in a shadow root
+    this.profileSelect = null;
+    this.nameInput = null;
+    this.unsubscribers = [];
   }
   
   /**
@@ -22,9 +33,12 @@ export default class Profiles {
    */
   init() {
     // Listen for profile events
-    this.events.on('settings:profile:loaded', this.handleProfileLoaded.bind(this));
-    this.events.on('settings:profile:saved', this.handleProfileSaved.bind(this));
-    this.events.on('settings:profile:deleted', this.handleProfileDeleted.bind(this));
+    this.unsubscribers = [
+      this.events.on('settings:profile:loaded', this.handleProfileLoaded.bind(this)),
+      this.events.on('settings:profile:saved', this.handleProfileSaved.bind(this)),
+      this.events.on('settings:profile:deleted', this.handleProfileDeleted.bind(this)),
+      this.events.on('settings:profiles:replaced', this.handleProfilesReplaced.bind(this))
+    ];
   }
   
   /**
@@ -35,7 +49,7 @@ export default class Profiles {
     // Create section container
     const section = createElement('div', {
       className: 'spicy-section',
-      innerHTML: `<h3><i class="fa-solid fa-user-gear"></i> Profiles</h3>`
+      innerHTML: `<h3>${renderIcon(this.icon)} ${this.i18n.t('sections.profiles', {}, this.title)}</h3>`
     });
     
     // Create profiles control
@@ -45,7 +59,7 @@ export default class Profiles {
     const profileSelect = createElement('select', {
       id: 'spicy-profile-select',
       attributes: {
-        'aria-label': 'Select accessibility profile'
+        'aria-label': this.i18n.t('profiles.select')
       }
     });
     
@@ -56,17 +70,14 @@ export default class Profiles {
     const saveButton = createElement('button', {
       className: 'spicy-btn',
       id: 'spicy-save-profile',
-      innerHTML: '<i class="fa-solid fa-floppy-disk"></i> Save'
+      innerHTML: `${renderIcon('fa-solid fa-floppy-disk')} ${this.i18n.t('profiles.save')}`
     });
     
     // Create delete button
     const deleteButton = createElement('button', {
       className: 'spicy-btn spicy-reset',
       id: 'spicy-delete-profile',
-      innerHTML: '<i class="fa-solid fa-trash"></i>',
-      style: {
-        padding: '8px 12px'
-      }
+      innerHTML: renderIcon('fa-solid fa-trash')
     });
     
     // Add event listeners
@@ -89,37 +100,21 @@ export default class Profiles {
     profileControls.appendChild(deleteButton);
     
     // Add custom profile input
-    const customProfileContainer = createElement('div', {
-      style: {
-        marginTop: '10px',
-        display: 'flex',
-        gap: '8px'
-      }
-    });
+    const customProfileContainer = createElement('div', { className: 'spicy-custom-profile' });
     
     const customProfileInput = createElement('input', {
       id: 'spicy-custom-profile-name',
       attributes: {
         type: 'text',
-        placeholder: 'Create new profile...',
-        'aria-label': 'New profile name'
-      },
-      style: {
-        flexGrow: '1',
-        padding: '8px 12px',
-        borderRadius: '6px',
-        border: '1px solid var(--spicy-border)',
-        fontSize: '14px'
+        placeholder: this.i18n.t('profiles.newPlaceholder'),
+        'aria-label': this.i18n.t('profiles.newLabel')
       }
     });
     
     const createButton = createElement('button', {
       className: 'spicy-btn',
       id: 'spicy-create-profile',
-      innerHTML: '<i class="fa-solid fa-plus"></i> Create',
-      style: {
-        whiteSpace: 'nowrap'
-      }
+      innerHTML: `${renderIcon('fa-solid fa-plus')} ${this.i18n.t('profiles.create')}`
     });
     
     createButton.addEventListener('click', () => {
@@ -133,6 +128,9 @@ export default class Profiles {
     section.appendChild(profileControls);
     section.appendChild(customProfileContainer);
     
+    this.profileSelect = profileSelect;
+    this.nameInput = customProfileInput;
+    
     return section;
   }
   
@@ -172,19 +170,10 @@ export default class Profiles {
    * @returns {string} Formatted profile name
    */
   formatProfileName(profileName) {
-    // Special handling for built-in profiles
-    const specialProfiles = {
-      default: 'Default',
-      highContrast: 'High Contrast',
-      dyslexic: 'Dyslexia-friendly',
-      senior: 'Senior-friendly',
-      lowVision: 'Low Vision',
-      motor: 'Motor Disabilities',
-      cognitive: 'Cognitive Support'
-    };
-    
-    if (profileName in specialProfiles) {
-      return specialProfiles[profileName];
+    // Built-in profiles have translated names
+    const nameKey = `profiles.names.${profileName}`;
+    if (this.i18n.has(nameKey)) {
+      return this.i18n.t(nameKey);
     }
     
     // Regular formatting for custom profiles
@@ -220,13 +209,13 @@ export default class Profiles {
    * Save current settings as a profile
    */
   saveCurrentProfile() {
-    const profileSelect = document.getElementById('spicy-profile-select');
+    const profileSelect = this.profileSelect;
     const selectedProfile = profileSelect.value;
     
     // Check for default profile
     if (selectedProfile === 'default') {
       // Prompt for a new name instead
-      const newName = prompt('Cannot overwrite the default profile. Enter a name for your custom profile:');
+      const newName = prompt(this.i18n.t('profiles.cannotOverwriteDefault'));
       if (!newName) return;
       
       // Save as new profile
@@ -238,7 +227,7 @@ export default class Profiles {
       }
     } else {
       // Confirm overwrite
-      const confirm = window.confirm(`Are you sure you want to overwrite the "${this.formatProfileName(selectedProfile)}" profile?`);
+      const confirm = window.confirm(this.i18n.t('profiles.confirmOverwrite', { name: this.formatProfileName(selectedProfile) }));
       if (!confirm) return;
       
       // Save profile
@@ -250,11 +239,11 @@ export default class Profiles {
    * Create a new profile
    */
   createNewProfile() {
-    const nameInput = document.getElementById('spicy-custom-profile-name');
+    const nameInput = this.nameInput;
     const profileName = nameInput.value.trim();
     
     if (!profileName) {
-      alert('Please enter a name for your profile');
+      alert(this.i18n.t('profiles.enterName'));
       return;
     }
     
@@ -273,18 +262,18 @@ export default class Profiles {
    * Delete the current profile
    */
   deleteCurrentProfile() {
-    const profileSelect = document.getElementById('spicy-profile-select');
+    const profileSelect = this.profileSelect;
     const selectedProfile = profileSelect.value;
     
     // Prevent deleting built-in profiles
     const builtInProfiles = ['default', 'highContrast', 'dyslexic', 'senior', 'lowVision', 'motor', 'cognitive'];
     if (builtInProfiles.includes(selectedProfile)) {
-      alert(`Cannot delete the built-in "${this.formatProfileName(selectedProfile)}" profile`);
+      alert(this.i18n.t('profiles.cannotDeleteBuiltIn', { name: this.formatProfileName(selectedProfile) }));
       return;
     }
     
     // Confirm deletion
-    const confirm = window.confirm(`Are you sure you want to delete the "${this.formatProfileName(selectedProfile)}" profile?`);
+    const confirm = window.confirm(this.i18n.t('profiles.confirmDelete', { name: this.formatProfileName(selectedProfile) }));
     if (!confirm) return;
     
     // Delete profile
@@ -301,7 +290,7 @@ export default class Profiles {
    * @param {string} selectedProfile - Profile to select
    */
   updateProfileSelect(selectedProfile) {
-    const profileSelect = document.getElementById('spicy-profile-select');
+    const profileSelect = this.profileSelect;
     
     // Repopulate the dropdown
     this.populateProfileSelect(profileSelect);
@@ -316,7 +305,7 @@ export default class Profiles {
    */
   handleProfileLoaded(profileName) {
     // Update profile select if it exists
-    const profileSelect = document.getElementById('spicy-profile-select');
+    const profileSelect = this.profileSelect;
     if (profileSelect) {
       profileSelect.value = profileName;
     }
@@ -328,7 +317,7 @@ export default class Profiles {
    */
   handleProfileSaved(profileName) {
     // Update profile select if it exists
-    const profileSelect = document.getElementById('spicy-profile-select');
+    const profileSelect = this.profileSelect;
     if (profileSelect) {
       this.updateProfileSelect(profileName);
     }
@@ -339,9 +328,30 @@ export default class Profiles {
    */
   handleProfileDeleted() {
     // Update profile select if it exists
-    const profileSelect = document.getElementById('spicy-profile-select');
+    const profileSelect = this.profileSelect;
     if (profileSelect) {
       this.updateProfileSelect('default');
     }
   }
+  
+  /**
+   * Handle profiles replaced event (e.g. after a remote sync)
+   */
+  handleProfilesReplaced() {
+    // Update profile select if it exists
+    const profileSelect = this.profileSelect;
+    if (profileSelect) {
+      this.updateProfileSelect(this.getCurrentProfileName() || 'default');
+    }
+  }
+  
+  /**
+   * Stop listening for profile events
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.profileSelect = null;
+    this.nameInput = null;
+  }
 }
\ No newline at end of file
@@ -3,17 +3,26 @@
  * Handles screen reader, media controls, etc.
  */
 
-import { createElement } from '../../utils/dom';
+import { createElement, UI_CLASS } from '../../utils/dom';
+import { renderIcon } from '../../utils/icons';
+import { createLogger } from '../../utils/logger';
+
+const logger = createLogger('audio');
 
 export default class AudioFeatures {
   /**
    * Creates a new AudioFeatures instance
    * @param {Settings} settings - Settings manager instance
    * @param {EventBus} events - Event bus instance
+   * @param {I18n} i18n - Translations
    */
-  constructor(settings, events) {
+  constructor(settings, events, i18n) {
     this.settings = settings;
     this.events = events;
+    this.i18n = i18n;
+    this.id = 'audio';
+    this.title = 'Audio';
+    this.icon = 'fa-solid fa-volume-high';
     this.features = [
       {
         id: 'textToSpeech',
@@ -30,6 +39,7 @@ export default class AudioFeatures {
     this.isSpeaking = false;
     this.selectedVoice = null;
     this.readingRate = 1;
+    this.unsubscribers = [];
   }
   
   /**
@@ -40,31 +50,36 @@ export default class AudioFeatures {
     this.isSpeechAvailable = 'speechSynthesis' in window;
     
     if (!this.isSpeechAvailable) {
-      console.warn('Speech synthesis not available in this browser');
+      logger.warn('Speech synthesis not available in this browser');
       // Remove text-to-speech feature if not available
       this.enabledFeatures = this.enabledFeatures.filter(f => f.id !== 'textToSpeech');
     }
     
-    // Apply current settings
-    this.applySettings(this.settings.getAll());
+    // Relabel the reader controls when the language changes
+    this.unsubscribers.push(this.events.on('language:changed', this.updateReaderLabels.bind(this)));
     
-    // Listen for settings changes
-    this.events.on('settings:changed', this.applySettings.bind(this));
+    // Mirror the reader controls when the text direction changes
+    this.unsubscribers.push(this.events.on('direction:changed', (direction) => {
+      const readerControls = document.getElementById('spicy-reader-controls');
+      if (readerControls) {
+        readerControls.setAttribute('dir', direction);
+      }
+    }));
     
     // Listen for panel close to stop speech
-    this.events.on('panel:closed', () => {
+    this.unsubscribers.push(this.events.on('panel:closed', () => {
       if (this.isSpeaking) {
         window.speechSynthesis.cancel();
         this.isSpeaking = false;
       }
-    });
+    }));
   }
   
   /**
    * Apply audio settings to the page
    * @param {Object} settings - Current settings
    */
-  applySettings(settings) {
+  apply(settings) {
     // Apply text-to-speech
     if (settings.textToSpeech !== this.lastSettings?.textToSpeech) {
       if (settings.textToSpeech) {
@@ -78,80 +93,6 @@ export default class AudioFeatures {
     this.lastSettings = { ...settings };
   }
   
-  /**
-   * Render audio features section in the panel
-   * @returns {HTMLElement} Section element
-   */
-  renderSection() {
-    // Don't render if no features are enabled or speech synthesis not available
-    if (this.enabledFeatures.length === 0 || !this.isSpeechAvailable) return null;
-    
-    // Create section container
-    const section = createElement('div', {
-      className: 'spicy-section',
-      innerHTML: `<h3><i class="fa-solid fa-headphones"></i> Audio & Speech</h3>`
-    });
-    
-    // Create grid for feature buttons
-    const grid = createElement('div', { className: 'spicy-grid' });
-    
-    // Add toggle features
-    this.enabledFeatures.forEach(feature => {
-      const button = this.createFeatureButton(feature);
-      grid.appendChild(button);
-    });
-    
-    // Add grid to section if it has any children
-    if (grid.children.length > 0) {
-      section.appendChild(grid);
-    }
-    
-    return section;
-  }
-  
-  /**
-   * Create a feature toggle button
-   * @param {Object} feature - Feature configuration
-   * @returns {HTMLElement} Button element
-   */
-  createFeatureButton(feature) {
-    const button = createElement('button', {
-      className: 'spicy-feature-btn',
-      id: `spicy-${feature.id}`,
-      innerHTML: `
-        <i class="${feature.icon}"></i>
-        <span>${feature.name}</span>
-      `
-    });
-    
-    // Set active state based on current setting
-    if (this.settings.getSetting(feature.id)) {
-      button.classList.add('active');
-    }
-    
-    // Add click event
-    button.addEventListener('click', () => {
-      const isActive = button.classList.toggle('active');
-      this.settings.updateSetting(feature.id, isActive);
-    });
-    
-    return button;
-  }
-  
-  /**
-   * Update UI based on current settings
-   * @param {Object} settings - Current settings
-   */
-  updateUI(settings) {
-    // Update toggle buttons
-    this.features.forEach(feature => {
-      const button = document.getElementById(`spicy-${feature.id}`);
-      if (button) {
-        button.classList.toggle('active', settings[feature.id]);
-      }
-    });
-  }
-  
   /**
    * Initialize screen reader
    */
@@ -167,18 +108,20 @@ export default class AudioFeatures {
     // Create reader controls
     const readerControls = createElement('div', {
       id: 'spicy-reader-controls',
+      className: UI_CLASS,
+      attributes: { dir: this.i18n.getDirection() },
       innerHTML: `
-        <button id="spicy-reader-play" aria-label="Play screen reader">
-          <i class="fa-solid fa-play"></i>
+        <button id="spicy-reader-play" aria-label="${this.i18n.t('audio.play')}">
+          ${renderIcon('fa-solid fa-play')}
         </button>
-        <button id="spicy-reader-pause" aria-label="Pause screen reader">
-          <i class="fa-solid fa-pause"></i>
+        <button id="spicy-reader-pause" aria-label="${this.i18n.t('audio.pause')}">
+          ${renderIcon('fa-solid fa-pause')}
         </button>
-        <button id="spicy-reader-stop" aria-label="Stop screen reader">
-          <i class="fa-solid fa-stop"></i>
+        <button id="spicy-reader-stop" aria-label="${this.i18n.t('audio.stop')}">
+          ${renderIcon('fa-solid fa-stop')}
         </button>
-        <select id="spicy-reader-voice" aria-label="Select voice"></select>
-        <input type="range" id="spicy-reader-rate" aria-label="Reading speed" min="0.5" max="2" step="0.1" value="1">
+        <select id="spicy-reader-voice" aria-label="${this.i18n.t('audio.voice')}"></select>
+        <input type="range" id="spicy-reader-rate" aria-label="${this.i18n.t('audio.rate')}" min="0.5" max="2" step="0.1" value="1">
       `
     });
     
@@ -219,7 +162,7 @@ export default class AudioFeatures {
     });
     
     // Add selection listener for the whole page
-    document.addEventListener('mouseup', () => {
+    this.selectionHandler = () => {
       const selection = window.getSelection();
       if (selection && selection.toString().trim().length > 0) {
         // Show play button
@@ -228,6 +171,27 @@ export default class AudioFeatures {
         // Hide play button
         document.getElementById('spicy-reader-play').classList.remove('active');
       }
+    };
+    document.addEventListener('mouseup', this.selectionHandler);
+  }
+  
+  /**
+   * Update the accessible labels of the reader controls to the current language
+   */
+  updateReaderLabels() {
+    const labels = {
+      'spicy-reader-play': 'audio.play',
+      'spicy-reader-pause': 'audio.pause',
+      'spicy-reader-stop': 'audio.stop',
+      'spicy-reader-voice': 'audio.voice',
+      'spicy-reader-rate': 'audio.rate'
+    };
+    
+    Object.entries(labels).forEach(([id, key]) => {
+      const control = document.getElementById(id);
+      if (control) {
+        control.setAttribute('aria-label', this.i18n.t(key));
+      }
     });
   }
   
@@ -271,7 +235,7 @@ export default class AudioFeatures {
     // Get selected text
     const selectedText = window.getSelection().toString();
     if (!selectedText) {
-      alert('Please select text to read aloud');
+      alert(this.i18n.t('audio.selectText'));
       return;
     }
     
@@ -297,7 +261,7 @@ export default class AudioFeatures {
     };
     
     utterance.onerror = (e) => {
-      console.error('Speech synthesis error:', e);
+      logger.error('Speech synthesis error:', e);
       this.isSpeaking = false;
     };
     
@@ -322,4 +286,24 @@ export default class AudioFeatures {
       controls.style.display = 'none';
     }
   }
+  
+  /**
+   * Stop speaking and remove the reader controls and selection listener
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    
+    this.disableScreenReader();
+    
+    const controls = document.getElementById('spicy-reader-controls');
+    if (controls) {
+      controls.remove();
+    }
+    
+    if (this.selectionHandler) {
+      document.removeEventListener('mouseup', this.selectionHandler);
+      this.selectionHandler = null;
+    }
+  }
 }
@@ -3,17 +3,39 @@
  * Handles page structure, reading guide, tooltips, etc.
  */
 
-import { createElement, trapFocus } from '../../utils/dom';
+import { createElement, trapFocus, UI_CLASS } from '../../utils/dom';
+import { renderIcon } from '../../utils/icons';
+
+/**
+ * Show the stored title while the pointer is over an element
+ * @this {HTMLElement}
+ */
+function showTitle() {
+  this.setAttribute('title', this.dataset.spicyTooltip);
+}
+
+/**
+ * Hide the title again so the native tooltip doesn't linger
+ * @this {HTMLElement}
+ */
+function hideTitle() {
+  this.removeAttribute('title');
+}
 
 export default class NavigationFeatures {
   /**
    * Creates a new NavigationFeatures instance
    * @param {Settings} settings - Settings manager instance
    * @param {EventBus} events - Event bus instance
+   * @param {I18n} i18n - Translations
    */
-  constructor(settings, events) {
+  constructor(settings, events, i18n) {
     this.settings = settings;
     this.events = events;
+    this.i18n = i18n;
+    this.id = 'navigation';
+    this.title = 'Navigation';
+    this.icon = 'fa-solid fa-location-arrow';
     this.features = [
       {
         id: 'pageStructure',
@@ -40,54 +62,38 @@ export default class NavigationFeatures {
     
     // Store reference to handlers for cleaning up
     this.handlers = {};
+    this.unsubscribers = [];
+    
+    // Original id and tabindex of headings focused from the structure panel
+    this.focusedHeadings = new Map();
   }
   
   /**
    * Initialize navigation features
    */
   init() {
-    // Apply any existing settings
-    const settings = this.settings.getAll();
-    
-    if (settings.pageStructure) {
-      this.showPageStructure();
-    }
-    
-    if (settings.readingGuide) {
-      this.enableReadingGuide();
-    }
-    
-    if (settings.tooltips) {
-      this.toggleTooltips(true);
-    }
-    
-    // Listen for settings changes
-    this.events.on('settings:changed', (settings, changedKey) => {
-      if (changedKey === 'pageStructure') {
-        if (settings.pageStructure) {
-          this.showPageStructure();
-        } else {
-          this.hidePageStructure();
-        }
-      } else if (changedKey === 'readingGuide') {
-        if (settings.readingGuide) {
-          this.enableReadingGuide();
-        } else {
-          this.disableReadingGuide();
-        }
-      } else if (changedKey === 'tooltips') {
-        this.toggleTooltips(settings.tooltips);
+    // Re-render the structure panel text when the language changes
+    this.unsubscribers.push(this.events.on('language:changed', this.updateStructureLabels.bind(this)));
+    
+    // Mirror the structure panel when the text direction changes
+    this.unsubscribers.push(this.events.on('direction:changed', (direction) => {
+      const structurePanel = document.getElementById('spicy-structure-panel');
+      if (structurePanel) {
+        structurePanel.setAttribute('dir', direction);
       }
-    });
+    }));
   }
   
   /**
    * Apply navigation settings to the page
+   * On page load only the features that are on are applied; afterwards, only what changed
    * @param {Object} settings - Current settings
+   * @param {Object|null} diff - Change diff, null on page load
    */
-  applySettings(settings) {
-    // Apply page structure
-    if (settings.pageStructure !== this.lastSettings?.pageStructure) {
+  apply(settings, diff) {
+    const shouldApply = key => (diff ? diff.keys.includes(key) : Boolean(settings[key]));
+    
+    if (shouldApply('pageStructure')) {
       if (settings.pageStructure) {
         this.showPageStructure();
       } else {
@@ -95,8 +101,7 @@ export default class NavigationFeatures {
       }
     }
     
-    // Apply reading guide
-    if (settings.readingGuide !== this.lastSettings?.readingGuide) {
+    if (shouldApply('readingGuide')) {
       if (settings.readingGuide) {
         this.createReadingGuide();
       } else {
@@ -104,85 +109,9 @@ export default class NavigationFeatures {
       }
     }
     
-    // Apply tooltips
-    document.body.classList.toggle('spicy-tooltips', settings.tooltips);
-    
-    // Update last settings
-    this.lastSettings = { ...settings };
-  }
-  
-  /**
-   * Render navigation features section in the panel
-   * @returns {HTMLElement} Section element
-   */
-  renderSection() {
-    // Don't render if no features are enabled
-    if (this.enabledFeatures.length === 0) return null;
-    
-    // Create section container
-    const section = createElement('div', {
-      className: 'spicy-section',
-      innerHTML: `<h3><i class="fa-solid fa-sitemap"></i> Navigation</h3>`
-    });
-    
-    // Create grid for feature buttons
-    const grid = createElement('div', { className: 'spicy-grid' });
-    
-    // Add toggle features
-    this.enabledFeatures.forEach(feature => {
-      const button = this.createFeatureButton(feature);
-      grid.appendChild(button);
-    });
-    
-    // Add grid to section if it has any children
-    if (grid.children.length > 0) {
-      section.appendChild(grid);
+    if (shouldApply('tooltips')) {
+      this.toggleTooltips(settings.tooltips);
     }
-    
-    return section;
-  }
-  
-  /**
-   * Create a feature toggle button
-   * @param {Object} feature - Feature configuration
-   * @returns {HTMLElement} Button element
-   */
-  createFeatureButton(feature) {
-    const button = createElement('button', {
-      className: 'spicy-feature-btn',
-      id: `spicy-${feature.id}`,
-      innerHTML: `
-        <i class="${feature.icon}"></i>
-        <span>${feature.name}</span>
-      `
-    });
-    
-    // Set active state based on current setting
-    if (this.settings.getSetting(feature.id)) {
-      button.classList.add('active');
-    }
-    
-    // Add click event
-    button.addEventListener('click', () => {
-      const isActive = button.classList.toggle('active');
-      this.settings.updateSetting(feature.id, isActive);
-    });
-    
-    return button;
-  }
-  
-  /**
-   * Update UI based on current settings
-   * @param {Object} settings - Current settings
-   */
-  updateUI(settings) {
-    // Update toggle buttons
-    this.features.forEach(feature => {
-      const button = document.getElementById(`spicy-${feature.id}`);
-      if (button) {
-        button.classList.toggle('active', settings[feature.id]);
-      }
-    });
   }
   
   /**
@@ -198,11 +127,13 @@ export default class NavigationFeatures {
     // Create panel
     const structurePanel = createElement('div', {
       id: 'spicy-structure-panel',
+      className: UI_CLASS,
+      attributes: { dir: this.i18n.getDirection() },
       innerHTML: `
-        <h3>Page Structure</h3>
+        <h3>${this.i18n.t('navigation.structureTitle')}</h3>
         <div class="spicy-panel-header">
-          <button id="spicy-structure-close" aria-label="Close structure panel">
-            <i class="fa-solid fa-xmark"></i>
+          <button id="spicy-structure-close" aria-label="${this.i18n.t('navigation.closeStructure')}">
+            ${renderIcon('fa-solid fa-xmark')}
           </button>
         </div>
         <ul id="spicy-structure-list"></ul>
@@ -228,6 +159,18 @@ export default class NavigationFeatures {
     this.populateStructurePanel();
   }
   
+  /**
+   * Update the structure panel text to the current language
+   */
+  updateStructureLabels() {
+    const structurePanel = document.getElementById('spicy-structure-panel');
+    if (!structurePanel) return;
+    
+    structurePanel.querySelector('h3').textContent = this.i18n.t('navigation.structureTitle');
+    structurePanel.querySelector('#spicy-structure-close').setAttribute('aria-label', this.i18n.t('navigation.closeStructure'));
+    this.populateStructurePanel();
+  }
+  
   /**
    * Populate structure panel with page headings
    */
@@ -243,7 +186,7 @@ export default class NavigationFeatures {
     
     if (headings.length === 0) {
       // No headings found
-      structureList.innerHTML = '<li class="spicy-no-headings">No headings found on this page</li>';
+      structureList.innerHTML = `<li class="spicy-no-headings">${this.i18n.t('navigation.noHeadings')}</li>`;
       return;
     }
     
@@ -252,11 +195,18 @@ export default class NavigationFeatures {
       const level = heading.tagName.charAt(1);
       const item = createElement('li', {
         className: `heading-level-${level}`,
-        textContent: heading.textContent.trim() || `[Empty heading ${index + 1}]`
+        textContent: heading.textContent.trim() || this.i18n.t('navigation.emptyHeading', { index: index + 1 })
       });
       
       // Add click event to scroll to heading
       item.addEventListener('click', () => {
+        if (!this.focusedHeadings.has(heading)) {
+          this.focusedHeadings.set(heading, {
+            id: heading.getAttribute('id'),
+            tabindex: heading.getAttribute('tabindex')
+          });
+        }
+        
         // Add temporary ID if heading doesn't have one
         let headingId = heading.id;
         if (!headingId) {
@@ -311,7 +261,8 @@ export default class NavigationFeatures {
     
     // Create guide element
     const guide = createElement('div', {
-      id: 'spicy-reading-guide'
+      id: 'spicy-reading-guide',
+      className: UI_CLASS
     });
     
     // Add to DOM
@@ -367,13 +318,8 @@ export default class NavigationFeatures {
         element.removeAttribute('title');
         
         // Add tooltip event listeners
-        element.addEventListener('mouseenter', function() {
-          this.setAttribute('title', this.dataset.spicyTooltip);
-        });
-        
-        element.addEventListener('mouseleave', function() {
-          this.removeAttribute('title');
-        });
+        element.addEventListener('mouseenter', showTitle);
+        element.addEventListener('mouseleave', hideTitle);
       });
       
     } else {
@@ -382,8 +328,42 @@ export default class NavigationFeatures {
       // Restore original titles
       document.querySelectorAll('[data-spicy-tooltip]').forEach(element => {
         element.setAttribute('title', element.dataset.spicyTooltip);
+        element.removeEventListener('mouseenter', showTitle);
+        element.removeEventListener('mouseleave', hideTitle);
         delete element.dataset.processingTooltip;
+        delete element.dataset.spicyTooltip;
       });
     }
   }
+  
+  /**
+   * Remove the structure panel and reading guide, and restore titles and headings
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    
+    this.hidePageStructure();
+    this.removeReadingGuide();
+    this.toggleTooltips(false);
+    
+    ['spicy-structure-panel', 'spicy-reading-guide'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.remove();
+      }
+    });
+    
+    // Put back the id and tabindex the headings had before
+    this.focusedHeadings.forEach((attributes, heading) => {
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (value === null) {
+          heading.removeAttribute(name);
+        } else {
+          heading.setAttribute(name, value);
+        }
+      });
+    });
+    this.focusedHeadings.clear();
+  }
 }
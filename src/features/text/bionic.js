@@ -0,0 +1,245 @@
+/**
+ * BionicReading - Emphasizes the first part of each word to guide the eye
+ * Each changed text node is swapped for a wrapper and kept aside, so turning the mode off
+ * puts the very same nodes back
+ */
+
+import { WIDGET_SELECTOR } from './scaler';
+
+/**
+ * Content left alone: the toolkit UI, form controls, code and editable regions
+ */
+const SKIP_SELECTOR = [
+  WIDGET_SELECTOR,
+  'script', 'style', 'noscript', 'template', 'svg', 'math',
+  'input', 'textarea', 'select', 'option', 'button',
+  'code', 'pre', 'kbd', 'samp', 'var',
+  '[contenteditable]:not([contenteditable="false"])',
+  '.spicy-bionic'
+].join(', ');
+
+/**
+ * Words in Latin, Greek and Cyrillic scripts
+ * Connected scripts such as Arabic, and scripts written without spaces, are left alone
+ */
+const WORD_PATTERN = /[A-Za-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F\u0300-\u036F\u0370-\u03FF\u0400-\u04FF\u1E00-\u1EFF]+/g;
+
+/**
+ * Number of letters emphasized at the start of a word
+ * @param {number} length - Word length
+ * @returns {number} Prefix length
+ */
+function prefixLength(length) {
+  return length <= 3 ? 1 : Math.ceil(length * 0.4);
+}
+
+export default class BionicReading {
+  /**
+   * Creates a new BionicReading instance
+   */
+  constructor() {
+    this.enabled = false;
+    
+    // Wrapper element -> original text node it replaced, and back
+    this.wrappers = new Map();
+    this.wrapperOf = new WeakMap();
+    
+    this.observer = null;
+  }
+  
+  /**
+   * Turn the mode on or off
+   * @param {boolean} enabled - Whether words are emphasized
+   */
+  toggle(enabled) {
+    if (enabled) {
+      this.enable();
+    } else {
+      this.disable();
+    }
+  }
+  
+  /**
+   * Emphasize the page and keep up with content added later
+   */
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+    
+    if (typeof MutationObserver !== 'undefined') {
+      this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+      this.observer.observe(document.body, { childList: true, subtree: true });
+    }
+    
+    this.transform(document.body);
+    
+    // Our own changes need no handling
+    if (this.observer) this.observer.takeRecords();
+  }
+  
+  /**
+   * Put every original text node back
+   */
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+    
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    
+    this.wrappers.forEach((original, wrapper) => {
+      if (wrapper.parentNode) {
+        wrapper.parentNode.replaceChild(original, wrapper);
+      }
+    });
+    this.wrappers.clear();
+    this.wrapperOf = new WeakMap();
+  }
+  
+  /**
+   * Restore the page
+   */
+  destroy() {
+    this.disable();
+  }
+  
+  /**
+   * Check whether a node sits in content that is left alone
+   * @param {Node} node - Node to check
+   * @returns {boolean} Whether the node is skipped
+   */
+  isSkipped(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return !element || Boolean(element.closest(SKIP_SELECTOR));
+  }
+  
+  /**
+   * Emphasize the words of every text node in a subtree
+   * @param {Node} root - Element or text node
+   */
+  transform(root) {
+    if (!root || !root.isConnected || this.isSkipped(root)) return;
+    
+    if (root.nodeType === Node.TEXT_NODE) {
+      this.wrap(root);
+      return;
+    }
+    
+    if (root.nodeType !== Node.ELEMENT_NODE) return;
+    
+    // Collect first, wrapping while walking would move the walker off the tree
+    const textNodes = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          return node.matches(SKIP_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+    
+    textNodes.forEach(node => this.wrap(node));
+  }
+  
+  /**
+   * Replace a text node with a wrapper holding its emphasized words
+   * @param {Text} node - Text node
+   */
+  wrap(node) {
+    const text = node.data;
+    WORD_PATTERN.lastIndex = 0;
+    if (!WORD_PATTERN.test(text)) return;
+    
+    const wrapper = document.createElement('span');
+    wrapper.className = 'spicy-bionic';
+    
+    let last = 0;
+    text.replace(WORD_PATTERN, (word, index) => {
+      if (index > last) {
+        wrapper.appendChild(document.createTextNode(text.slice(last, index)));
+      }
+      
+      const length = prefixLength(word.length);
+      const prefix = document.createElement('b');
+      prefix.className = 'spicy-bionic-prefix';
+      prefix.textContent = word.slice(0, length);
+      wrapper.appendChild(prefix);
+      
+      if (length < word.length) {
+        wrapper.appendChild(document.createTextNode(word.slice(length)));
+      }
+      
+      last = index + word.length;
+      return word;
+    });
+    
+    if (last < text.length) {
+      wrapper.appendChild(document.createTextNode(text.slice(last)));
+    }
+    
+    node.parentNode.replaceChild(wrapper, node);
+    this.wrappers.set(wrapper, node);
+    this.wrapperOf.set(node, wrapper);
+    
+    // Scripts holding the original node may still change its text
+    if (this.observer) {
+      this.observer.observe(node, { characterData: true });
+    }
+  }
+  
+  /**
+   * Emphasize added content, refresh changed text and forget removed wrappers
+   * @param {MutationRecord[]} mutations - Observed mutations
+   */
+  handleMutations(mutations) {
+    let removed = false;
+    
+    mutations.forEach(mutation => {
+      if (mutation.type === 'characterData') {
+        this.refresh(mutation.target);
+        return;
+      }
+      
+      mutation.addedNodes.forEach(node => this.transform(node));
+      
+      if (mutation.removedNodes.length) {
+        removed = true;
+      }
+    });
+    
+    if (removed) {
+      this.wrappers.forEach((original, wrapper) => {
+        if (!wrapper.isConnected) this.wrappers.delete(wrapper);
+      });
+    }
+    
+    // Our own changes need no handling
+    this.observer.takeRecords();
+  }
+  
+  /**
+   * Wrap an original text node again after its text changed
+   * @param {Text} original - Original text node
+   */
+  refresh(original) {
+    const wrapper = this.wrapperOf.get(original);
+    if (wrapper) {
+      this.wrappers.delete(wrapper);
+      this.wrapperOf.delete(original);
+      
+      // Only put it back where the wrapper still is
+      if (!wrapper.parentNode) return;
+      wrapper.parentNode.replaceChild(original, wrapper);
+    }
+    
+    if (original.isConnected && !this.isSkipped(original)) {
+      this.wrap(original);
+    }
+  }
+}
@@ -1,20 +1,83 @@
 /**
  * TextFeatures - Text-related accessibility features
- * Handles font size, dyslexia font, spacing, etc.
+ * Handles font size, readable fonts, spacing, alignment, magnifier, bionic reading, etc.
  */
 
-import { createElement } from '../../utils/dom';
-import { loadFont } from '../../utils/fonts';
+import { loadFont, unloadFont, getFontUrl } from '../../utils/fonts';
+import TextScaler from './scaler';
+import TextMagnifier from './magnifier';
+import BionicReading from './bionic';
+
+/**
+ * Readable fonts offered by the font picker
+ * The files ship in assets/fonts and are only loaded once a font is picked
+ */
+const READING_FONTS = {
+  atkinson: {
+    family: 'Atkinson Hyperlegible',
+    className: 'spicy-font-atkinson',
+    files: {
+      400: 'atkinson-hyperlegible-latin-400-normal.woff2',
+      700: 'atkinson-hyperlegible-latin-700-normal.woff2'
+    }
+  },
+  lexend: {
+    family: 'Lexend',
+    className: 'spicy-font-lexend',
+    files: {
+      400: 'lexend-latin-400-normal.woff2',
+      700: 'lexend-latin-700-normal.woff2'
+    }
+  },
+  opendyslexic: {
+    family: 'OpenDyslexic',
+    className: 'spicy-dyslexic',
+    files: {
+      400: 'OpenDyslexic-Regular.woff',
+      700: 'OpenDyslexic-Bold.woff'
+    }
+  }
+};
+
+/**
+ * Level settings, each written to a custom property used by a class in main.css
+ * A level of 0 leaves the page alone
+ */
+const TEXT_LEVELS = {
+  lineHeight: { className: 'spicy-line-height', property: '--spicy-line-height', unit: '' },
+  letterSpacing: { className: 'spicy-letter-spacing', property: '--spicy-letter-spacing', unit: 'em' },
+  wordSpacing: { className: 'spicy-word-spacing', property: '--spicy-word-spacing', unit: 'em' },
+  paragraphSpacing: { className: 'spicy-paragraph-spacing', property: '--spicy-paragraph-spacing', unit: 'em' },
+  lineLength: { className: 'spicy-line-length', property: '--spicy-line-length', unit: 'ch' }
+};
+
+/**
+ * Classes applied by the alignment and hyphenation pickers, 'none' leaves the page alone
+ * Alignment is logical, so 'start' is the right edge on RTL pages
+ */
+const TEXT_ALIGN_CLASSES = {
+  start: 'spicy-align-start'
+};
+
+const HYPHENATION_CLASSES = {
+  manual: 'spicy-hyphens-manual',
+  off: 'spicy-hyphens-off'
+};
 
 export default class TextFeatures {
   /**
    * Creates a new TextFeatures instance
    * @param {Settings} settings - Settings manager instance
    * @param {EventBus} events - Event bus instance
+   * @param {I18n} i18n - Translations
    */
-  constructor(settings, events) {
+  constructor(settings, events, i18n) {
     this.settings = settings;
     this.events = events;
+    this.i18n = i18n;
+    this.id = 'text';
+    this.title = 'Text';
+    this.icon = 'fa-solid fa-font';
     this.features = [
       {
         id: 'fontSize',
@@ -27,235 +90,221 @@ export default class TextFeatures {
         default: 100
       },
       {
-        id: 'dyslexicFont',
-        name: 'Dyslexia Font',
+        id: 'readingFont',
+        name: 'Readable Font',
         icon: 'fa-solid fa-font',
-        type: 'toggle'
+        type: 'select',
+        options: [
+          { value: 'none', label: 'Page Font' },
+          { value: 'atkinson', label: 'Atkinson Hyperlegible' },
+          { value: 'lexend', label: 'Lexend' },
+          { value: 'opendyslexic', label: 'OpenDyslexic' }
+        ]
       },
+      // Spacing presets, `wcag` marks the level meeting WCAG 1.4.12 Text Spacing
       {
         id: 'lineHeight',
         name: 'Line Spacing',
         icon: 'fa-solid fa-arrows-up-down',
-        type: 'toggle'
+        type: 'level',
+        options: [
+          { value: 0, label: 'Page Default' },
+          { value: 1.5, label: '1.5×' },
+          { value: 1.8, label: '1.8×' },
+          { value: 2.2, label: '2.2×' }
+        ],
+        wcag: 1.5
       },
       {
         id: 'letterSpacing',
         name: 'Letter Spacing',
         icon: 'fa-solid fa-arrows-left-right',
+        type: 'level',
+        options: [
+          { value: 0, label: 'Page Default' },
+          { value: 0.12, label: '0.12em' },
+          { value: 0.18, label: '0.18em' },
+          { value: 0.24, label: '0.24em' }
+        ],
+        wcag: 0.12
+      },
+      {
+        id: 'wordSpacing',
+        name: 'Word Spacing',
+        icon: 'fa-solid fa-text-width',
+        type: 'level',
+        options: [
+          { value: 0, label: 'Page Default' },
+          { value: 0.16, label: '0.16em' },
+          { value: 0.24, label: '0.24em' },
+          { value: 0.32, label: '0.32em' }
+        ],
+        wcag: 0.16
+      },
+      {
+        id: 'paragraphSpacing',
+        name: 'Paragraph Spacing',
+        icon: 'fa-solid fa-paragraph',
+        type: 'level',
+        options: [
+          { value: 0, label: 'Page Default' },
+          { value: 2, label: '2em' },
+          { value: 2.5, label: '2.5em' },
+          { value: 3, label: '3em' }
+        ],
+        wcag: 2
+      },
+      {
+        id: 'textAlign',
+        name: 'Text Alignment',
+        icon: 'fa-solid fa-align-left',
+        type: 'select',
+        options: [
+          { value: 'none', label: 'Page Default' },
+          { value: 'start', label: 'Start' }
+        ]
+      },
+      {
+        id: 'lineLength',
+        name: 'Line Length',
+        icon: 'fa-solid fa-ruler-horizontal',
+        type: 'level',
+        // Each step makes lines narrower
+        options: [
+          { value: 0, label: 'Page Default' },
+          { value: 80, label: 'Wide (80 characters)' },
+          { value: 70, label: 'Medium (70 characters)' },
+          { value: 60, label: 'Narrow (60 characters)' }
+        ]
+      },
+      {
+        id: 'hyphenation',
+        name: 'Hyphenation',
+        icon: 'fa-solid fa-minus',
+        type: 'select',
+        options: [
+          { value: 'none', label: 'Page Default' },
+          { value: 'manual', label: 'Soft Hyphens Only' },
+          { value: 'off', label: 'Off' }
+        ]
+      },
+      {
+        id: 'magnifier',
+        name: 'Text Magnifier',
+        icon: 'fa-solid fa-magnifying-glass',
+        type: 'level',
+        options: [
+          { value: 0, label: 'Off' },
+          { value: 1.5, label: '1.5×' },
+          { value: 2, label: '2×' },
+          { value: 3, label: '3×' }
+        ]
+      },
+      {
+        id: 'bionicReading',
+        name: 'Bionic Reading',
+        icon: 'fa-solid fa-bold',
         type: 'toggle'
       }
     ];
     
     // All features are enabled by default
     this.enabledFeatures = [...this.features];
-  }
-  
-  /**
-   * Initialize text features
-   */
-  init() {
-    // Preload dyslexia font
-    loadFont('OpenDyslexic', 'https://cdn.jsdelivr.net/npm/open-dyslexic@1.0.3/open-dyslexic-regular.woff');
     
-    // Apply current settings
-    this.applySettings(this.settings.getAll());
+    // Font files added to the page, as [family, url] pairs
+    this.loadedFonts = [];
     
-    // Listen for settings changes
-    this.events.on('settings:changed', this.applySettings.bind(this));
-  }
-  
-  /**
-   * Apply text settings to the page
-   * @param {Object} settings - Current settings
-   */
-  applySettings(settings) {
-    // Apply font size
-    document.documentElement.style.setProperty('--spicy-font-size', `${settings.fontSize}%`);
+    // Scales the text of each element from its original size
+    this.scaler = new TextScaler();
     
-    // Apply dyslexic font
-    document.body.classList.toggle('spicy-dyslexic', settings.dyslexicFont);
+    // Lens enlarging the text under the pointer or keyboard focus
+    this.magnifier = new TextMagnifier();
     
-    // Apply line height
-    document.body.classList.toggle('spicy-line-height', settings.lineHeight);
-    
-    // Apply letter spacing
-    document.body.classList.toggle('spicy-letter-spacing', settings.letterSpacing);
+    // Emphasizes the start of each word
+    this.bionic = new BionicReading();
   }
   
   /**
-   * Render text features section in the panel
-   * @returns {HTMLElement} Section element
+   * Apply text settings to the page
+   * @param {Object} settings - Current settings
+   * @param {Object|null} diff - Change diff, null on page load
    */
-  renderSection() {
-    // Don't render if no features are enabled
-    if (this.enabledFeatures.length === 0) return null;
-    
-    // Create section container
-    const section = createElement('div', {
-      className: 'spicy-section',
-      innerHTML: `<h3><i class="fa-solid fa-book-open-reader"></i> Text & Reading</h3>`
-    });
-    
-    // Font size slider
-    const fontSizeFeature = this.enabledFeatures.find(f => f.id === 'fontSize');
-    if (fontSizeFeature) {
-      const fontSizeControl = this.createFontSizeControl(fontSizeFeature);
-      section.appendChild(fontSizeControl);
+  apply(settings, diff) {
+    // Apply font size, only when it changed since scaling walks the whole page
+    if (!diff || diff.keys.includes('fontSize')) {
+      this.scaler.scale(settings.fontSize);
     }
     
-    // Create grid for toggle buttons
-    const grid = createElement('div', { className: 'spicy-grid' });
-    
-    // Add toggle features
-    this.enabledFeatures
-      .filter(feature => feature.type === 'toggle')
-      .forEach(feature => {
-        const button = this.createFeatureButton(feature);
-        grid.appendChild(button);
-      });
-    
-    // Add grid to section if it has any children
-    if (grid.children.length > 0) {
-      section.appendChild(grid);
+    // Apply magnifier, the level is the zoom factor
+    if (!diff || diff.keys.includes('magnifier')) {
+      this.magnifier.setZoom(settings.magnifier);
     }
     
-    return section;
-  }
-  
-  /**
-   * Create font size control with slider and buttons
-   * @param {Object} feature - Feature configuration
-   * @returns {HTMLElement} Control element
-   */
-  createFontSizeControl(feature) {
-    const container = createElement('div', { className: 'spicy-control-group' });
-    
-    // Decrease button
-    const decreaseBtn = createElement('button', {
-      className: 'spicy-btn spicy-icon-btn',
-      id: 'spicy-font-decrease',
-      innerHTML: '<i class="fa-solid fa-minus"></i>',
-      attributes: {
-        'aria-label': 'Decrease font size'
-      }
-    });
-    
-    // Slider container
-    const sliderContainer = createElement('div', {
-      className: 'spicy-slider-container'
-    });
-    
-    // Slider
-    const slider = createElement('input', {
-      id: 'spicy-font-slider',
-      attributes: {
-        type: 'range',
-        min: feature.min,
-        max: feature.max,
-        step: feature.step,
-        value: this.settings.getSetting('fontSize'),
-        'aria-labelledby': 'spicy-font-size-label'
-      }
-    });
+    // Apply bionic reading
+    if (!diff || diff.keys.includes('bionicReading')) {
+      this.bionic.toggle(settings.bionicReading);
+    }
     
-    // Size label
-    const sizeLabel = createElement('span', {
-      id: 'spicy-font-size-label',
-      textContent: `${this.settings.getSetting('fontSize')}%`
+    // Apply readable font
+    Object.entries(READING_FONTS).forEach(([id, font]) => {
+      document.body.classList.toggle(font.className, settings.readingFont === id);
     });
+    this.loadReadingFont(settings.readingFont);
     
-    // Increase button
-    const increaseBtn = createElement('button', {
-      className: 'spicy-btn spicy-icon-btn',
-      id: 'spicy-font-increase',
-      innerHTML: '<i class="fa-solid fa-plus"></i>',
-      attributes: {
-        'aria-label': 'Increase font size'
+    // Apply spacing and line length levels
+    Object.entries(TEXT_LEVELS).forEach(([id, level]) => {
+      const value = settings[id];
+      document.body.classList.toggle(level.className, value > 0);
+      if (value > 0) {
+        document.documentElement.style.setProperty(level.property, `${value}${level.unit}`);
+      } else {
+        document.documentElement.style.removeProperty(level.property);
       }
     });
     
-    // Add elements to container
-    sliderContainer.appendChild(slider);
-    sliderContainer.appendChild(sizeLabel);
-    container.appendChild(decreaseBtn);
-    container.appendChild(sliderContainer);
-    container.appendChild(increaseBtn);
-    
-    // Add event listeners
-    slider.addEventListener('input', () => {
-      const size = slider.value;
-      this.settings.updateSetting('fontSize', parseInt(size));
-      sizeLabel.textContent = `${size}%`;
-    });
-    
-    decreaseBtn.addEventListener('click', () => {
-      const newSize = Math.max(feature.min, parseInt(slider.value) - feature.step);
-      slider.value = newSize;
-      this.settings.updateSetting('fontSize', newSize);
-      sizeLabel.textContent = `${newSize}%`;
+    // Apply alignment
+    Object.entries(TEXT_ALIGN_CLASSES).forEach(([value, className]) => {
+      document.body.classList.toggle(className, settings.textAlign === value);
     });
     
-    increaseBtn.addEventListener('click', () => {
-      const newSize = Math.min(feature.max, parseInt(slider.value) + feature.step);
-      slider.value = newSize;
-      this.settings.updateSetting('fontSize', newSize);
-      sizeLabel.textContent = `${newSize}%`;
+    // Apply hyphenation
+    Object.entries(HYPHENATION_CLASSES).forEach(([value, className]) => {
+      document.body.classList.toggle(className, settings.hyphenation === value);
     });
-    
-    return container;
   }
   
   /**
-   * Create a feature toggle button
-   * @param {Object} feature - Feature configuration
-   * @returns {HTMLElement} Button element
+   * Load the files of a readable font
+   * @param {string} id - Font ID from the picker
    */
-  createFeatureButton(feature) {
-    const button = createElement('button', {
-      className: 'spicy-feature-btn',
-      id: `spicy-${feature.id}`,
-      innerHTML: `
-        <i class="${feature.icon}"></i>
-        <span>${feature.name}</span>
-      `
-    });
+  loadReadingFont(id) {
+    const font = READING_FONTS[id];
+    if (!font) return;
     
-    // Set active state based on current setting
-    if (this.settings.getSetting(feature.id)) {
-      button.classList.add('active');
-    }
-    
-    // Add click event
-    button.addEventListener('click', () => {
-      const isActive = button.classList.toggle('active');
-      this.settings.updateSetting(feature.id, isActive);
+    Object.entries(font.files).forEach(([weight, fileName]) => {
+      const url = getFontUrl(fileName);
+      if (this.loadedFonts.some(([family, loadedUrl]) => family === font.family && loadedUrl === url)) return;
+      
+      this.loadedFonts.push([font.family, url]);
+      loadFont(font.family, url, { fontWeight: weight });
     });
-    
-    return button;
   }
   
   /**
-   * Update UI based on current settings
-   * @param {Object} settings - Current settings
+   * Remove the text settings and the readable fonts from the page
    */
-  updateUI(settings) {
-    // Update font size slider
-    const slider = document.getElementById('spicy-font-slider');
-    const sizeLabel = document.getElementById('spicy-font-size-label');
-    
-    if (slider && sizeLabel) {
-      slider.value = settings.fontSize;
-      sizeLabel.textContent = `${settings.fontSize}%`;
-    }
-    
-    // Update toggle buttons
-    this.features
-      .filter(feature => feature.type === 'toggle')
-      .forEach(feature => {
-        const button = document.getElementById(`spicy-${feature.id}`);
-        if (button) {
-          button.classList.toggle('active', settings[feature.id]);
-        }
-      });
+  destroy() {
+    this.scaler.destroy();
+    this.magnifier.destroy();
+    this.bionic.destroy();
+    Object.values(TEXT_LEVELS).forEach(level => document.documentElement.style.removeProperty(level.property));
+    document.body.classList.remove(
+      ...Object.values(READING_FONTS).map(font => font.className),
+      ...Object.values(TEXT_LEVELS).map(level => level.className),
+      ...Object.values(TEXT_ALIGN_CLASSES),
+      ...Object.values(HYPHENATION_CLASSES)
+    );
+    this.loadedFonts.forEach(([family, url]) => unloadFont(family, url));
+    this.loadedFonts = [];
   }
 }
@@ -0,0 +1,382 @@
+/**
+ * TextMagnifier - Floating lens showing an enlarged copy of the text under the pointer or keyboard focus
+ * The copy is plain text, so page markup, ids and scripts are never duplicated
+ */
+
+import { createElement, UI_CLASS } from '../../utils/dom';
+import { WIDGET_SELECTOR } from './scaler';
+
+/**
+ * Characters shown on each side of the word under the pointer
+ */
+const CONTEXT_LENGTH = 40;
+
+/**
+ * Longest text shown for a focused element
+ */
+const MAX_TEXT_LENGTH = 160;
+
+/**
+ * Elements magnified by their value or alt text rather than their text nodes
+ */
+const ELEMENT_TEXT_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'IMG'];
+
+/**
+ * Distance between the pointer or focused element and the lens, in pixels
+ */
+const LENS_OFFSET = 20;
+
+/**
+ * Share of the remaining distance the lens covers each frame
+ */
+const EASING = 0.35;
+
+export default class TextMagnifier {
+  /**
+   * Creates a new TextMagnifier instance
+   */
+  constructor() {
+    this.zoom = 0;
+    this.lens = null;
+    
+    // Where the lens is and where it is heading, in viewport pixels
+    this.position = null;
+    this.target = null;
+    
+    // Latest pointer position, read on the next frame
+    this.pointer = null;
+    
+    this.frame = null;
+    this.handlers = {};
+  }
+  
+  /**
+   * Set the zoom factor, turning the lens on or off
+   * @param {number} zoom - Zoom factor, 0 turns the lens off
+   */
+  setZoom(zoom) {
+    const factor = Number(zoom);
+    if (!Number.isFinite(factor) || factor <= 0) {
+      this.disable();
+      return;
+    }
+    
+    this.zoom = factor;
+    this.enable();
+  }
+  
+  /**
+   * Start following the pointer and keyboard focus
+   */
+  enable() {
+    if (this.lens) return;
+    
+    this.lens = createElement('div', {
+      id: 'spicy-magnifier-lens',
+      className: UI_CLASS,
+      attributes: { 'aria-hidden': 'true' }
+    });
+    document.body.appendChild(this.lens);
+    
+    this.handlers.mousemove = e => {
+      this.pointer = { x: e.clientX, y: e.clientY };
+      this.requestFrame();
+    };
+    this.handlers.mouseout = e => {
+      // Hide when the pointer leaves the window
+      if (!e.relatedTarget) this.hide();
+    };
+    this.handlers.focusin = e => this.showForElement(e.target);
+    this.handlers.focusout = () => this.hide();
+    this.handlers.keydown = e => {
+      if (e.key === 'Escape') this.hide();
+    };
+    this.handlers.scroll = () => this.hide();
+    
+    document.addEventListener('mousemove', this.handlers.mousemove);
+    document.addEventListener('mouseout', this.handlers.mouseout);
+    document.addEventListener('focusin', this.handlers.focusin);
+    document.addEventListener('focusout', this.handlers.focusout);
+    document.addEventListener('keydown', this.handlers.keydown);
+    window.addEventListener('scroll', this.handlers.scroll, { passive: true });
+  }
+  
+  /**
+   * Stop following and remove the lens
+   */
+  disable() {
+    document.removeEventListener('mousemove', this.handlers.mousemove);
+    document.removeEventListener('mouseout', this.handlers.mouseout);
+    document.removeEventListener('focusin', this.handlers.focusin);
+    document.removeEventListener('focusout', this.handlers.focusout);
+    document.removeEventListener('keydown', this.handlers.keydown);
+    window.removeEventListener('scroll', this.handlers.scroll);
+    this.handlers = {};
+    
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    
+    if (this.lens) {
+      this.lens.remove();
+      this.lens = null;
+    }
+    
+    this.position = null;
+    this.target = null;
+    this.pointer = null;
+    this.zoom = 0;
+  }
+  
+  /**
+   * Remove the lens from the page
+   */
+  destroy() {
+    this.disable();
+  }
+  
+  /**
+   * Check whether an element belongs to the toolkit UI
+   * @param {Element} element - Element to check
+   * @returns {boolean} Whether the element is skipped
+   */
+  isSkipped(element) {
+    return !element || !element.closest || Boolean(element.closest(WIDGET_SELECTOR));
+  }
+  
+  /**
+   * Show the text under a point of the viewport
+   * @param {number} x - Horizontal position
+   * @param {number} y - Vertical position
+   */
+  showAtPoint(x, y) {
+    const hit = this.getTextAtPoint(x, y);
+    if (!hit) {
+      this.hide();
+      return;
+    }
+    
+    this.show(hit.text, hit.element, { x: x + LENS_OFFSET, y: y + LENS_OFFSET });
+  }
+  
+  /**
+   * Show the text of a focused element, below it
+   * @param {Element} element - Focused element
+   */
+  showForElement(element) {
+    if (this.isSkipped(element)) {
+      this.hide();
+      return;
+    }
+    
+    const text = this.getElementText(element);
+    if (!text) {
+      this.hide();
+      return;
+    }
+    
+    const rect = element.getBoundingClientRect();
+    this.show(text, element, { x: rect.left, y: rect.bottom + LENS_OFFSET / 2 }, true);
+    this.requestFrame();
+  }
+  
+  /**
+   * Find the text under a point, with a few words of context around it
+   * @param {number} x - Horizontal position
+   * @param {number} y - Vertical position
+   * @returns {{text: string, element: Element}|null} Text and the element holding it
+   */
+  getTextAtPoint(x, y) {
+    let node = null;
+    let offset = 0;
+    
+    if (document.caretPositionFromPoint) {
+      const caret = document.caretPositionFromPoint(x, y);
+      if (caret) {
+        node = caret.offsetNode;
+        offset = caret.offset;
+      }
+    } else if (document.caretRangeFromPoint) {
+      const range = document.caretRangeFromPoint(x, y);
+      if (range) {
+        node = range.startContainer;
+        offset = range.startOffset;
+      }
+    }
+    
+    if (node && node.nodeType === Node.TEXT_NODE && node.parentElement && !this.isSkipped(node.parentElement)) {
+      // Bionic reading splits words over several nodes, read the whole run instead
+      const run = node.parentElement.closest('.spicy-bionic');
+      if (run) {
+        const range = document.createRange();
+        range.setStart(run, 0);
+        range.setEnd(node, offset);
+        offset = range.toString().length;
+        node = run;
+      }
+      
+      const text = this.getContext(node.textContent, offset);
+      return text ? { text, element: node.parentElement } : null;
+    }
+    
+    // Form controls and images have no text nodes, use their value or alt text
+    const element = document.elementFromPoint ? document.elementFromPoint(x, y) : null;
+    if (this.isSkipped(element) || !ELEMENT_TEXT_TAGS.includes(element.tagName)) return null;
+    
+    const text = this.getElementText(element);
+    return text ? { text, element } : null;
+  }
+  
+  /**
+   * Cut the words around an offset out of a text
+   * @param {string} content - Full text
+   * @param {number} offset - Position of the pointer in the text
+   * @returns {string} Text around the offset, with ellipses where it was cut
+   */
+  getContext(content, offset) {
+    let start = Math.max(0, offset - CONTEXT_LENGTH);
+    let end = Math.min(content.length, offset + CONTEXT_LENGTH);
+    
+    // Don't cut words in half
+    if (start > 0) {
+      const space = content.indexOf(' ', start);
+      start = space !== -1 && space < offset ? space + 1 : start;
+    }
+    if (end < content.length) {
+      const space = content.lastIndexOf(' ', end);
+      end = space > offset ? space : end;
+    }
+    
+    const text = content.slice(start, end).replace(/\s+/g, ' ').trim();
+    if (!text) return '';
+    
+    return `${start > 0 ? '… ' : ''}${text}${end < content.length ? ' …' : ''}`;
+  }
+  
+  /**
+   * Get the text an element shows
+   * @param {Element} element - Element to read
+   * @returns {string} Text, shortened if long
+   */
+  getElementText(element) {
+    if (!element) return '';
+    
+    let text = '';
+    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+      text = element.type === 'password' ? '' : element.value || element.placeholder || '';
+    } else if (element.tagName === 'IMG') {
+      text = element.alt || '';
+    } else if (element.tagName === 'SELECT') {
+      text = element.selectedOptions && element.selectedOptions[0] ? element.selectedOptions[0].textContent : '';
+    } else {
+      text = element.getAttribute('aria-label') || element.textContent || '';
+    }
+    
+    text = text.replace(/\s+/g, ' ').trim();
+    return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH).trim()} …` : text;
+  }
+  
+  /**
+   * Fill the lens and move it towards a position
+   * @param {string} text - Text to magnify
+   * @param {Element} source - Element the text comes from, for its font
+   * @param {{x: number, y: number}} target - Where the lens' top-left corner should go
+   * @param {boolean} [jump=false] - Move there at once instead of gliding
+   */
+  show(text, source, target, jump = false) {
+    if (!this.lens) return;
+    
+    if (this.lens.textContent !== text) {
+      this.lens.textContent = text;
+    }
+    
+    const style = getComputedStyle(source);
+    const fontSize = parseFloat(style.fontSize) || 16;
+    this.lens.style.fontSize = `${Math.round(fontSize * this.zoom)}px`;
+    this.lens.style.fontFamily = style.fontFamily;
+    this.lens.style.display = 'block';
+    
+    this.target = this.clamp(target);
+    
+    const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (jump || !this.position || reduceMotion) {
+      this.position = { ...this.target };
+    }
+  }
+  
+  /**
+   * Keep the lens inside the viewport, flipping it above the pointer near the bottom
+   * @param {{x: number, y: number}} target - Wanted position
+   * @returns {{x: number, y: number}} Position that fits
+   */
+  clamp(target) {
+    const width = this.lens.offsetWidth;
+    const height = this.lens.offsetHeight;
+    const maxX = window.innerWidth - width - 8;
+    const maxY = window.innerHeight - height - 8;
+    
+    let y = target.y;
+    if (y > maxY) {
+      y = target.y - height - LENS_OFFSET * 2;
+    }
+    
+    return {
+      x: Math.max(8, Math.min(target.x, maxX)),
+      y: Math.max(8, Math.min(y, maxY))
+    };
+  }
+  
+  /**
+   * Run step() on the next frame, once
+   */
+  requestFrame() {
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => this.step());
+    }
+  }
+  
+  /**
+   * Read the text under the pointer, then move the lens part of the way to its target
+   * Runs once per frame while the pointer moves or the lens is still gliding
+   */
+  step() {
+    this.frame = null;
+    if (!this.lens) return;
+    
+    if (this.pointer) {
+      const { x, y } = this.pointer;
+      this.pointer = null;
+      this.showAtPoint(x, y);
+    }
+    
+    if (!this.target || !this.position) return;
+    
+    const dx = this.target.x - this.position.x;
+    const dy = this.target.y - this.position.y;
+    
+    if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) {
+      this.position = { ...this.target };
+    } else {
+      this.position = {
+        x: this.position.x + dx * EASING,
+        y: this.position.y + dy * EASING
+      };
+      this.requestFrame();
+    }
+    
+    this.lens.style.transform = `translate(${Math.round(this.position.x)}px, ${Math.round(this.position.y)}px)`;
+  }
+  
+  /**
+   * Hide the lens until the pointer moves or focus changes again
+   */
+  hide() {
+    if (this.lens) {
+      this.lens.style.display = 'none';
+    }
+    
+    this.position = null;
+    this.target = null;
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * TextScaler - Scales the page text element by element
+ * Every element holding text gets a font size proportional to its original computed size,
+ * so scaling works whatever units the page uses, and original values can be restored exactly
+ */
+
+import { UI_CLASS } from '../../utils/dom';
+
+/**
+ * Toolkit UI, never scaled or magnified
+ */
+export const WIDGET_SELECTOR = `.${UI_CLASS}`;
+
+/**
+ * Elements whose content is not page text
+ */
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'CANVAS', 'VIDEO', 'AUDIO', 'OBJECT', 'EMBED'];
+
+/**
+ * Form controls, which hold text without text nodes
+ */
+const CONTROL_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'];
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+/**
+ * Largest size headings grow to, in pixels, so big titles don't break their layout
+ * Headings already larger than this keep their size
+ */
+const HEADING_MAX_SIZE = 48;
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+export default class TextScaler {
+  /**
+   * Creates a new TextScaler instance
+   * @param {HTMLElement} [root] - Element whose text is scaled, the body by default
+   */
+  constructor(root = null) {
+    this.root = root;
+    this.factor = 1;
+    
+    // Original size and inline font-size of each measured element
+    this.originals = new WeakMap();
+    
+    // Elements currently scaled
+    this.scaled = new Set();
+    
+    this.observer = null;
+  }
+  
+  /**
+   * Scale the page text
+   * @param {number} percent - Size in percent of the original, 100 restores the page
+   */
+  scale(percent) {
+    const factor = Number(percent) / 100;
+    if (!Number.isFinite(factor) || factor <= 0 || factor === 1) {
+      this.restore();
+      return;
+    }
+    
+    // The body may not exist yet when the scaler is created
+    if (!this.root) this.root = document.body;
+    
+    this.factor = factor;
+    this.track(this.findTextElements(this.root));
+    this.scaled.forEach(element => this.applyTo(element));
+    this.observe();
+  }
+  
+  /**
+   * Put every scaled element back to its original font size
+   */
+  restore() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    
+    this.scaled.forEach(element => this.reset(element));
+    this.scaled.clear();
+    
+    // Measure again next time, the page styles may have changed
+    this.originals = new WeakMap();
+    this.factor = 1;
+  }
+  
+  /**
+   * Stop scaling and restore the page
+   */
+  destroy() {
+    this.restore();
+  }
+  
+  /**
+   * Check whether an element and its subtree are left alone
+   * @param {Element} element - Element to check
+   * @returns {boolean} Whether the element is skipped
+   */
+  isSkipped(element) {
+    return element.namespaceURI !== HTML_NAMESPACE ||
+      SKIPPED_TAGS.includes(element.tagName) ||
+      element.matches(WIDGET_SELECTOR);
+  }
+  
+  /**
+   * Check whether an element holds text of its own
+   * @param {Element} element - Element to check
+   * @returns {boolean} Whether the element has a non-blank text node or is a form control
+   */
+  hasText(element) {
+    if (CONTROL_TAGS.includes(element.tagName)) return true;
+    
+    return Array.from(element.childNodes).some(
+      node => node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== ''
+    );
+  }
+  
+  /**
+   * Find the elements holding text in a subtree, outside the toolkit UI
+   * @param {Element} root - Subtree root, included in the results
+   * @returns {Element[]} Elements holding text
+   */
+  findTextElements(root) {
+    if (!root || root.nodeType !== Node.ELEMENT_NODE || this.isSkipped(root) || root.closest(WIDGET_SELECTOR)) {
+      return [];
+    }
+    
+    const elements = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+      acceptNode: node => (this.isSkipped(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    
+    for (let node = root; node; node = walker.nextNode()) {
+      if (this.hasText(node)) {
+        elements.push(node);
+      }
+    }
+    
+    return elements;
+  }
+  
+  /**
+   * Measure and start scaling elements
+   * Scaled ancestors are reset while measuring, otherwise inherited sizes would look already scaled
+   * @param {Element[]} elements - Elements holding text
+   * @returns {Element[]} Elements that were not scaled yet
+   */
+  track(elements) {
+    const added = elements.filter(element => !this.scaled.has(element));
+    const unmeasured = added.filter(element => !this.originals.has(element));
+    
+    const scaledAncestors = new Set();
+    unmeasured.forEach(element => {
+      for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+        if (this.scaled.has(parent)) scaledAncestors.add(parent);
+      }
+    });
+    
+    scaledAncestors.forEach(element => this.reset(element));
+    
+    unmeasured.forEach(element => {
+      this.originals.set(element, {
+        size: parseFloat(getComputedStyle(element).fontSize),
+        value: element.style.getPropertyValue('font-size'),
+        priority: element.style.getPropertyPriority('font-size'),
+        hadStyle: element.hasAttribute('style'),
+        heading: Boolean(element.closest(HEADING_SELECTOR))
+      });
+    });
+    
+    scaledAncestors.forEach(element => this.applyTo(element));
+    
+    // Elements without a measurable size (e.g. not rendered) are left alone
+    const tracked = added.filter(element => this.originals.get(element).size > 0);
+    tracked.forEach(element => this.scaled.add(element));
+    return tracked;
+  }
+  
+  /**
+   * Set the scaled font size of an element
+   * @param {Element} element - Tracked element
+   */
+  applyTo(element) {
+    const original = this.originals.get(element);
+    let size = original.size * this.factor;
+    
+    // Headings grow up to the cap, but never shrink because of it
+    if (original.heading && this.factor > 1) {
+      size = Math.max(original.size, Math.min(size, HEADING_MAX_SIZE));
+    }
+    
+    element.style.setProperty('font-size', `${Math.round(size * 100) / 100}px`, 'important');
+  }
+  
+  /**
+   * Put an element's inline font-size back to what the page set
+   * @param {Element} element - Tracked element
+   */
+  reset(element) {
+    const original = this.originals.get(element);
+    
+    if (original.value) {
+      element.style.setProperty('font-size', original.value, original.priority);
+    } else {
+      element.style.removeProperty('font-size');
+    }
+    
+    if (!original.hadStyle && !element.style.length) {
+      element.removeAttribute('style');
+    }
+  }
+  
+  /**
+   * Scale content added to the page later
+   */
+  observe() {
+    if (this.observer || typeof MutationObserver === 'undefined') return;
+    
+    this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+    this.observer.observe(this.root, { childList: true, subtree: true });
+  }
+  
+  /**
+   * Track added elements and forget removed ones
+   * @param {MutationRecord[]} mutations - Observed mutations
+   */
+  handleMutations(mutations) {
+    const added = [];
+    let removed = false;
+    
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          added.push(...this.findTextElements(node));
+        } else if (node.nodeType === Node.TEXT_NODE && node.parentElement) {
+          // New text can turn its parent into an element holding text
+          const parent = node.parentElement;
+          if (this.findTextElements(parent)[0] === parent) {
+            added.push(parent);
+          }
+        }
+      });
+      
+      if (mutation.removedNodes.length) {
+        removed = true;
+      }
+    });
+    
+    if (removed) {
+      this.scaled.forEach(element => {
+        if (!element.isConnected) this.scaled.delete(element);
+      });
+    }
+    
+    this.track(added).forEach(element => this.applyTo(element));
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * ColorFilter - SVG color filters for color vision deficiencies and color adjustments
+ * The page content is filtered through one hidden <svg> filter: an optional inversion, a
+ * correction blended with the identity according to the chosen strength, saturation (0 for
+ * grayscale), brightness and contrast, then an optional simulation for previews
+ */
+
+/**
+ * Color vision for each deficiency, simulated in linear RGB (Machado et al. 2009, full severity)
+ */
+const SIMULATIONS = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ]
+};
+
+/**
+ * Where the color difference a viewer can't see is moved to (daltonization, Fidaner et al.)
+ * Red-green losses go to green and blue, blue-yellow losses to red and green
+ */
+const ERROR_SHIFTS = {
+  protanopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+  deuteranopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+  tritanopia: [[1, 0, 0.7], [0, 1, 0.7], [0, 0, 0]]
+};
+
+/**
+ * Contrast boost of the achromatopsia grayscale
+ */
+const ACHROMATOPSIA_CONTRAST = 1.2;
+
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Color adjustments leaving the page unchanged, as factors (1 = 100%)
+ */
+export const DEFAULT_ADJUSTMENTS = {
+  invert: false,
+  grayscale: false,
+  saturation: 1,
+  brightness: 1,
+  contrast: 1
+};
+
+/**
+ * Multiply two 3×3 matrices
+ * @param {number[][]} a - Left matrix
+ * @param {number[][]} b - Right matrix
+ * @returns {number[][]} Product
+ */
+function multiply(a, b) {
+  return a.map(row => b[0].map((_, column) => row.reduce((sum, value, i) => sum + value * b[i][column], 0)));
+}
+
+/**
+ * Build the correction matrix of a deficiency, as 3 rows of [r, g, b, offset]
+ * Corrected = RGB + shift × (RGB − simulated RGB)
+ * @param {string} type - Deficiency
+ * @returns {number[][]} Matrix rows
+ */
+function correctionMatrix(type) {
+  if (type === 'achromatopsia') {
+    // Luminance grayscale, stretched around mid-gray
+    const c = ACHROMATOPSIA_CONTRAST;
+    const row = [0.2126 * c, 0.7152 * c, 0.0722 * c, 0.5 - 0.5 * c];
+    return [row, row, row];
+  }
+  
+  const lost = IDENTITY.map((row, i) => row.map((value, j) => value - SIMULATIONS[type][i][j]));
+  const shifted = multiply(ERROR_SHIFTS[type], lost);
+  return IDENTITY.map((row, i) => [...row.map((value, j) => value + shifted[i][j]), 0]);
+}
+
+/**
+ * Correction filters, with their full-strength matrices
+ */
+export const COLOR_FILTERS = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'].reduce((filters, type) => {
+  filters[type] = correctionMatrix(type);
+  return filters;
+}, {});
+
+/**
+ * Simulation filters, showing the page as people with each deficiency see it
+ */
+export const SIMULATION_FILTERS = {
+  ...Object.keys(SIMULATIONS).reduce((filters, type) => {
+    filters[type] = SIMULATIONS[type].map(row => [...row, 0]);
+    return filters;
+  }, {}),
+  achromatopsia: [0, 1, 2].map(() => [0.2126, 0.7152, 0.0722, 0])
+};
+
+/**
+ * Get the feColorMatrix values of a matrix at a strength
+ * @param {number[][]} matrix - 3 rows of [r, g, b, offset]
+ * @param {number} strength - 0 for no change up to 1 for the full matrix
+ * @returns {string} The 20 matrix values
+ */
+export function getMatrixValues(matrix, strength) {
+  const rows = matrix.map((row, i) => row.map((value, j) => {
+    const identity = j === i ? 1 : 0;
+    return identity + strength * (value - identity);
+  }));
+  
+  // feColorMatrix rows are [r, g, b, alpha, offset], alpha is left untouched
+  return [
+    ...rows.map(([r, g, b, offset]) => [r, g, b, 0, offset]),
+    [0, 0, 0, 1, 0]
+  ].reduce((values, row) => values.concat(row), [])
+    .map(value => Number(value.toFixed(6)))
+    .join(' ');
+}
+
+/**
+ * feColorMatrix values leaving colors unchanged
+ */
+const IDENTITY_VALUES = getMatrixValues(IDENTITY.map(row => [...row, 0]), 1);
+
+export default class ColorFilter {
+  /**
+   * Creates a new ColorFilter instance
+   */
+  constructor() {
+    // Active correction and its strength
+    this.type = null;
+    this.strength = 1;
+    
+    // Active simulation, applied last
+    this.simulation = null;
+    
+    // Inversion, grayscale and saturation, brightness and contrast factors
+    this.adjustments = { ...DEFAULT_ADJUSTMENTS };
+    
+    this.svg = null;
+    this.invertTransfer = null;
+    this.correctionMatrix = null;
+    this.saturationMatrix = null;
+    this.lightTransfer = null;
+    this.simulationMatrix = null;
+  }
+  
+  /**
+   * Correct the page colors
+   * @param {string} type - Filter from COLOR_FILTERS
+   * @param {number} [strength] - 0 to 1, the current strength by default
+   * @returns {boolean} Whether the filter exists
+   */
+  apply(type, strength = this.strength) {
+    if (!COLOR_FILTERS[type]) return false;
+    
+    this.type = type;
+    this.setStrength(strength);
+    return true;
+  }
+  
+  /**
+   * Change how strongly the correction is applied
+   * @param {number} strength - 0 for no change up to 1 for the full correction
+   */
+  setStrength(strength) {
+    const value = Number(strength);
+    this.strength = Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : 1;
+    this.update();
+  }
+  
+  /**
+   * Stop correcting the page colors
+   */
+  remove() {
+    this.type = null;
+    this.update();
+  }
+  
+  /**
+   * Show the page as people with a color vision deficiency see it
+   * @param {string|null} type - Filter from SIMULATION_FILTERS, null to stop
+   * @returns {boolean} Whether the filter exists
+   */
+  simulate(type) {
+    if (type && !SIMULATION_FILTERS[type]) return false;
+    
+    this.simulation = type || null;
+    this.update();
+    return true;
+  }
+  
+  /**
+   * Invert the page colors, turn them gray and change their saturation, brightness and contrast
+   * @param {Object} adjustments - Any of `invert` and `grayscale` (booleans), `saturation`,
+   *   `brightness` and `contrast` (factors, 1 for no change); missing values are reset
+   */
+  adjust(adjustments = {}) {
+    const factor = (value, fallback) => {
+      const number = Number(value);
+      return Number.isFinite(number) && number >= 0 ? number : fallback;
+    };
+    
+    this.adjustments = {
+      invert: Boolean(adjustments.invert),
+      grayscale: Boolean(adjustments.grayscale),
+      saturation: factor(adjustments.saturation, DEFAULT_ADJUSTMENTS.saturation),
+      brightness: factor(adjustments.brightness, DEFAULT_ADJUSTMENTS.brightness),
+      contrast: factor(adjustments.contrast, DEFAULT_ADJUSTMENTS.contrast)
+    };
+    this.update();
+  }
+  
+  /**
+   * Check whether any color adjustment changes the page
+   * @returns {boolean} Whether the adjustments differ from the defaults
+   */
+  isAdjusted() {
+    return Object.keys(DEFAULT_ADJUSTMENTS).some(key => this.adjustments[key] !== DEFAULT_ADJUSTMENTS[key]);
+  }
+  
+  /**
+   * Stop filtering and remove the filter definition
+   */
+  destroy() {
+    this.type = null;
+    this.simulation = null;
+    this.adjustments = { ...DEFAULT_ADJUSTMENTS };
+    this.update();
+    
+    if (this.svg) {
+      this.svg.remove();
+      this.svg = null;
+      this.invertTransfer = null;
+      this.correctionMatrix = null;
+      this.saturationMatrix = null;
+      this.lightTransfer = null;
+      this.simulationMatrix = null;
+    }
+  }
+  
+  /**
+   * Write every step and filter the page while any is active
+   * An inactive step leaves colors unchanged
+   */
+  update() {
+    const active = Boolean(this.type || this.simulation || this.isAdjusted());
+    if (active) this.createFilter();
+    
+    if (this.svg) {
+      const { invert, grayscale, saturation, brightness, contrast } = this.adjustments;
+      
+      Array.from(this.invertTransfer.children).forEach(func => func.setAttribute('type', invert ? 'table' : 'identity'));
+      this.correctionMatrix.setAttribute('values', this.type
+        ? getMatrixValues(COLOR_FILTERS[this.type], this.strength)
+        : IDENTITY_VALUES);
+      // Grayscale is saturate(0), like the CSS grayscale(100%)
+      this.saturationMatrix.setAttribute('values', grayscale ? '0' : String(saturation));
+      
+      // brightness() then contrast(), as one linear function
+      Array.from(this.lightTransfer.children).forEach(func => {
+        func.setAttribute('slope', String(Number((brightness * contrast).toFixed(6))));
+        func.setAttribute('intercept', String(Number((0.5 - 0.5 * contrast).toFixed(6))));
+      });
+      
+      this.simulationMatrix.setAttribute('values', this.simulation
+        ? getMatrixValues(SIMULATION_FILTERS[this.simulation], 1)
+        : IDENTITY_VALUES);
+    }
+    
+    document.body.classList.toggle('spicy-color-filter', active);
+    
+    // Media are inverted back by the stylesheet so photos and video look normal
+    document.body.classList.toggle('spicy-invert-colors', this.adjustments.invert);
+  }
+  
+  /**
+   * Add the hidden <svg> holding the filter, once
+   */
+  createFilter() {
+    if (this.svg) return;
+    
+    this.svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+    this.svg.id = 'spicy-color-filters';
+    this.svg.setAttribute('aria-hidden', 'true');
+    this.svg.setAttribute('focusable', 'false');
+    Object.assign(this.svg.style, {
+      position: 'absolute',
+      width: '0',
+      height: '0',
+      overflow: 'hidden'
+    });
+    
+    const filter = document.createElementNS(SVG_NAMESPACE, 'filter');
+    filter.id = 'spicy-color-filter';
+    filter.setAttribute('color-interpolation-filters', 'linearRGB');
+    
+    // Inversion comes first, so media inverted back by the stylesheet get every later step
+    this.invertTransfer = this.createTransfer();
+    Array.from(this.invertTransfer.children).forEach(func => func.setAttribute('tableValues', '1 0'));
+    this.correctionMatrix = document.createElementNS(SVG_NAMESPACE, 'feColorMatrix');
+    this.correctionMatrix.setAttribute('type', 'matrix');
+    this.saturationMatrix = document.createElementNS(SVG_NAMESPACE, 'feColorMatrix');
+    this.saturationMatrix.setAttribute('type', 'saturate');
+    this.lightTransfer = this.createTransfer('linear');
+    this.simulationMatrix = document.createElementNS(SVG_NAMESPACE, 'feColorMatrix');
+    this.simulationMatrix.setAttribute('type', 'matrix');
+    
+    // Adjustments work in sRGB like the CSS invert(), saturate(), brightness() and contrast()
+    [this.invertTransfer, this.saturationMatrix, this.lightTransfer].forEach(step => {
+      step.setAttribute('color-interpolation-filters', 'sRGB');
+    });
+    
+    [
+      this.invertTransfer,
+      this.correctionMatrix,
+      this.saturationMatrix,
+      this.lightTransfer,
+      this.simulationMatrix
+    ].forEach(step => filter.appendChild(step));
+    this.svg.appendChild(filter);
+    document.body.appendChild(this.svg);
+  }
+  
+  /**
+   * Create an feComponentTransfer changing the red, green and blue channels alike
+   * @param {string} [type='identity'] - Transfer function type
+   * @returns {SVGElement} The transfer step, alpha is left untouched
+   */
+  createTransfer(type = 'identity') {
+    const transfer = document.createElementNS(SVG_NAMESPACE, 'feComponentTransfer');
+    ['feFuncR', 'feFuncG', 'feFuncB'].forEach(name => {
+      const func = document.createElementNS(SVG_NAMESPACE, name);
+      func.setAttribute('type', type);
+      transfer.appendChild(func);
+    });
+    return transfer;
+  }
+}
@@ -0,0 +1,492 @@
+/**
+ * SmartDarkMode - Dark mode computed from each element's own colors
+ * Lightness is inverted while hue is kept, brand colors and media are left alone, and text
+ * is adjusted until it has a 4.5:1 contrast ratio with the background behind it
+ */
+
+import { WIDGET_SELECTOR } from '../text/scaler';
+import {
+  parseRgbColor,
+  formatRgbColor,
+  rgbToHsl,
+  hslToRgb,
+  blendColors,
+  colorContrast,
+  relativeLuminance
+} from '../../utils/color';
+
+/**
+ * Elements left alone with their subtree: media, and content that is not rendered
+ */
+const SKIPPED_TAGS = [
+  'IMG', 'PICTURE', 'VIDEO', 'AUDIO', 'CANVAS', 'IFRAME', 'OBJECT', 'EMBED',
+  'HEAD', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'
+];
+
+/**
+ * Form controls, which hold text without text nodes
+ */
+const CONTROL_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'];
+
+const BORDER_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Classes the toolkit toggles on the page itself, which don't call for new colors
+ */
+const TOOLKIT_CLASS = /^(spicy-|keyboard-focus$)/;
+
+/**
+ * Minimum contrast ratio of text with its background (WCAG 1.4.3)
+ */
+const MIN_CONTRAST = 4.5;
+
+/**
+ * Saturated mid-lightness colors are treated as brand colors and kept
+ */
+const BRAND_SATURATION = 0.6;
+const BRAND_LIGHTNESS = [0.3, 0.7];
+
+/**
+ * Lightness range of inverted colors, so white becomes a soft black and black a soft white
+ */
+const LIGHTNESS_RANGE = [0.07, 0.93];
+
+/**
+ * Lightness change per step while looking for enough contrast
+ */
+const CONTRAST_STEP = 0.05;
+
+/**
+ * Canvas color of pages that set no background
+ */
+const PAGE_BACKGROUND = { r: 255, g: 255, b: 255, a: 1 };
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+export default class SmartDarkMode {
+  /**
+   * Creates a new SmartDarkMode instance
+   */
+  constructor() {
+    this.enabled = false;
+    
+    // Computed color -> dark color, kept across toggles as the mapping never changes
+    this.cache = new Map();
+    
+    // Original inline colors of each changed element
+    this.originals = new WeakMap();
+    
+    // Elements currently changed
+    this.changed = new Set();
+    
+    // Dark background and text color in effect at each processed element
+    this.states = new WeakMap();
+    
+    this.observer = null;
+  }
+  
+  /**
+   * Turn dark mode on or off
+   * @param {boolean} enabled - Whether the page is darkened
+   */
+  toggle(enabled) {
+    if (enabled) {
+      this.enable();
+    } else {
+      this.disable();
+    }
+  }
+  
+  /**
+   * Darken the page and keep up with later changes
+   */
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+    
+    this.process(this.findElements(document.documentElement));
+    
+    if (typeof MutationObserver !== 'undefined') {
+      this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+      this.observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['class'],
+        attributeOldValue: true
+      });
+    }
+  }
+  
+  /**
+   * Put every changed element back to its original colors
+   */
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+    
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    
+    this.changed.forEach(element => this.reset(element));
+    this.changed.clear();
+    this.originals = new WeakMap();
+    this.states = new WeakMap();
+  }
+  
+  /**
+   * Restore the page
+   */
+  destroy() {
+    this.disable();
+  }
+  
+  /**
+   * Check whether an element and its subtree are left alone
+   * @param {Element} element - Element to check
+   * @returns {boolean} Whether the element is skipped
+   */
+  isSkipped(element) {
+    return element.namespaceURI !== HTML_NAMESPACE ||
+      SKIPPED_TAGS.includes(element.tagName) ||
+      element.matches(WIDGET_SELECTOR);
+  }
+  
+  /**
+   * Check whether an element holds text of its own
+   * @param {Element} element - Element to check
+   * @returns {boolean} Whether the element has a non-blank text node or is a form control
+   */
+  hasText(element) {
+    if (CONTROL_TAGS.includes(element.tagName)) return true;
+    
+    return Array.from(element.childNodes).some(
+      node => node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== ''
+    );
+  }
+  
+  /**
+   * Find the elements of a subtree to darken, in document order
+   * @param {Element} root - Subtree root, included in the results
+   * @returns {Element[]} Elements outside media and the toolkit UI
+   */
+  findElements(root) {
+    if (!root || root.nodeType !== Node.ELEMENT_NODE || this.isSkipped(root) || root.closest(WIDGET_SELECTOR)) {
+      return [];
+    }
+    
+    // Below a skipped element, e.g. content added inside a <video>
+    for (let parent = root.parentElement; parent; parent = parent.parentElement) {
+      if (this.isSkipped(parent)) return [];
+    }
+    
+    const elements = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+      acceptNode: node => (this.isSkipped(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    
+    for (let node = root; node; node = walker.nextNode()) {
+      elements.push(node);
+    }
+    
+    return elements;
+  }
+  
+  /**
+   * Darken elements, parents before children
+   * Every color is read before any is written, or children would read their parent's dark
+   * color as their own and be inverted twice
+   * @param {Element[]} elements - Elements in document order
+   */
+  process(elements) {
+    const measured = new Map();
+    
+    elements.forEach(element => {
+      const style = getComputedStyle(element);
+      const parent = element.parentElement;
+      const parentColor = measured.has(parent)
+        ? measured.get(parent).color
+        : parent && getComputedStyle(parent).color;
+      
+      measured.set(element, {
+        color: style.color,
+        inherited: style.color === parentColor,
+        background: style.backgroundColor,
+        borders: BORDER_SIDES.map(side => (
+          style.getPropertyValue(`border-${side}-style`) !== 'none' && parseFloat(style.getPropertyValue(`border-${side}-width`)) !== 0
+            ? style.getPropertyValue(`border-${side}-color`)
+            : null
+        ))
+      });
+    });
+    
+    measured.forEach((colors, element) => this.darken(element, colors));
+  }
+  
+  /**
+   * Write the dark colors of an element
+   * @param {Element} element - Element to darken
+   * @param {Object} colors - Original computed colors, from process()
+   */
+  darken(element, colors) {
+    const parentState = this.states.get(element.parentElement) || this.getRootState();
+    let background = parentState.background;
+    let color = parentState.color;
+    
+    // The root paints the canvas, which is white when the page sets nothing
+    let ownBackground = parseRgbColor(colors.background);
+    if (element === document.documentElement && (!ownBackground || ownBackground.a === 0)) {
+      ownBackground = PAGE_BACKGROUND;
+    }
+    
+    if (ownBackground && ownBackground.a > 0) {
+      const dark = this.transform('background', ownBackground);
+      this.write(element, 'background-color', formatRgbColor(dark));
+      background = blendColors(dark, parentState.background);
+    }
+    
+    let writeColor = false;
+    const ownColor = colors.inherited ? null : parseRgbColor(colors.color);
+    if (ownColor) {
+      color = this.transform('text', ownColor);
+      writeColor = true;
+    }
+    
+    if (this.hasText(element)) {
+      const readable = this.ensureContrast(color, background);
+      if (readable !== color) {
+        color = readable;
+        writeColor = true;
+      }
+    }
+    
+    if (writeColor) {
+      this.write(element, 'color', formatRgbColor(color));
+    }
+    
+    colors.borders.forEach((border, index) => {
+      const borderColor = parseRgbColor(border);
+      if (borderColor && borderColor.a > 0) {
+        this.write(element, `border-${BORDER_SIDES[index]}-color`, formatRgbColor(this.transform('border', borderColor)));
+      }
+    });
+    
+    this.states.set(element, { background, color });
+  }
+  
+  /**
+   * Colors in effect above the root element
+   * @returns {{background: Object, color: Object}} Dark page background and light text
+   */
+  getRootState() {
+    return {
+      background: this.transform('background', PAGE_BACKGROUND),
+      color: this.transform('text', { r: 0, g: 0, b: 0, a: 1 })
+    };
+  }
+  
+  /**
+   * Get the dark version of a color
+   * Backgrounds get dark and text gets light, by inverting lightness; colors already on the
+   * right side and brand colors are kept. Borders are always inverted so they stay visible
+   * @param {string} kind - 'background', 'text' or 'border'
+   * @param {{r: number, g: number, b: number, a: number}} color - Original color
+   * @returns {{r: number, g: number, b: number, a: number}} Dark mode color
+   */
+  transform(kind, color) {
+    const key = `${kind}|${formatRgbColor(color)}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+    
+    const hsl = rgbToHsl(color);
+    const isBrand = hsl.s >= BRAND_SATURATION && hsl.l >= BRAND_LIGHTNESS[0] && hsl.l <= BRAND_LIGHTNESS[1];
+    const invert = !isBrand && (
+      (kind === 'background' && hsl.l > 0.5) ||
+      (kind === 'text' && hsl.l < 0.5) ||
+      kind === 'border'
+    );
+    
+    let result = color;
+    if (invert) {
+      const l = Math.min(Math.max(1 - hsl.l, LIGHTNESS_RANGE[0]), LIGHTNESS_RANGE[1]);
+      result = { ...hslToRgb({ ...hsl, l }), a: color.a };
+    }
+    
+    this.cache.set(key, result);
+    return result;
+  }
+  
+  /**
+   * Move a text color's lightness away from its background until they contrast enough
+   * @param {{r: number, g: number, b: number, a: number}} color - Text color
+   * @param {{r: number, g: number, b: number}} background - Opaque background
+   * @returns {{r: number, g: number, b: number, a: number}} The same color if it was readable, or an adjusted one
+   */
+  ensureContrast(color, background) {
+    if (colorContrast(color, background) >= MIN_CONTRAST) return color;
+    
+    const key = `contrast|${formatRgbColor(color)}|${formatRgbColor(background)}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+    
+    // Lighten on dark backgrounds, darken on light ones (e.g. kept brand colors)
+    const hsl = rgbToHsl(color);
+    const direction = relativeLuminance(background) < 0.18 ? 1 : -1;
+    let result = color;
+    
+    for (let l = hsl.l; l >= 0 && l <= 1; l += direction * CONTRAST_STEP) {
+      result = { ...hslToRgb({ ...hsl, l }), a: color.a };
+      if (colorContrast(result, background) >= MIN_CONTRAST) break;
+    }
+    
+    // Lightness alone may not be enough for saturated colors, end on white or black
+    if (colorContrast(result, background) < MIN_CONTRAST) {
+      result = direction > 0 ? { r: 255, g: 255, b: 255, a: color.a } : { r: 0, g: 0, b: 0, a: color.a };
+    }
+    
+    this.cache.set(key, result);
+    return result;
+  }
+  
+  /**
+   * Set an inline color, remembering the original value
+   * @param {Element} element - Element to change
+   * @param {string} property - CSS property
+   * @param {string} value - New color
+   */
+  write(element, property, value) {
+    if (!this.originals.has(element)) {
+      this.originals.set(element, { properties: {}, hadStyle: element.hasAttribute('style') });
+    }
+    
+    const original = this.originals.get(element);
+    if (!(property in original.properties)) {
+      original.properties[property] = {
+        value: element.style.getPropertyValue(property),
+        priority: element.style.getPropertyPriority(property)
+      };
+    }
+    
+    element.style.setProperty(property, value, 'important');
+    this.changed.add(element);
+  }
+  
+  /**
+   * Put an element's inline colors back to what the page set
+   * @param {Element} element - Changed element
+   */
+  reset(element) {
+    const original = this.originals.get(element);
+    if (!original) return;
+    
+    Object.entries(original.properties).forEach(([property, { value, priority }]) => {
+      if (value) {
+        element.style.setProperty(property, value, priority);
+      } else {
+        element.style.removeProperty(property);
+      }
+    });
+    
+    if (!original.hadStyle && !element.style.length) {
+      element.removeAttribute('style');
+    }
+    
+    this.originals.delete(element);
+  }
+  
+  /**
+   * Darken added content, fix the contrast of added text and redo elements whose classes changed
+   * @param {MutationRecord[]} mutations - Observed mutations
+   */
+  handleMutations(mutations) {
+    const added = new Set();
+    const refreshed = new Set();
+    let removed = false;
+    
+    mutations.forEach(mutation => {
+      if (mutation.type === 'attributes') {
+        if (this.isPageClassChange(mutation)) {
+          refreshed.add(mutation.target);
+        }
+        return;
+      }
+      
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          added.add(node);
+        } else if (node.nodeType === Node.TEXT_NODE && node.parentElement) {
+          // New text may sit on a background its color was never checked against
+          this.fixContrast(node.parentElement);
+        }
+      });
+      
+      if (mutation.removedNodes.length) {
+        removed = true;
+      }
+    });
+    
+    if (removed) {
+      this.changed.forEach(element => {
+        if (!element.isConnected) this.changed.delete(element);
+      });
+    }
+    
+    // Class changes can change any color below, start again from the page colors
+    refreshed.forEach(element => {
+      if (!element.isConnected) return;
+      
+      this.changed.forEach(changed => {
+        if (element.contains(changed)) {
+          this.reset(changed);
+          this.changed.delete(changed);
+        }
+      });
+      added.add(element);
+    });
+    
+    // Nested additions are covered by their added ancestor
+    added.forEach(element => {
+      if (!element.isConnected) return;
+      
+      for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+        if (added.has(parent)) return;
+      }
+      
+      this.process(this.findElements(element));
+    });
+  }
+  
+  /**
+   * Check whether a class change comes from the page rather than from the toolkit
+   * @param {MutationRecord} mutation - Class attribute mutation
+   * @returns {boolean} Whether a page class was added or removed outside the toolkit UI
+   */
+  isPageClassChange(mutation) {
+    const element = mutation.target;
+    if (element.closest(WIDGET_SELECTOR)) return false;
+    
+    const before = (mutation.oldValue || '').split(/\s+/).filter(Boolean);
+    const after = Array.from(element.classList);
+    const changed = [
+      ...before.filter(name => !after.includes(name)),
+      ...after.filter(name => !before.includes(name))
+    ];
+    
+    return changed.some(name => !TOOLKIT_CLASS.test(name));
+  }
+  
+  /**
+   * Check the text color of a processed element against its background again
+   * @param {Element} element - Processed element
+   */
+  fixContrast(element) {
+    const state = this.states.get(element);
+    if (!state || !this.hasText(element)) return;
+    
+    const readable = this.ensureContrast(state.color, state.background);
+    if (readable !== state.color) {
+      this.write(element, 'color', formatRgbColor(readable));
+      this.states.set(element, { ...state, color: readable });
+    }
+  }
+}
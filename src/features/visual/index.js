@@ -3,36 +3,114 @@
  * Handles contrast, dark mode, grayscale, etc.
  */
 
-import { createElement } from '../../utils/dom';
+import ColorFilter, { COLOR_FILTERS } from './color-filters';
+import SmartDarkMode from './dark-mode';
+
+/**
+ * Contrast modes and the body class of each, one settings group so only one is on
+ */
+const CONTRAST_MODES = {
+  contrast: 'spicy-contrast-high',
+  smartContrast: 'spicy-contrast',
+  contrastBlue: 'spicy-contrast-blue',
+  customColors: 'spicy-custom-colors'
+};
+
+/**
+ * Custom color settings and the CSS custom properties they set
+ */
+const CUSTOM_COLORS = {
+  textColor: '--spicy-custom-text',
+  backgroundColor: '--spicy-custom-background',
+  linkColor: '--spicy-custom-link',
+  headingColor: '--spicy-custom-heading'
+};
+
+/**
+ * Color adjustment settings and the ColorFilter adjustments they set
+ */
+const COLOR_ADJUSTMENTS = {
+  invertColors: 'invert',
+  grayscale: 'grayscale',
+  saturationLevel: 'saturation',
+  brightnessLevel: 'brightness',
+  contrastLevel: 'contrast'
+};
 
 export default class VisualFeatures {
   /**
    * Creates a new VisualFeatures instance
    * @param {Settings} settings - Settings manager instance
    * @param {EventBus} events - Event bus instance
+   * @param {I18n} i18n - Translations
    */
-  constructor(settings, events) {
+  constructor(settings, events, i18n) {
     this.settings = settings;
     this.events = events;
+    this.i18n = i18n;
+    this.id = 'visual';
+    this.title = 'Visual';
+    this.icon = 'fa-solid fa-eye';
     this.features = [
       {
         id: 'contrast',
         name: 'High Contrast',
+        group: 'contrastMode',
         icon: 'fa-solid fa-adjust',
         type: 'toggle'
       },
       {
         id: 'smartContrast',
         name: 'Smart Contrast',
+        group: 'contrastMode',
         icon: 'fa-solid fa-circle-half-stroke',
         type: 'toggle'
       },
       {
         id: 'contrastBlue',
         name: 'Blue Contrast',
+        group: 'contrastMode',
         icon: 'fa-solid fa-droplet',
         type: 'toggle'
       },
+      {
+        id: 'customColors',
+        name: 'Custom Colors',
+        group: 'contrastMode',
+        icon: 'fa-solid fa-palette',
+        type: 'toggle'
+      },
+      {
+        id: 'textColor',
+        name: 'Text',
+        icon: 'fa-solid fa-font',
+        type: 'color',
+        default: '#1b1b1b',
+        contrastWith: 'backgroundColor'
+      },
+      {
+        id: 'backgroundColor',
+        name: 'Background',
+        icon: 'fa-solid fa-brush',
+        type: 'color',
+        default: '#fdf6e3'
+      },
+      {
+        id: 'linkColor',
+        name: 'Links',
+        icon: 'fa-solid fa-link',
+        type: 'color',
+        default: '#0645ad',
+        contrastWith: 'backgroundColor'
+      },
+      {
+        id: 'headingColor',
+        name: 'Headings',
+        icon: 'fa-solid fa-heading',
+        type: 'color',
+        default: '#1b1b1b',
+        contrastWith: 'backgroundColor'
+      },
       {
         id: 'darkMode',
         name: 'Dark Mode',
@@ -51,6 +129,102 @@ export default class VisualFeatures {
         icon: 'fa-solid fa-brush',
         type: 'toggle'
       },
+      {
+        id: 'invertColors',
+        name: 'Invert Colors',
+        icon: 'fa-solid fa-circle-half-stroke',
+        type: 'toggle'
+      },
+      // Color adjustments in percent, 100 leaves the page as it is
+      {
+        id: 'saturationLevel',
+        name: 'Saturation',
+        icon: 'fa-solid fa-droplet',
+        type: 'slider',
+        min: 0,
+        max: 200,
+        step: 10,
+        default: 100,
+        unit: '%'
+      },
+      {
+        id: 'brightnessLevel',
+        name: 'Brightness',
+        icon: 'fa-solid fa-sun',
+        type: 'slider',
+        min: 50,
+        max: 150,
+        step: 5,
+        default: 100,
+        unit: '%'
+      },
+      {
+        id: 'contrastLevel',
+        name: 'Contrast',
+        icon: 'fa-solid fa-adjust',
+        type: 'slider',
+        min: 50,
+        max: 200,
+        step: 10,
+        default: 100,
+        unit: '%'
+      },
+      {
+        id: 'protanopia',
+        name: 'Protanopia',
+        group: 'colorFilter',
+        icon: 'fa-solid fa-glasses',
+        type: 'toggle'
+      },
+      {
+        id: 'deuteranopia',
+        name: 'Deuteranopia',
+        group: 'colorFilter',
+        icon: 'fa-solid fa-glasses',
+        type: 'toggle'
+      },
+      {
+        id: 'tritanopia',
+        name: 'Tritanopia',
+        group: 'colorFilter',
+        icon: 'fa-solid fa-glasses',
+        type: 'toggle'
+      },
+      {
+        id: 'achromatopsia',
+        name: 'Achromatopsia',
+        group: 'colorFilter',
+        icon: 'fa-solid fa-eye',
+        type: 'toggle'
+      },
+      {
+        id: 'colorFilterStrength',
+        name: 'Color Filter Strength',
+        icon: 'fa-solid fa-sliders',
+        type: 'level',
+        options: [
+          { value: 25, label: '25%' },
+          { value: 50, label: '50%' },
+          { value: 75, label: '75%' },
+          { value: 100, label: '100%' }
+        ],
+        default: 100
+      },
+      {
+        id: 'colorSimulation',
+        name: 'Color Blindness Simulation',
+        icon: 'fa-solid fa-eye',
+        type: 'select',
+        options: [
+          { value: 'none', label: 'Off' },
+          { value: 'protanopia', label: 'Protanopia' },
+          { value: 'deuteranopia', label: 'Deuteranopia' },
+          { value: 'tritanopia', label: 'Tritanopia' },
+          { value: 'achromatopsia', label: 'Achromatopsia' }
+        ],
+        // A design preview, never saved or put into profiles
+        persist: false
+      },
       {
         id: 'highlightLinks',
         name: 'Highlight Links',
@@ -92,64 +266,105 @@ export default class VisualFeatures {
         name: 'Focus Indicator',
         icon: 'fa-solid fa-bullseye',
         type: 'toggle'
-      },
-      {
-        id: 'tooltips',
-        name: 'Show Tooltips',
-        icon: 'fa-solid fa-comment-dots',
-        type: 'toggle'
       }
     ];
     
     // All features are enabled by default
     this.enabledFeatures = [...this.features];
+    
+    this.colorFilter = new ColorFilter();
+    this.darkMode = new SmartDarkMode();
   }
   
   /**
    * Initialize visual features
    */
   init() {
-    // Apply existing settings on page load
-    Object.entries(this.settings.getAll())
-      .filter(([key]) => this.features.some(f => f.id === key))
-      .forEach(([key, value]) => {
-        if (value) {
-          this.applyVisualSetting(key, value);
-        }
-      });
-    
-    // Listen for settings changes
-    this.events.on('settings:changed', (settings, changedKey) => {
-      if (this.features.some(f => f.id === changedKey)) {
-        this.applyVisualSetting(changedKey, settings[changedKey]);
-      }
-    });
-    
     // Handle system color scheme preference
     this.handleColorSchemePreference();
   }
   
+  /**
+   * Apply visual settings to the page
+   * On page load only the features that are on are applied; afterwards, only what changed
+   * @param {Object} settings - Current settings
+   * @param {Object|null} diff - Change diff, null on page load
+   */
+  apply(settings, diff) {
+    const keys = diff
+      ? diff.keys.filter(key => this.features.some(f => f.id === key))
+      : this.features.map(f => f.id).filter(id => settings[id]);
+    
+    // Turn features off before turning others on so exclusive groups end up consistent
+    keys
+      .sort((a, b) => Boolean(settings[a]) - Boolean(settings[b]))
+      .forEach(key => this.applyVisualSetting(key, settings[key]));
+  }
+  
   /**
    * Apply visual accessibility settings to the document
    * @param {string} id - Feature ID
-   * @param {boolean} enabled - Whether feature is enabled
+   * @param {boolean|number} enabled - Whether feature is enabled, or its level
    */
   applyVisualSetting(id, enabled) {
     const body = document.body;
     
-    // Remove existing classes first for mutually exclusive features
-    if (id === 'contrast' || id === 'smartContrast' || id === 'contrastBlue') {
-      body.classList.remove('spicy-contrast', 'spicy-contrast-high', 'spicy-contrast-blue');
+    // Contrast modes and custom colors are mutually exclusive (one settings group)
+    if (CONTRAST_MODES[id]) {
+      body.classList.remove(...Object.values(CONTRAST_MODES));
       
-      if (enabled) {
-        if (id === 'contrast') {
-          body.classList.add('spicy-contrast-high');
-        } else if (id === 'contrastBlue') {
-          body.classList.add('spicy-contrast-blue');
-        } else if (id === 'smartContrast') {
-          body.classList.add('spicy-contrast');
-        }
+      // Turning one off keeps any mode that is still on, e.g. from data saved before the group
+      const active = enabled ? id : Object.keys(CONTRAST_MODES).find(key => this.settings.getSetting(key));
+      if (active) {
+        body.classList.add(CONTRAST_MODES[active]);
       }
+      
+      this.applyCustomColors(active === 'customColors');
+      return;
+    }
+    
+    if (CUSTOM_COLORS[id]) {
+      if (this.settings.getSetting('customColors')) {
+        this.applyCustomColors(true);
+      }
+      return;
+    }
+    
+    // Color vision filters are mutually exclusive as well (one settings group), and share one strength
+    if (COLOR_FILTERS[id]) {
+      this.colorFilter.remove();
+      
+      // Turning one off keeps any filter that is still on, e.g. from data saved before the group
+      const active = enabled ? id : Object.keys(COLOR_FILTERS).find(key => this.settings.getSetting(key));
+      if (active) {
+        this.colorFilter.apply(active, this.settings.getSetting('colorFilterStrength') / 100);
+      }
+      return;
+    }
+    
+    if (id === 'colorFilterStrength') {
+      // Turning features off passes false, which leaves the strength alone
+      if (typeof enabled === 'number') {
+        this.colorFilter.setStrength(enabled / 100);
+      }
+      return;
+    }
+    
+    if (id === 'colorSimulation') {
+      this.colorFilter.simulate(enabled && enabled !== 'none' ? enabled : null);
+      return;
+    }
+    
+    // Inversion, grayscale and the color sliders share the color filter, so they are read together
+    if (COLOR_ADJUSTMENTS[id]) {
+      this.colorFilter.adjust(this.getColorAdjustments());
+      return;
+    }
+    
+    // Dark mode is computed per element; the class stays for page styles that want to adapt
+    if (id === 'darkMode') {
+      body.classList.toggle('spicy-dark-mode', Boolean(enabled));
+      this.darkMode.toggle(enabled);
       return;
     }
     
@@ -186,6 +401,35 @@ export default class VisualFeatures {
     body.classList.toggle(className, enabled);
   }
   
+  /**
+   * Set the custom properties used by the spicy-custom-colors rules, or remove them
+   * @param {boolean} enabled - Whether the custom color scheme is on
+   */
+  applyCustomColors(enabled) {
+    const style = document.documentElement.style;
+    
+    Object.entries(CUSTOM_COLORS).forEach(([id, property]) => {
+      const value = enabled ? this.settings.getSetting(id) : null;
+      if (value) {
+        style.setProperty(property, value);
+      } else {
+        style.removeProperty(property);
+      }
+    });
+  }
+  
+  /**
+   * Read the color adjustments from the settings
+   * @returns {Object} Adjustments for ColorFilter.adjust(), sliders as factors
+   */
+  getColorAdjustments() {
+    return Object.entries(COLOR_ADJUSTMENTS).reduce((adjustments, [id, key]) => {
+      const value = this.settings.getSetting(id);
+      adjustments[key] = typeof value === 'number' ? value / 100 : Boolean(value);
+      return adjustments;
+    }, {});
+  }
+  
   /**
    * Handle system color scheme preference
    */
@@ -199,124 +443,33 @@ export default class VisualFeatures {
     }
     
     // Listen for changes
-    prefersDarkMode.addEventListener('change', (e) => {
+    this.colorSchemeQuery = prefersDarkMode;
+    this.colorSchemeHandler = (e) => {
       // Only auto-switch if user hasn't made an explicit choice
       if (this.settings.getSetting('darkMode') === false && this.settings.getSetting('lightMode') === false) {
         this.settings.updateSetting('darkMode', e.matches);
       }
-    });
+    };
+    prefersDarkMode.addEventListener('change', this.colorSchemeHandler);
   }
   
   /**
-   * Render visual features section in the panel
-   * @returns {HTMLElement} Section element
+   * Remove all visual classes from the page and stop following the system color scheme
    */
-  renderSection() {
-    // Don't render if no features are enabled
-    if (this.enabledFeatures.length === 0) return null;
-    
-    // Create section container
-    const section = createElement('div', {
-      className: 'spicy-section',
-      innerHTML: `<h3><i class="fa-solid fa-circle-half-stroke"></i> Visual Display</h3>`
-    });
-    
-    // Create grid for feature buttons (UserWay style with 3 columns)
-    const grid = createElement('div', { className: 'spicy-grid' });
-    
-    // Split features into logical groups
-    const contrastFeatures = ['contrast', 'smartContrast', 'contrastBlue'];
-    const modeFeatures = ['darkMode', 'lightMode', 'grayscale'];
-    const contentFeatures = ['highlightLinks', 'hideImages'];
-    const motionFeatures = ['pauseAnimations', 'reduceMotion'];
-    const cursorFeatures = ['bigCursor', 'xlCursor'];
-    const focusFeatures = ['focusIndicator', 'tooltips'];
+  destroy() {
+    this.features.forEach(feature => this.applyVisualSetting(feature.id, false));
     
-    // Add all features in order within their groups
-    const allGroups = [
-      contrastFeatures, 
-      modeFeatures, 
-      contentFeatures, 
-      motionFeatures, 
-      cursorFeatures, 
-      focusFeatures
-    ];
-    
-    allGroups.forEach(group => {
-      this.enabledFeatures
-        .filter(feature => group.includes(feature.id))
-        .forEach(feature => {
-          const button = this.createFeatureButton(feature);
-          grid.appendChild(button);
-        });
-    });
-    
-    // Add grid to section if it has any children
-    if (grid.children.length > 0) {
-      section.appendChild(grid);
-    }
+    // Turning a contrast mode off keeps the others that are on in settings, so clear them directly
+    document.body.classList.remove(...Object.values(CONTRAST_MODES));
+    this.applyCustomColors(false);
     
-    return section;
-  }
-  
-  /**
-   * Create a feature toggle button
-   * @param {Object} feature - Feature configuration
-   * @returns {HTMLElement} Button element
-   */
-  createFeatureButton(feature) {
-    const button = createElement('button', {
-      className: 'spicy-feature-btn',
-      id: `spicy-${feature.id}`,
-      innerHTML: `
-        <i class="${feature.icon}"></i>
-        <span>${feature.name}</span>
-      `
-    });
+    this.colorFilter.destroy();
+    this.darkMode.destroy();
     
-    // Set active state based on current setting
-    if (this.settings.getSetting(feature.id)) {
-      button.classList.add('active');
+    if (this.colorSchemeQuery) {
+      this.colorSchemeQuery.removeEventListener('change', this.colorSchemeHandler);
+      this.colorSchemeQuery = null;
+      this.colorSchemeHandler = null;
     }
-    
-    // Add click event
-    button.addEventListener('click', () => {
-      const isActive = button.classList.toggle('active');
-      
-      // Handle mutually exclusive settings
-      if (isActive) {
-        if (feature.id === 'darkMode' && this.settings.getSetting('lightMode')) {
-          this.settings.updateSetting('lightMode', false);
-          const lightButton = document.getElementById('spicy-lightMode');
-          if (lightButton) {
-            lightButton.classList.remove('active');
-          }
-        } else if (feature.id === 'lightMode' && this.settings.getSetting('darkMode')) {
-          this.settings.updateSetting('darkMode', false);
-          const darkButton = document.getElementById('spicy-darkMode');
-          if (darkButton) {
-            darkButton.classList.remove('active');
-          }
-        }
-      }
-      
-      this.settings.updateSetting(feature.id, isActive);
-    });
-    
-    return button;
-  }
-  
-  /**
-   * Update UI based on current settings
-   * @param {Object} settings - Current settings
-   */
-  updateUI(settings) {
-    // Update toggle buttons
-    this.features.forEach(feature => {
-      const button = document.getElementById(`spicy-${feature.id}`);
-      if (button) {
-        button.classList.toggle('active', settings[feature.id]);
-      }
-    });
   }
 }
@@ -0,0 +1,291 @@
+/**
+ * Arabic messages
+ */
+
+export default {
+  widget: {
+    title: 'إعدادات إمكانية الوصول',
+    open: 'فتح قائمة إمكانية الوصول',
+    close: 'إغلاق قائمة إمكانية الوصول',
+    closeMenu: 'إغلاق القائمة',
+    buttonTitle: 'خيارات إمكانية الوصول ({shortcut})',
+    reset: 'إعادة تعيين جميع إعدادات إمكانية الوصول',
+    poweredBy: 'مدعوم من {brand}',
+    undo: 'تراجع',
+    undoTitle: 'التراجع عن آخر تغيير (Ctrl+Z)',
+    redo: 'إعادة',
+    redoTitle: 'إعادة آخر تغيير (Ctrl+Shift+Z)',
+    noFeatures: 'لا تتوفر ميزات لإمكانية الوصول.',
+    errorTitle: 'ميزات إمكانية الوصول',
+    errorMessage: 'حدث خطأ أثناء تحميل ميزات إمكانية الوصول.',
+    resetSettings: 'إعادة تعيين جميع الإعدادات',
+    position: 'موضع الأداة',
+    bottomEnd: 'أسفل النهاية',
+    bottomStart: 'أسفل البداية',
+    decreaseFontSize: 'تصغير حجم الخط',
+    increaseFontSize: 'تكبير حجم الخط',
+    fontSizeControl: 'التحكم في حجم الخط',
+    wcagMinimum: 'الحد الأدنى وفق WCAG',
+    colorEditor: 'نظام الألوان',
+    contrastWith: 'نسبة التباين مع {name}',
+    contrastLevels: {
+      AAA: 'AAA',
+      AA: 'AA',
+      'AA-large': 'AA للنص الكبير',
+      fail: 'منخفضة جدًا'
+    }
+  },
+  
+  sections: {
+    text: 'النص',
+    visual: 'العرض',
+    navigation: 'التنقل',
+    audio: 'الصوت',
+    profiles: 'الملفات الشخصية'
+  },
+  
+  features: {
+    fontSize: {
+      name: 'حجم النص',
+      description: 'اضبط حجم نص الصفحة لتسهيل القراءة'
+    },
+    readingFont: {
+      name: 'خط سهل القراءة',
+      description: 'استبدل خط الصفحة بخط أسهل قراءة، مثل OpenDyslexic للأشخاص المصابين بعسر القراءة',
+      options: {
+        none: 'خط الصفحة'
+      }
+    },
+    lineHeight: {
+      name: 'تباعد الأسطر',
+      description: 'زد المسافة بين أسطر النص',
+      options: {
+        0: 'الإعداد الافتراضي للصفحة'
+      }
+    },
+    letterSpacing: {
+      name: 'تباعد الأحرف',
+      description: 'اضبط المسافة بين الأحرف لتسهيل القراءة',
+      options: {
+        0: 'الإعداد الافتراضي للصفحة'
+      }
+    },
+    wordSpacing: {
+      name: 'تباعد الكلمات',
+      description: 'زد المسافة بين الكلمات',
+      options: {
+        0: 'الإعداد الافتراضي للصفحة'
+      }
+    },
+    paragraphSpacing: {
+      name: 'تباعد الفقرات',
+      description: 'أضف مسافة بعد كل فقرة',
+      options: {
+        0: 'الإعداد الافتراضي للصفحة'
+      }
+    },
+    textAlign: {
+      name: 'محاذاة النص',
+      description: 'حاذِ النص إلى بداية السطر بدلاً من ضبطه',
+      options: {
+        none: 'الإعداد الافتراضي للصفحة',
+        start: 'البداية'
+      }
+    },
+    lineLength: {
+      name: 'طول السطر',
+      description: 'حدد عدد الأحرف في سطر النص',
+      options: {
+        0: 'الإعداد الافتراضي للصفحة',
+        80: 'عريض (80 حرفًا)',
+        70: 'متوسط (70 حرفًا)',
+        60: 'ضيق (60 حرفًا)'
+      }
+    },
+    hyphenation: {
+      name: 'تقسيم الكلمات',
+      description: 'امنع تقسيم الكلمات بين الأسطر',
+      options: {
+        none: 'الإعداد الافتراضي للصفحة',
+        manual: 'الواصلات الاختيارية فقط',
+        off: 'إيقاف'
+      }
+    },
+    magnifier: {
+      name: 'مكبر النص',
+      description: 'اعرض نسخة مكبرة من النص الموجود تحت المؤشر أو تركيز لوحة المفاتيح',
+      options: {
+        0: 'إيقاف'
+      }
+    },
+    bionicReading: {
+      name: 'القراءة البيونية',
+      description: 'اجعل الأحرف الأولى من كل كلمة بخط عريض لتوجيه العين'
+    },
+    contrast: {
+      name: 'تباين عالٍ',
+      description: 'زد التباين بين النص والخلفية'
+    },
+    smartContrast: {
+      name: 'تباين ذكي'
+    },
+    contrastBlue: {
+      name: 'تباين أزرق'
+    },
+    customColors: {
+      name: 'ألوان مخصصة',
+      description: 'استخدم ألوانك الخاصة للنص والخلفية والروابط والعناوين'
+    },
+    textColor: {
+      name: 'النص',
+      description: 'لون نص الصفحة'
+    },
+    backgroundColor: {
+      name: 'الخلفية',
+      description: 'لون خلفية الصفحة'
+    },
+    linkColor: {
+      name: 'الروابط',
+      description: 'لون الروابط'
+    },
+    headingColor: {
+      name: 'العناوين',
+      description: 'لون العناوين'
+    },
+    darkMode: {
+      name: 'الوضع الداكن',
+      description: 'انتقل إلى السمة الداكنة لتقليل إجهاد العين'
+    },
+    lightMode: {
+      name: 'الوضع الفاتح',
+      description: 'انتقل إلى السمة الفاتحة'
+    },
+    grayscale: {
+      name: 'تدرج الرمادي',
+      description: 'حوّل جميع الألوان إلى تدرج الرمادي'
+    },
+    protanopia: {
+      name: 'عمى الأحمر',
+      description: 'تصحيح الألوان لعمى اللون الأحمر'
+    },
+    deuteranopia: {
+      name: 'عمى الأخضر',
+      description: 'تصحيح الألوان لعمى اللون الأخضر'
+    },
+    tritanopia: {
+      name: 'عمى الأزرق',
+      description: 'تصحيح الألوان لعمى اللونين الأزرق والأصفر'
+    },
+    achromatopsia: {
+      name: 'عمى الألوان الكلي',
+      description: 'عرض الصفحة بتدرجات رمادية عالية التباين لعمى الألوان الكلي'
+    },
+    colorFilterStrength: {
+      name: 'قوة مرشح الألوان',
+      description: 'مدى قوة تطبيق مرشح رؤية الألوان'
+    },
+    colorSimulation: {
+      name: 'محاكاة عمى الألوان',
+      description: 'معاينة الصفحة كما يراها المصابون بعمى الألوان. لا يتم حفظها',
+      options: {
+        none: 'إيقاف',
+        protanopia: 'عمى الأحمر',
+        deuteranopia: 'عمى الأخضر',
+        tritanopia: 'عمى الأزرق',
+        achromatopsia: 'عمى الألوان الكلي'
+      }
+    },
+    invertColors: {
+      name: 'عكس الألوان',
+      description: 'عكس ألوان الصفحة مع إبقاء الصور ومقاطع الفيديو كما هي'
+    },
+    saturationLevel: {
+      name: 'التشبع',
+      description: 'جعل الألوان أهدأ أو أكثر حيوية'
+    },
+    brightnessLevel: {
+      name: 'السطوع',
+      description: 'جعل الصفحة أغمق أو أفتح'
+    },
+    contrastLevel: {
+      name: 'التباين',
+      description: 'خفض تباين الصفحة أو رفعه'
+    },
+    highlightLinks: {
+      name: 'إبراز الروابط',
+      description: 'اجعل جميع روابط الصفحة أوضح'
+    },
+    hideImages: {
+      name: 'إخفاء الصور',
+      description: 'أخفِ جميع الصور للقراءة دون تشتيت'
+    },
+    pauseAnimations: {
+      name: 'إيقاف الرسوم المتحركة'
+    },
+    reduceMotion: {
+      name: 'تقليل الحركة'
+    },
+    bigCursor: {
+      name: 'مؤشر كبير',
+      description: 'استخدم مؤشرًا أكبر يسهل رؤيته'
+    },
+    xlCursor: {
+      name: 'مؤشر كبير جدًا'
+    },
+    focusIndicator: {
+      name: 'مؤشر التركيز'
+    },
+    tooltips: {
+      name: 'إظهار التلميحات'
+    },
+    pageStructure: {
+      name: 'بنية الصفحة'
+    },
+    readingGuide: {
+      name: 'دليل القراءة',
+      description: 'اعرض خطًا أفقيًا يتبع المؤشر لمساعدتك على التركيز في النص'
+    },
+    textToSpeech: {
+      name: 'قارئ الشاشة',
+      description: 'اقرأ النص المحدد بصوت عالٍ'
+    }
+  },
+  
+  navigation: {
+    structureTitle: 'بنية الصفحة',
+    closeStructure: 'إغلاق لوحة البنية',
+    noHeadings: 'لم يتم العثور على عناوين في هذه الصفحة',
+    emptyHeading: '[عنوان فارغ {index}]'
+  },
+  
+  audio: {
+    play: 'تشغيل قارئ الشاشة',
+    pause: 'إيقاف قارئ الشاشة مؤقتًا',
+    stop: 'إيقاف قارئ الشاشة',
+    voice: 'اختيار الصوت',
+    rate: 'سرعة القراءة',
+    selectText: 'يرجى تحديد النص المراد قراءته بصوت عالٍ'
+  },
+  
+  profiles: {
+    select: 'اختيار ملف إمكانية الوصول',
+    save: 'حفظ',
+    create: 'إنشاء',
+    newPlaceholder: 'إنشاء ملف جديد...',
+    newLabel: 'اسم الملف الجديد',
+    enterName: 'يرجى إدخال اسم لملفك',
+    cannotOverwriteDefault: 'لا يمكن استبدال الملف الافتراضي. أدخل اسمًا لملفك المخصص:',
+    confirmOverwrite: 'هل أنت متأكد من استبدال الملف "{name}"؟',
+    cannotDeleteBuiltIn: 'لا يمكن حذف الملف المدمج "{name}"',
+    confirmDelete: 'هل أنت متأكد من حذف الملف "{name}"؟',
+    names: {
+      default: 'افتراضي',
+      highContrast: 'تباين عالٍ',
+      dyslexic: 'ملائم لعسر القراءة',
+      senior: 'ملائم لكبار السن',
+      lowVision: 'ضعف البصر',
+      motor: 'إعاقات حركية',
+      cognitive: 'دعم إدراكي'
+    }
+  }
+};
@@ -0,0 +1,291 @@
+/**
+ * German messages
+ */
+
+export default {
+  widget: {
+    title: 'Barrierefreiheit',
+    open: 'Menü für Barrierefreiheit öffnen',
+    close: 'Menü für Barrierefreiheit schließen',
+    closeMenu: 'Menü schließen',
+    buttonTitle: 'Optionen für Barrierefreiheit ({shortcut})',
+    reset: 'Alle Einstellungen zur Barrierefreiheit zurücksetzen',
+    poweredBy: 'Bereitgestellt von {brand}',
+    undo: 'Rückgängig',
+    undoTitle: 'Letzte Änderung rückgängig machen (Strg+Z)',
+    redo: 'Wiederholen',
+    redoTitle: 'Letzte Änderung wiederholen (Strg+Umschalt+Z)',
+    noFeatures: 'Keine Funktionen zur Barrierefreiheit verfügbar.',
+    errorTitle: 'Funktionen zur Barrierefreiheit',
+    errorMessage: 'Beim Laden der Funktionen zur Barrierefreiheit ist ein Fehler aufgetreten.',
+    resetSettings: 'Alle Einstellungen zurücksetzen',
+    position: 'Position des Widgets',
+    bottomEnd: 'Unten am Ende',
+    bottomStart: 'Unten am Anfang',
+    decreaseFontSize: 'Schrift verkleinern',
+    increaseFontSize: 'Schrift vergrößern',
+    fontSizeControl: 'Schriftgröße einstellen',
+    wcagMinimum: 'WCAG-Minimum',
+    colorEditor: 'Farbschema',
+    contrastWith: 'Kontrastverhältnis zu {name}',
+    contrastLevels: {
+      AAA: 'AAA',
+      AA: 'AA',
+      'AA-large': 'AA großer Text',
+      fail: 'Zu gering'
+    }
+  },
+  
+  sections: {
+    text: 'Text',
+    visual: 'Darstellung',
+    navigation: 'Navigation',
+    audio: 'Audio',
+    profiles: 'Profile'
+  },
+  
+  features: {
+    fontSize: {
+      name: 'Textgröße',
+      description: 'Textgröße der Seite für bessere Lesbarkeit anpassen'
+    },
+    readingFont: {
+      name: 'Lesefreundliche Schrift',
+      description: 'Die Schrift der Seite durch eine leichter lesbare ersetzen, z. B. OpenDyslexic für Menschen mit Legasthenie',
+      options: {
+        none: 'Schrift der Seite'
+      }
+    },
+    lineHeight: {
+      name: 'Zeilenabstand',
+      description: 'Den Abstand zwischen Textzeilen vergrößern',
+      options: {
+        0: 'Standard der Seite'
+      }
+    },
+    letterSpacing: {
+      name: 'Zeichenabstand',
+      description: 'Den Abstand zwischen Buchstaben für leichteres Lesen anpassen',
+      options: {
+        0: 'Standard der Seite'
+      }
+    },
+    wordSpacing: {
+      name: 'Wortabstand',
+      description: 'Den Abstand zwischen Wörtern vergrößern',
+      options: {
+        0: 'Standard der Seite'
+      }
+    },
+    paragraphSpacing: {
+      name: 'Absatzabstand',
+      description: 'Mehr Abstand nach jedem Absatz einfügen',
+      options: {
+        0: 'Standard der Seite'
+      }
+    },
+    textAlign: {
+      name: 'Textausrichtung',
+      description: 'Text am Zeilenanfang ausrichten statt im Blocksatz',
+      options: {
+        none: 'Standard der Seite',
+        start: 'Zeilenanfang'
+      }
+    },
+    lineLength: {
+      name: 'Zeilenlänge',
+      description: 'Begrenzen, wie viele Zeichen in eine Textzeile passen',
+      options: {
+        0: 'Standard der Seite',
+        80: 'Breit (80 Zeichen)',
+        70: 'Mittel (70 Zeichen)',
+        60: 'Schmal (60 Zeichen)'
+      }
+    },
+    hyphenation: {
+      name: 'Silbentrennung',
+      description: 'Verhindern, dass Wörter über Zeilen getrennt werden',
+      options: {
+        none: 'Standard der Seite',
+        manual: 'Nur weiche Trennstriche',
+        off: 'Aus'
+      }
+    },
+    magnifier: {
+      name: 'Textlupe',
+      description: 'Eine vergrößerte Kopie des Textes unter dem Mauszeiger oder dem Tastaturfokus anzeigen',
+      options: {
+        0: 'Aus'
+      }
+    },
+    bionicReading: {
+      name: 'Bionisches Lesen',
+      description: 'Die ersten Buchstaben jedes Wortes fett darstellen, um das Auge zu führen'
+    },
+    contrast: {
+      name: 'Hoher Kontrast',
+      description: 'Den Kontrast zwischen Text und Hintergrund erhöhen'
+    },
+    smartContrast: {
+      name: 'Intelligenter Kontrast'
+    },
+    contrastBlue: {
+      name: 'Blauer Kontrast'
+    },
+    customColors: {
+      name: 'Eigene Farben',
+      description: 'Eigene Farben für Text, Hintergrund, Links und Überschriften verwenden'
+    },
+    textColor: {
+      name: 'Text',
+      description: 'Farbe des Seitentexts'
+    },
+    backgroundColor: {
+      name: 'Hintergrund',
+      description: 'Farbe des Seitenhintergrunds'
+    },
+    linkColor: {
+      name: 'Links',
+      description: 'Farbe der Links'
+    },
+    headingColor: {
+      name: 'Überschriften',
+      description: 'Farbe der Überschriften'
+    },
+    darkMode: {
+      name: 'Dunkelmodus',
+      description: 'Zum dunklen Design wechseln, um die Augen zu entlasten'
+    },
+    lightMode: {
+      name: 'Hellmodus',
+      description: 'Zum hellen Design wechseln'
+    },
+    grayscale: {
+      name: 'Graustufen',
+      description: 'Alle Farben in Graustufen umwandeln'
+    },
+    protanopia: {
+      name: 'Protanopie',
+      description: 'Farben für Rotblindheit korrigieren'
+    },
+    deuteranopia: {
+      name: 'Deuteranopie',
+      description: 'Farben für Grünblindheit korrigieren'
+    },
+    tritanopia: {
+      name: 'Tritanopie',
+      description: 'Farben für Blau-Gelb-Blindheit korrigieren'
+    },
+    achromatopsia: {
+      name: 'Achromatopsie',
+      description: 'Die Seite in kontrastreichen Graustufen für vollständige Farbenblindheit anzeigen'
+    },
+    colorFilterStrength: {
+      name: 'Stärke des Farbfilters',
+      description: 'Wie stark der Farbsehfilter angewendet wird'
+    },
+    colorSimulation: {
+      name: 'Farbenblindheit simulieren',
+      description: 'Die Seite so anzeigen, wie Menschen mit Farbenblindheit sie sehen. Wird nicht gespeichert',
+      options: {
+        none: 'Aus',
+        protanopia: 'Protanopie',
+        deuteranopia: 'Deuteranopie',
+        tritanopia: 'Tritanopie',
+        achromatopsia: 'Achromatopsie'
+      }
+    },
+    invertColors: {
+      name: 'Farben umkehren',
+      description: 'Die Farben der Seite umkehren, Fotos und Videos bleiben unverändert'
+    },
+    saturationLevel: {
+      name: 'Sättigung',
+      description: 'Farben gedämpfter oder kräftiger darstellen'
+    },
+    brightnessLevel: {
+      name: 'Helligkeit',
+      description: 'Die Seite dunkler oder heller darstellen'
+    },
+    contrastLevel: {
+      name: 'Kontrast',
+      description: 'Den Kontrast der Seite verringern oder erhöhen'
+    },
+    highlightLinks: {
+      name: 'Links hervorheben',
+      description: 'Alle Links der Seite besser sichtbar machen'
+    },
+    hideImages: {
+      name: 'Bilder ausblenden',
+      description: 'Alle Bilder ausblenden, um ohne Ablenkung zu lesen'
+    },
+    pauseAnimations: {
+      name: 'Animationen stoppen'
+    },
+    reduceMotion: {
+      name: 'Bewegung reduzieren'
+    },
+    bigCursor: {
+      name: 'Großer Mauszeiger',
+      description: 'Einen größeren, besser sichtbaren Mauszeiger verwenden'
+    },
+    xlCursor: {
+      name: 'XL-Mauszeiger'
+    },
+    focusIndicator: {
+      name: 'Fokusanzeige'
+    },
+    tooltips: {
+      name: 'Tooltips anzeigen'
+    },
+    pageStructure: {
+      name: 'Seitenstruktur'
+    },
+    readingGuide: {
+      name: 'Leselineal',
+      description: 'Eine horizontale Linie anzeigen, die dem Mauszeiger folgt und beim Lesen hilft'
+    },
+    textToSpeech: {
+      name: 'Vorlesefunktion',
+      description: 'Markierten Text vorlesen'
+    }
+  },
+  
+  navigation: {
+    structureTitle: 'Seitenstruktur',
+    closeStructure: 'Strukturansicht schließen',
+    noHeadings: 'Auf dieser Seite wurden keine Überschriften gefunden',
+    emptyHeading: '[Leere Überschrift {index}]'
+  },
+  
+  audio: {
+    play: 'Vorlesen starten',
+    pause: 'Vorlesen pausieren',
+    stop: 'Vorlesen beenden',
+    voice: 'Stimme auswählen',
+    rate: 'Lesegeschwindigkeit',
+    selectText: 'Bitte markieren Sie den Text, der vorgelesen werden soll'
+  },
+  
+  profiles: {
+    select: 'Profil für Barrierefreiheit auswählen',
+    save: 'Speichern',
+    create: 'Erstellen',
+    newPlaceholder: 'Neues Profil erstellen...',
+    newLabel: 'Name des neuen Profils',
+    enterName: 'Bitte geben Sie einen Namen für Ihr Profil ein',
+    cannotOverwriteDefault: 'Das Standardprofil kann nicht überschrieben werden. Geben Sie einen Namen für Ihr eigenes Profil ein:',
+    confirmOverwrite: 'Möchten Sie das Profil „{name}“ wirklich überschreiben?',
+    cannotDeleteBuiltIn: 'Das integrierte Profil „{name}“ kann nicht gelöscht werden',
+    confirmDelete: 'Möchten Sie das Profil „{name}“ wirklich löschen?',
+    names: {
+      default: 'Standard',
+      highContrast: 'Hoher Kontrast',
+      dyslexic: 'Legasthenie-freundlich',
+      senior: 'Seniorenfreundlich',
+      lowVision: 'Sehschwäche',
+      motor: 'Motorische Einschränkungen',
+      cognitive: 'Kognitive Unterstützung'
+    }
+  }
+};
@@ -0,0 +1,293 @@
+/**
+ * English messages
+ * This catalog is the reference: every key used by the toolkit must exist here,
+ * and other languages fall back to it for missing keys
+ */
+
+export default {
+  widget: {
+    title: 'Accessibility Settings',
+    open: 'Open accessibility menu',
+    close: 'Close accessibility menu',
+    closeMenu: 'Close menu',
+    buttonTitle: 'Accessibility Options ({shortcut})',
+    reset: 'Reset All Accessibility Settings',
+    poweredBy: 'Powered by {brand}',
+    undo: 'Undo',
+    undoTitle: 'Undo last change (Ctrl+Z)',
+    redo: 'Redo',
+    redoTitle: 'Redo last change (Ctrl+Shift+Z)',
+    noFeatures: 'No accessibility features available.',
+    errorTitle: 'Accessibility Features',
+    errorMessage: 'There was an error loading the accessibility features.',
+    resetSettings: 'Reset All Settings',
+    position: 'Widget Position',
+    bottomEnd: 'Bottom End',
+    bottomStart: 'Bottom Start',
+    decreaseFontSize: 'Decrease font size',
+    increaseFontSize: 'Increase font size',
+    fontSizeControl: 'Font Size Control',
+    wcagMinimum: 'WCAG minimum',
+    colorEditor: 'Color Scheme',
+    contrastWith: 'Contrast ratio with {name}',
+    contrastLevels: {
+      AAA: 'AAA',
+      AA: 'AA',
+      'AA-large': 'AA large text',
+      fail: 'Too low'
+    }
+  },
+  
+  sections: {
+    text: 'Text',
+    visual: 'Visual',
+    navigation: 'Navigation',
+    audio: 'Audio',
+    profiles: 'Profiles'
+  },
+  
+  features: {
+    fontSize: {
+      name: 'Text Size',
+      description: 'Adjust the text size on the page for better readability'
+    },
+    readingFont: {
+      name: 'Readable Font',
+      description: 'Replace the page font with one that is easier to read, such as OpenDyslexic for people with dyslexia',
+      options: {
+        none: 'Page Font'
+      }
+    },
+    lineHeight: {
+      name: 'Line Spacing',
+      description: 'Increase the space between lines of text',
+      options: {
+        0: 'Page Default'
+      }
+    },
+    letterSpacing: {
+      name: 'Letter Spacing',
+      description: 'Adjust the space between letters for easier reading',
+      options: {
+        0: 'Page Default'
+      }
+    },
+    wordSpacing: {
+      name: 'Word Spacing',
+      description: 'Increase the space between words',
+      options: {
+        0: 'Page Default'
+      }
+    },
+    paragraphSpacing: {
+      name: 'Paragraph Spacing',
+      description: 'Add space after each paragraph',
+      options: {
+        0: 'Page Default'
+      }
+    },
+    textAlign: {
+      name: 'Text Alignment',
+      description: 'Align text to the start of the line instead of justifying it',
+      options: {
+        none: 'Page Default',
+        start: 'Start'
+      }
+    },
+    lineLength: {
+      name: 'Line Length',
+      description: 'Limit how many characters fit on a line of text',
+      options: {
+        0: 'Page Default',
+        80: 'Wide (80 characters)',
+        70: 'Medium (70 characters)',
+        60: 'Narrow (60 characters)'
+      }
+    },
+    hyphenation: {
+      name: 'Hyphenation',
+      description: 'Stop words from being split across lines',
+      options: {
+        none: 'Page Default',
+        manual: 'Soft Hyphens Only',
+        off: 'Off'
+      }
+    },
+    magnifier: {
+      name: 'Text Magnifier',
+      description: 'Show an enlarged copy of the text under the pointer or keyboard focus',
+      options: {
+        0: 'Off'
+      }
+    },
+    bionicReading: {
+      name: 'Bionic Reading',
+      description: 'Bold the first letters of each word to guide the eye through the text'
+    },
+    contrast: {
+      name: 'High Contrast',
+      description: 'Increase contrast between text and background'
+    },
+    smartContrast: {
+      name: 'Smart Contrast'
+    },
+    contrastBlue: {
+      name: 'Blue Contrast'
+    },
+    customColors: {
+      name: 'Custom Colors',
+      description: 'Use your own text, background, link and heading colors'
+    },
+    textColor: {
+      name: 'Text',
+      description: 'Color of the page text'
+    },
+    backgroundColor: {
+      name: 'Background',
+      description: 'Color of the page background'
+    },
+    linkColor: {
+      name: 'Links',
+      description: 'Color of links'
+    },
+    headingColor: {
+      name: 'Headings',
+      description: 'Color of headings'
+    },
+    darkMode: {
+      name: 'Dark Mode',
+      description: 'Switch to dark theme for reduced eye strain'
+    },
+    lightMode: {
+      name: 'Light Mode',
+      description: 'Switch to light theme'
+    },
+    grayscale: {
+      name: 'Grayscale',
+      description: 'Convert all colors to grayscale'
+    },
+    protanopia: {
+      name: 'Protanopia',
+      description: 'Correct colors for red color blindness'
+    },
+    deuteranopia: {
+      name: 'Deuteranopia',
+      description: 'Correct colors for green color blindness'
+    },
+    tritanopia: {
+      name: 'Tritanopia',
+      description: 'Correct colors for blue-yellow color blindness'
+    },
+    achromatopsia: {
+      name: 'Achromatopsia',
+      description: 'Show the page in high-contrast grayscale for total color blindness'
+    },
+    colorFilterStrength: {
+      name: 'Color Filter Strength',
+      description: 'How strongly the color vision filter is applied'
+    },
+    colorSimulation: {
+      name: 'Color Blindness Simulation',
+      description: 'Preview the page as people with color blindness see it. Not saved',
+      options: {
+        none: 'Off',
+        protanopia: 'Protanopia',
+        deuteranopia: 'Deuteranopia',
+        tritanopia: 'Tritanopia',
+        achromatopsia: 'Achromatopsia'
+      }
+    },
+    invertColors: {
+      name: 'Invert Colors',
+      description: 'Invert the page colors, keeping photos and videos as they are'
+    },
+    saturationLevel: {
+      name: 'Saturation',
+      description: 'Make colors more muted or more vivid'
+    },
+    brightnessLevel: {
+      name: 'Brightness',
+      description: 'Make the page darker or brighter'
+    },
+    contrastLevel: {
+      name: 'Contrast',
+      description: 'Lower or raise the contrast of the page'
+    },
+    highlightLinks: {
+      name: 'Highlight Links',
+      description: 'Make all links on the page more visible'
+    },
+    hideImages: {
+      name: 'Hide Images',
+      description: 'Hide all images for distraction-free reading'
+    },
+    pauseAnimations: {
+      name: 'Stop Animations'
+    },
+    reduceMotion: {
+      name: 'Reduce Motion'
+    },
+    bigCursor: {
+      name: 'Large Cursor',
+      description: 'Use a larger cursor that is easier to see'
+    },
+    xlCursor: {
+      name: 'XL Cursor'
+    },
+    focusIndicator: {
+      name: 'Focus Indicator'
+    },
+    tooltips: {
+      name: 'Show Tooltips'
+    },
+    pageStructure: {
+      name: 'Page Structure'
+    },
+    readingGuide: {
+      name: 'Reading Guide',
+      description: 'Show a horizontal guide that follows your cursor to help focus on text'
+    },
+    textToSpeech: {
+      name: 'Screen Reader',
+      description: 'Read selected text aloud'
+    }
+  },
+  
+  navigation: {
+    structureTitle: 'Page Structure',
+    closeStructure: 'Close structure panel',
+    noHeadings: 'No headings found on this page',
+    emptyHeading: '[Empty heading {index}]'
+  },
+  
+  audio: {
+    play: 'Play screen reader',
+    pause: 'Pause screen reader',
+    stop: 'Stop screen reader',
+    voice: 'Select voice',
+    rate: 'Reading speed',
+    selectText: 'Please select text to read aloud'
+  },
+  
+  profiles: {
+    select: 'Select accessibility profile',
+    save: 'Save',
+    create: 'Create',
+    newPlaceholder: 'Create new profile...',
+    newLabel: 'New profile name',
+    enterName: 'Please enter a name for your profile',
+    cannotOverwriteDefault: 'Cannot overwrite the default profile. Enter a name for your custom profile:',
+    confirmOverwrite: 'Are you sure you want to overwrite the "{name}" profile?',
+    cannotDeleteBuiltIn: 'Cannot delete the built-in "{name}" profile',
+    confirmDelete: 'Are you sure you want to delete the "{name}" profile?',
+    names: {
+      default: 'Default',
+      highContrast: 'High Contrast',
+      dyslexic: 'Dyslexia-friendly',
+      senior: 'Senior-friendly',
+      lowVision: 'Low Vision',
+      motor: 'Motor Disabilities',
+      cognitive: 'Cognitive Support'
+    }
+  }
+};
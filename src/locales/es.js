@@ -0,0 +1,291 @@
+/**
+ * Spanish messages
+ */
+
+export default {
+  widget: {
+    title: 'Ajustes de accesibilidad',
+    open: 'Abrir el menú de accesibilidad',
+    close: 'Cerrar el menú de accesibilidad',
+    closeMenu: 'Cerrar menú',
+    buttonTitle: 'Opciones de accesibilidad ({shortcut})',
+    reset: 'Restablecer todos los ajustes de accesibilidad',
+    poweredBy: 'Con la tecnología de {brand}',
+    undo: 'Deshacer',
+    undoTitle: 'Deshacer el último cambio (Ctrl+Z)',
+    redo: 'Rehacer',
+    redoTitle: 'Rehacer el último cambio (Ctrl+Mayús+Z)',
+    noFeatures: 'No hay funciones de accesibilidad disponibles.',
+    errorTitle: 'Funciones de accesibilidad',
+    errorMessage: 'Se produjo un error al cargar las funciones de accesibilidad.',
+    resetSettings: 'Restablecer todos los ajustes',
+    position: 'Posición del widget',
+    bottomEnd: 'Abajo al final',
+    bottomStart: 'Abajo al inicio',
+    decreaseFontSize: 'Reducir el tamaño del texto',
+    increaseFontSize: 'Aumentar el tamaño del texto',
+    fontSizeControl: 'Control del tamaño del texto',
+    wcagMinimum: 'Mínimo WCAG',
+    colorEditor: 'Esquema de colores',
+    contrastWith: 'Relación de contraste con {name}',
+    contrastLevels: {
+      AAA: 'AAA',
+      AA: 'AA',
+      'AA-large': 'AA texto grande',
+      fail: 'Insuficiente'
+    }
+  },
+  
+  sections: {
+    text: 'Texto',
+    visual: 'Visual',
+    navigation: 'Navegación',
+    audio: 'Audio',
+    profiles: 'Perfiles'
+  },
+  
+  features: {
+    fontSize: {
+      name: 'Tamaño del texto',
+      description: 'Ajusta el tamaño del texto de la página para leerlo mejor'
+    },
+    readingFont: {
+      name: 'Fuente legible',
+      description: 'Sustituye la fuente de la página por otra más fácil de leer, como OpenDyslexic para personas con dislexia',
+      options: {
+        none: 'Fuente de la página'
+      }
+    },
+    lineHeight: {
+      name: 'Interlineado',
+      description: 'Aumenta el espacio entre las líneas de texto',
+      options: {
+        0: 'Predeterminado de la página'
+      }
+    },
+    letterSpacing: {
+      name: 'Espaciado de letras',
+      description: 'Ajusta el espacio entre letras para facilitar la lectura',
+      options: {
+        0: 'Predeterminado de la página'
+      }
+    },
+    wordSpacing: {
+      name: 'Espaciado entre palabras',
+      description: 'Aumenta el espacio entre las palabras',
+      options: {
+        0: 'Predeterminado de la página'
+      }
+    },
+    paragraphSpacing: {
+      name: 'Espaciado de párrafos',
+      description: 'Añade espacio después de cada párrafo',
+      options: {
+        0: 'Predeterminado de la página'
+      }
+    },
+    textAlign: {
+      name: 'Alineación del texto',
+      description: 'Alinea el texto al inicio de la línea en lugar de justificarlo',
+      options: {
+        none: 'Predeterminado de la página',
+        start: 'Inicio'
+      }
+    },
+    lineLength: {
+      name: 'Longitud de línea',
+      description: 'Limita cuántos caracteres caben en una línea de texto',
+      options: {
+        0: 'Predeterminado de la página',
+        80: 'Ancha (80 caracteres)',
+        70: 'Media (70 caracteres)',
+        60: 'Estrecha (60 caracteres)'
+      }
+    },
+    hyphenation: {
+      name: 'Separación silábica',
+      description: 'Evita que las palabras se dividan entre líneas',
+      options: {
+        none: 'Predeterminado de la página',
+        manual: 'Solo guiones opcionales',
+        off: 'Desactivada'
+      }
+    },
+    magnifier: {
+      name: 'Lupa de texto',
+      description: 'Muestra una copia ampliada del texto bajo el puntero o el foco del teclado',
+      options: {
+        0: 'Desactivada'
+      }
+    },
+    bionicReading: {
+      name: 'Lectura biónica',
+      description: 'Resalta en negrita las primeras letras de cada palabra para guiar la vista'
+    },
+    contrast: {
+      name: 'Alto contraste',
+      description: 'Aumenta el contraste entre el texto y el fondo'
+    },
+    smartContrast: {
+      name: 'Contraste inteligente'
+    },
+    contrastBlue: {
+      name: 'Contraste azul'
+    },
+    customColors: {
+      name: 'Colores personalizados',
+      description: 'Usa tus propios colores de texto, fondo, enlaces y encabezados'
+    },
+    textColor: {
+      name: 'Texto',
+      description: 'Color del texto de la página'
+    },
+    backgroundColor: {
+      name: 'Fondo',
+      description: 'Color del fondo de la página'
+    },
+    linkColor: {
+      name: 'Enlaces',
+      description: 'Color de los enlaces'
+    },
+    headingColor: {
+      name: 'Encabezados',
+      description: 'Color de los encabezados'
+    },
+    darkMode: {
+      name: 'Modo oscuro',
+      description: 'Cambia al tema oscuro para reducir la fatiga visual'
+    },
+    lightMode: {
+      name: 'Modo claro',
+      description: 'Cambia al tema claro'
+    },
+    grayscale: {
+      name: 'Escala de grises',
+      description: 'Convierte todos los colores a escala de grises'
+    },
+    protanopia: {
+      name: 'Protanopía',
+      description: 'Corrige los colores para la ceguera al rojo'
+    },
+    deuteranopia: {
+      name: 'Deuteranopía',
+      description: 'Corrige los colores para la ceguera al verde'
+    },
+    tritanopia: {
+      name: 'Tritanopía',
+      description: 'Corrige los colores para la ceguera al azul y al amarillo'
+    },
+    achromatopsia: {
+      name: 'Acromatopsia',
+      description: 'Muestra la página en escala de grises con alto contraste para la ceguera total al color'
+    },
+    colorFilterStrength: {
+      name: 'Intensidad del filtro de color',
+      description: 'Con qué intensidad se aplica el filtro de visión del color'
+    },
+    colorSimulation: {
+      name: 'Simulación de daltonismo',
+      description: 'Previsualiza la página como la ven las personas con daltonismo. No se guarda',
+      options: {
+        none: 'Desactivado',
+        protanopia: 'Protanopía',
+        deuteranopia: 'Deuteranopía',
+        tritanopia: 'Tritanopía',
+        achromatopsia: 'Acromatopsia'
+      }
+    },
+    invertColors: {
+      name: 'Invertir colores',
+      description: 'Invierte los colores de la página y mantiene las fotos y los vídeos como están'
+    },
+    saturationLevel: {
+      name: 'Saturación',
+      description: 'Hace los colores más apagados o más vivos'
+    },
+    brightnessLevel: {
+      name: 'Brillo',
+      description: 'Hace la página más oscura o más clara'
+    },
+    contrastLevel: {
+      name: 'Contraste',
+      description: 'Reduce o aumenta el contraste de la página'
+    },
+    highlightLinks: {
+      name: 'Resaltar enlaces',
+      description: 'Hace más visibles todos los enlaces de la página'
+    },
+    hideImages: {
+      name: 'Ocultar imágenes',
+      description: 'Oculta todas las imágenes para leer sin distracciones'
+    },
+    pauseAnimations: {
+      name: 'Detener animaciones'
+    },
+    reduceMotion: {
+      name: 'Reducir movimiento'
+    },
+    bigCursor: {
+      name: 'Cursor grande',
+      description: 'Usa un cursor más grande y fácil de ver'
+    },
+    xlCursor: {
+      name: 'Cursor XL'
+    },
+    focusIndicator: {
+      name: 'Indicador de foco'
+    },
+    tooltips: {
+      name: 'Mostrar descripciones'
+    },
+    pageStructure: {
+      name: 'Estructura de la página'
+    },
+    readingGuide: {
+      name: 'Guía de lectura',
+      description: 'Muestra una guía horizontal que sigue al cursor para ayudarte a centrarte en el texto'
+    },
+    textToSpeech: {
+      name: 'Lector de pantalla',
+      description: 'Lee en voz alta el texto seleccionado'
+    }
+  },
+  
+  navigation: {
+    structureTitle: 'Estructura de la página',
+    closeStructure: 'Cerrar el panel de estructura',
+    noHeadings: 'No se encontraron encabezados en esta página',
+    emptyHeading: '[Encabezado vacío {index}]'
+  },
+  
+  audio: {
+    play: 'Reproducir el lector de pantalla',
+    pause: 'Pausar el lector de pantalla',
+    stop: 'Detener el lector de pantalla',
+    voice: 'Seleccionar voz',
+    rate: 'Velocidad de lectura',
+    selectText: 'Selecciona el texto que quieres escuchar'
+  },
+  
+  profiles: {
+    select: 'Seleccionar perfil de accesibilidad',
+    save: 'Guardar',
+    create: 'Crear',
+    newPlaceholder: 'Crear un perfil nuevo...',
+    newLabel: 'Nombre del perfil nuevo',
+    enterName: 'Introduce un nombre para tu perfil',
+    cannotOverwriteDefault: 'No se puede sobrescribir el perfil predeterminado. Introduce un nombre para tu perfil personalizado:',
+    confirmOverwrite: '¿Seguro que quieres sobrescribir el perfil "{name}"?',
+    cannotDeleteBuiltIn: 'No se puede eliminar el perfil integrado "{name}"',
+    confirmDelete: '¿Seguro que quieres eliminar el perfil "{name}"?',
+    names: {
+      default: 'Predeterminado',
+      highContrast: 'Alto contraste',
+      dyslexic: 'Apto para dislexia',
+      senior: 'Para personas mayores',
+      lowVision: 'Baja visión',
+      motor: 'Discapacidad motriz',
+      cognitive: 'Apoyo cognitivo'
+    }
+  }
+};
@@ -0,0 +1,291 @@
+/**
+ * French messages
+ */
+
+export default {
+  widget: {
+    title: 'Paramètres d’accessibilité',
+    open: 'Ouvrir le menu d’accessibilité',
+    close: 'Fermer le menu d’accessibilité',
+    closeMenu: 'Fermer le menu',
+    buttonTitle: 'Options d’accessibilité ({shortcut})',
+    reset: 'Réinitialiser tous les paramètres d’accessibilité',
+    poweredBy: 'Propulsé par {brand}',
+    undo: 'Annuler',
+    undoTitle: 'Annuler la dernière modification (Ctrl+Z)',
+    redo: 'Rétablir',
+    redoTitle: 'Rétablir la dernière modification (Ctrl+Maj+Z)',
+    noFeatures: 'Aucune fonction d’accessibilité disponible.',
+    errorTitle: 'Fonctions d’accessibilité',
+    errorMessage: 'Une erreur est survenue lors du chargement des fonctions d’accessibilité.',
+    resetSettings: 'Réinitialiser tous les paramètres',
+    position: 'Position du widget',
+    bottomEnd: 'En bas à la fin',
+    bottomStart: 'En bas au début',
+    decreaseFontSize: 'Réduire la taille du texte',
+    increaseFontSize: 'Agrandir la taille du texte',
+    fontSizeControl: 'Réglage de la taille du texte',
+    wcagMinimum: 'Minimum WCAG',
+    colorEditor: 'Jeu de couleurs',
+    contrastWith: 'Rapport de contraste avec {name}',
+    contrastLevels: {
+      AAA: 'AAA',
+      AA: 'AA',
+      'AA-large': 'AA grand texte',
+      fail: 'Insuffisant'
+    }
+  },
+  
+  sections: {
+    text: 'Texte',
+    visual: 'Affichage',
+    navigation: 'Navigation',
+    audio: 'Audio',
+    profiles: 'Profils'
+  },
+  
+  features: {
+    fontSize: {
+      name: 'Taille du texte',
+      description: 'Ajuste la taille du texte de la page pour une meilleure lisibilité'
+    },
+    readingFont: {
+      name: 'Police lisible',
+      description: 'Remplace la police de la page par une police plus facile à lire, comme OpenDyslexic pour les personnes dyslexiques',
+      options: {
+        none: 'Police de la page'
+      }
+    },
+    lineHeight: {
+      name: 'Interligne',
+      description: 'Augmente l’espace entre les lignes de texte',
+      options: {
+        0: 'Valeur de la page'
+      }
+    },
+    letterSpacing: {
+      name: 'Espacement des lettres',
+      description: 'Ajuste l’espace entre les lettres pour faciliter la lecture',
+      options: {
+        0: 'Valeur de la page'
+      }
+    },
+    wordSpacing: {
+      name: 'Espacement des mots',
+      description: 'Augmente l’espace entre les mots',
+      options: {
+        0: 'Valeur de la page'
+      }
+    },
+    paragraphSpacing: {
+      name: 'Espacement des paragraphes',
+      description: 'Ajoute de l’espace après chaque paragraphe',
+      options: {
+        0: 'Valeur de la page'
+      }
+    },
+    textAlign: {
+      name: 'Alignement du texte',
+      description: 'Aligne le texte au début de la ligne au lieu de le justifier',
+      options: {
+        none: 'Valeur de la page',
+        start: 'Début'
+      }
+    },
+    lineLength: {
+      name: 'Longueur de ligne',
+      description: 'Limite le nombre de caractères par ligne de texte',
+      options: {
+        0: 'Valeur de la page',
+        80: 'Large (80 caractères)',
+        70: 'Moyenne (70 caractères)',
+        60: 'Étroite (60 caractères)'
+      }
+    },
+    hyphenation: {
+      name: 'Césure',
+      description: 'Empêche la coupure des mots en fin de ligne',
+      options: {
+        none: 'Valeur de la page',
+        manual: 'Césures conditionnelles uniquement',
+        off: 'Désactivée'
+      }
+    },
+    magnifier: {
+      name: 'Loupe de texte',
+      description: 'Affiche une copie agrandie du texte sous le pointeur ou le focus clavier',
+      options: {
+        0: 'Désactivée'
+      }
+    },
+    bionicReading: {
+      name: 'Lecture bionique',
+      description: 'Met en gras les premières lettres de chaque mot pour guider le regard'
+    },
+    contrast: {
+      name: 'Contraste élevé',
+      description: 'Augmente le contraste entre le texte et l’arrière-plan'
+    },
+    smartContrast: {
+      name: 'Contraste intelligent'
+    },
+    contrastBlue: {
+      name: 'Contraste bleu'
+    },
+    customColors: {
+      name: 'Couleurs personnalisées',
+      description: 'Utilise vos propres couleurs pour le texte, le fond, les liens et les titres'
+    },
+    textColor: {
+      name: 'Texte',
+      description: 'Couleur du texte de la page'
+    },
+    backgroundColor: {
+      name: 'Fond',
+      description: 'Couleur du fond de la page'
+    },
+    linkColor: {
+      name: 'Liens',
+      description: 'Couleur des liens'
+    },
+    headingColor: {
+      name: 'Titres',
+      description: 'Couleur des titres'
+    },
+    darkMode: {
+      name: 'Mode sombre',
+      description: 'Passe au thème sombre pour réduire la fatigue visuelle'
+    },
+    lightMode: {
+      name: 'Mode clair',
+      description: 'Passe au thème clair'
+    },
+    grayscale: {
+      name: 'Niveaux de gris',
+      description: 'Convertit toutes les couleurs en niveaux de gris'
+    },
+    protanopia: {
+      name: 'Protanopie',
+      description: 'Corrige les couleurs pour la cécité au rouge'
+    },
+    deuteranopia: {
+      name: 'Deutéranopie',
+      description: 'Corrige les couleurs pour la cécité au vert'
+    },
+    tritanopia: {
+      name: 'Tritanopie',
+      description: 'Corrige les couleurs pour la cécité au bleu et au jaune'
+    },
+    achromatopsia: {
+      name: 'Achromatopsie',
+      description: 'Affiche la page en niveaux de gris contrastés pour la cécité totale aux couleurs'
+    },
+    colorFilterStrength: {
+      name: 'Intensité du filtre de couleur',
+      description: 'Intensité avec laquelle le filtre de vision des couleurs est appliqué'
+    },
+    colorSimulation: {
+      name: 'Simulation du daltonisme',
+      description: 'Prévisualise la page telle que la voient les personnes daltoniennes. Non enregistré',
+      options: {
+        none: 'Désactivé',
+        protanopia: 'Protanopie',
+        deuteranopia: 'Deutéranopie',
+        tritanopia: 'Tritanopie',
+        achromatopsia: 'Achromatopsie'
+      }
+    },
+    invertColors: {
+      name: 'Inverser les couleurs',
+      description: 'Inverse les couleurs de la page en conservant les photos et les vidéos telles quelles'
+    },
+    saturationLevel: {
+      name: 'Saturation',
+      description: 'Rend les couleurs plus douces ou plus vives'
+    },
+    brightnessLevel: {
+      name: 'Luminosité',
+      description: 'Rend la page plus sombre ou plus claire'
+    },
+    contrastLevel: {
+      name: 'Contraste',
+      description: 'Diminue ou augmente le contraste de la page'
+    },
+    highlightLinks: {
+      name: 'Surligner les liens',
+      description: 'Rend tous les liens de la page plus visibles'
+    },
+    hideImages: {
+      name: 'Masquer les images',
+      description: 'Masque toutes les images pour lire sans distraction'
+    },
+    pauseAnimations: {
+      name: 'Arrêter les animations'
+    },
+    reduceMotion: {
+      name: 'Réduire les mouvements'
+    },
+    bigCursor: {
+      name: 'Grand curseur',
+      description: 'Utilise un curseur plus grand, plus facile à voir'
+    },
+    xlCursor: {
+      name: 'Curseur XL'
+    },
+    focusIndicator: {
+      name: 'Indicateur de focus'
+    },
+    tooltips: {
+      name: 'Afficher les infobulles'
+    },
+    pageStructure: {
+      name: 'Structure de la page'
+    },
+    readingGuide: {
+      name: 'Guide de lecture',
+      description: 'Affiche une règle horizontale qui suit le curseur pour vous aider à vous concentrer sur le texte'
+    },
+    textToSpeech: {
+      name: 'Lecteur d’écran',
+      description: 'Lit le texte sélectionné à voix haute'
+    }
+  },
+  
+  navigation: {
+    structureTitle: 'Structure de la page',
+    closeStructure: 'Fermer le panneau de structure',
+    noHeadings: 'Aucun titre trouvé sur cette page',
+    emptyHeading: '[Titre vide {index}]'
+  },
+  
+  audio: {
+    play: 'Lancer le lecteur d’écran',
+    pause: 'Mettre en pause le lecteur d’écran',
+    stop: 'Arrêter le lecteur d’écran',
+    voice: 'Choisir une voix',
+    rate: 'Vitesse de lecture',
+    selectText: 'Sélectionnez le texte à lire à voix haute'
+  },
+  
+  profiles: {
+    select: 'Choisir un profil d’accessibilité',
+    save: 'Enregistrer',
+    create: 'Créer',
+    newPlaceholder: 'Créer un nouveau profil...',
+    newLabel: 'Nom du nouveau profil',
+    enterName: 'Veuillez saisir un nom pour votre profil',
+    cannotOverwriteDefault: 'Impossible d’écraser le profil par défaut. Saisissez un nom pour votre profil personnalisé :',
+    confirmOverwrite: 'Voulez-vous vraiment écraser le profil « {name} » ?',
+    cannotDeleteBuiltIn: 'Impossible de supprimer le profil intégré « {name} »',
+    confirmDelete: 'Voulez-vous vraiment supprimer le profil « {name} » ?',
+    names: {
+      default: 'Par défaut',
+      highContrast: 'Contraste élevé',
+      dyslexic: 'Adapté à la dyslexie',
+      senior: 'Adapté aux seniors',
+      lowVision: 'Basse vision',
+      motor: 'Handicap moteur',
+      cognitive: 'Soutien cognitif'
+    }
+  }
+};
@@ -0,0 +1,291 @@
+/**
+ * Hebrew messages
+ */
+
+export default {
+  widget: {
+    title: 'הגדרות נגישות',
+    open: 'פתיחת תפריט הנגישות',
+    close: 'סגירת תפריט הנגישות',
+    closeMenu: 'סגירת התפריט',
+    buttonTitle: 'אפשרויות נגישות ({shortcut})',
+    reset: 'איפוס כל הגדרות הנגישות',
+    poweredBy: 'מופעל על ידי {brand}',
+    undo: 'ביטול',
+    undoTitle: 'ביטול השינוי האחרון (Ctrl+Z)',
+    redo: 'ביצוע מחדש',
+    redoTitle: 'ביצוע מחדש של השינוי האחרון (Ctrl+Shift+Z)',
+    noFeatures: 'אין תכונות נגישות זמינות.',
+    errorTitle: 'תכונות נגישות',
+    errorMessage: 'אירעה שגיאה בטעינת תכונות הנגישות.',
+    resetSettings: 'איפוס כל ההגדרות',
+    position: 'מיקום הווידג׳ט',
+    bottomEnd: 'למטה בסוף',
+    bottomStart: 'למטה בהתחלה',
+    decreaseFontSize: 'הקטנת גודל הגופן',
+    increaseFontSize: 'הגדלת גודל הגופן',
+    fontSizeControl: 'שליטה בגודל הגופן',
+    wcagMinimum: 'המינימום של WCAG',
+    colorEditor: 'ערכת צבעים',
+    contrastWith: 'יחס ניגודיות מול {name}',
+    contrastLevels: {
+      AAA: 'AAA',
+      AA: 'AA',
+      'AA-large': 'AA לטקסט גדול',
+      fail: 'נמוך מדי'
+    }
+  },
+  
+  sections: {
+    text: 'טקסט',
+    visual: 'תצוגה',
+    navigation: 'ניווט',
+    audio: 'שמע',
+    profiles: 'פרופילים'
+  },
+  
+  features: {
+    fontSize: {
+      name: 'גודל טקסט',
+      description: 'התאמת גודל הטקסט בדף לקריאה נוחה יותר'
+    },
+    readingFont: {
+      name: 'גופן קריא',
+      description: 'החלפת הגופן של הדף בגופן קריא יותר, כמו OpenDyslexic לאנשים עם דיסלקציה',
+      options: {
+        none: 'הגופן של הדף'
+      }
+    },
+    lineHeight: {
+      name: 'ריווח שורות',
+      description: 'הגדלת הרווח בין שורות הטקסט',
+      options: {
+        0: 'ברירת המחדל של הדף'
+      }
+    },
+    letterSpacing: {
+      name: 'ריווח אותיות',
+      description: 'התאמת הרווח בין האותיות לקריאה קלה יותר',
+      options: {
+        0: 'ברירת המחדל של הדף'
+      }
+    },
+    wordSpacing: {
+      name: 'ריווח מילים',
+      description: 'הגדלת הרווח בין המילים',
+      options: {
+        0: 'ברירת המחדל של הדף'
+      }
+    },
+    paragraphSpacing: {
+      name: 'ריווח פסקאות',
+      description: 'הוספת רווח אחרי כל פסקה',
+      options: {
+        0: 'ברירת המחדל של הדף'
+      }
+    },
+    textAlign: {
+      name: 'יישור טקסט',
+      description: 'יישור הטקסט לתחילת השורה במקום יישור לשני הצדדים',
+      options: {
+        none: 'ברירת המחדל של הדף',
+        start: 'התחלה'
+      }
+    },
+    lineLength: {
+      name: 'אורך שורה',
+      description: 'הגבלת מספר התווים בשורת טקסט',
+      options: {
+        0: 'ברירת המחדל של הדף',
+        80: 'רחב (80 תווים)',
+        70: 'בינוני (70 תווים)',
+        60: 'צר (60 תווים)'
+      }
+    },
+    hyphenation: {
+      name: 'מקפים',
+      description: 'מניעת פיצול מילים בין שורות',
+      options: {
+        none: 'ברירת המחדל של הדף',
+        manual: 'מקפים רכים בלבד',
+        off: 'כבוי'
+      }
+    },
+    magnifier: {
+      name: 'זכוכית מגדלת לטקסט',
+      description: 'הצגת עותק מוגדל של הטקסט שמתחת לסמן או למיקוד המקלדת',
+      options: {
+        0: 'כבוי'
+      }
+    },
+    bionicReading: {
+      name: 'קריאה ביונית',
+      description: 'הדגשת האותיות הראשונות של כל מילה כדי להנחות את העין'
+    },
+    contrast: {
+      name: 'ניגודיות גבוהה',
+      description: 'הגברת הניגודיות בין הטקסט לרקע'
+    },
+    smartContrast: {
+      name: 'ניגודיות חכמה'
+    },
+    contrastBlue: {
+      name: 'ניגודיות כחולה'
+    },
+    customColors: {
+      name: 'צבעים מותאמים אישית',
+      description: 'שימוש בצבעים משלך לטקסט, לרקע, לקישורים ולכותרות'
+    },
+    textColor: {
+      name: 'טקסט',
+      description: 'צבע הטקסט בדף'
+    },
+    backgroundColor: {
+      name: 'רקע',
+      description: 'צבע הרקע של הדף'
+    },
+    linkColor: {
+      name: 'קישורים',
+      description: 'צבע הקישורים'
+    },
+    headingColor: {
+      name: 'כותרות',
+      description: 'צבע הכותרות'
+    },
+    darkMode: {
+      name: 'מצב כהה',
+      description: 'מעבר לערכת נושא כהה להפחתת מאמץ העיניים'
+    },
+    lightMode: {
+      name: 'מצב בהיר',
+      description: 'מעבר לערכת נושא בהירה'
+    },
+    grayscale: {
+      name: 'גווני אפור',
+      description: 'המרת כל הצבעים לגווני אפור'
+    },
+    protanopia: {
+      name: 'פרוטנופיה',
+      description: 'תיקון צבעים לעיוורון לאדום'
+    },
+    deuteranopia: {
+      name: 'דויטרנופיה',
+      description: 'תיקון צבעים לעיוורון לירוק'
+    },
+    tritanopia: {
+      name: 'טריטנופיה',
+      description: 'תיקון צבעים לעיוורון לכחול-צהוב'
+    },
+    achromatopsia: {
+      name: 'אכרומטופסיה',
+      description: 'הצגת הדף בגווני אפור בניגודיות גבוהה לעיוורון צבעים מלא'
+    },
+    colorFilterStrength: {
+      name: 'עוצמת מסנן הצבע',
+      description: 'עד כמה חזק מוחל מסנן ראיית הצבעים'
+    },
+    colorSimulation: {
+      name: 'הדמיית עיוורון צבעים',
+      description: 'תצוגה מקדימה של הדף כפי שאנשים עם עיוורון צבעים רואים אותו. לא נשמר',
+      options: {
+        none: 'כבוי',
+        protanopia: 'פרוטנופיה',
+        deuteranopia: 'דויטרנופיה',
+        tritanopia: 'טריטנופיה',
+        achromatopsia: 'אכרומטופסיה'
+      }
+    },
+    invertColors: {
+      name: 'היפוך צבעים',
+      description: 'היפוך צבעי הדף תוך שמירה על תמונות וסרטונים כפי שהם'
+    },
+    saturationLevel: {
+      name: 'רוויה',
+      description: 'הפיכת הצבעים לעמומים או לחיים יותר'
+    },
+    brightnessLevel: {
+      name: 'בהירות',
+      description: 'הפיכת הדף לכהה או לבהיר יותר'
+    },
+    contrastLevel: {
+      name: 'ניגודיות',
+      description: 'הורדה או העלאה של ניגודיות הדף'
+    },
+    highlightLinks: {
+      name: 'הדגשת קישורים',
+      description: 'הבלטת כל הקישורים בדף'
+    },
+    hideImages: {
+      name: 'הסתרת תמונות',
+      description: 'הסתרת כל התמונות לקריאה ללא הסחות דעת'
+    },
+    pauseAnimations: {
+      name: 'עצירת אנימציות'
+    },
+    reduceMotion: {
+      name: 'הפחתת תנועה'
+    },
+    bigCursor: {
+      name: 'סמן גדול',
+      description: 'שימוש בסמן גדול יותר שקל יותר לראות'
+    },
+    xlCursor: {
+      name: 'סמן ענק'
+    },
+    focusIndicator: {
+      name: 'סימון מיקוד'
+    },
+    tooltips: {
+      name: 'הצגת תיאורים'
+    },
+    pageStructure: {
+      name: 'מבנה הדף'
+    },
+    readingGuide: {
+      name: 'סרגל קריאה',
+      description: 'הצגת קו אופקי שעוקב אחר הסמן כדי לעזור להתמקד בטקסט'
+    },
+    textToSpeech: {
+      name: 'קורא מסך',
+      description: 'הקראת הטקסט המסומן בקול'
+    }
+  },
+  
+  navigation: {
+    structureTitle: 'מבנה הדף',
+    closeStructure: 'סגירת חלונית המבנה',
+    noHeadings: 'לא נמצאו כותרות בדף זה',
+    emptyHeading: '[כותרת ריקה {index}]'
+  },
+  
+  audio: {
+    play: 'הפעלת קורא המסך',
+    pause: 'השהיית קורא המסך',
+    stop: 'עצירת קורא המסך',
+    voice: 'בחירת קול',
+    rate: 'מהירות הקראה',
+    selectText: 'יש לסמן את הטקסט להקראה'
+  },
+  
+  profiles: {
+    select: 'בחירת פרופיל נגישות',
+    save: 'שמירה',
+    create: 'יצירה',
+    newPlaceholder: 'יצירת פרופיל חדש...',
+    newLabel: 'שם הפרופיל החדש',
+    enterName: 'יש להזין שם לפרופיל',
+    cannotOverwriteDefault: 'לא ניתן לשכתב את פרופיל ברירת המחדל. יש להזין שם לפרופיל המותאם אישית:',
+    confirmOverwrite: 'לשכתב את הפרופיל "{name}"?',
+    cannotDeleteBuiltIn: 'לא ניתן למחוק את הפרופיל המובנה "{name}"',
+    confirmDelete: 'למחוק את הפרופיל "{name}"?',
+    names: {
+      default: 'ברירת מחדל',
+      highContrast: 'ניגודיות גבוהה',
+      dyslexic: 'מותאם לדיסלקציה',
+      senior: 'מותאם לגיל השלישי',
+      lowVision: 'ליקוי ראייה',
+      motor: 'מוגבלות מוטורית',
+      cognitive: 'תמיכה קוגניטיבית'
+    }
+  }
+};
@@ -0,0 +1,12 @@
+/**
+ * Bundled message catalogs, keyed by language code
+ */
+
+import en from './en';
+import es from './es';
+import fr from './fr';
+import de from './de';
+import ar from './ar';
+import he from './he';
+
+export default { en, es, fr, de, ar, he };
@@ -8,6 +8,21 @@ import Widget from './core/widget';
 import Settings from './core/settings';
 import Storage from './core/storage';
 import EventBus from './core/events';
+import RemoteSync from './core/sync';
+import TabSync from './core/tabs';
+import I18n from './core/i18n';
+import FeatureRegistry from './core/registry';
+import { setIconMode, registerIcon as addIcon } from './utils/icons';
+import { setFontBaseUrl } from './utils/fonts';
+import { setStyleNonce, UI_CLASS } from './utils/dom';
+import { configureLogger, createLogger } from './utils/logger';
+import {
+  LocalStorageAdapter,
+  SessionStorageAdapter,
+  CookieAdapter,
+  IndexedDBAdapter,
+  MemoryAdapter
+} from './core/adapters';
 
 // Import core features
 import TextFeatures from './features/text';
@@ -16,30 +31,57 @@ import NavigationFeatures from './features/navigation';
 import AudioFeatures from './features/audio';
 import Profiles from './features/advanced/profiles';
 
+const logger = createLogger();
+
 /**
  * Default configuration options
  */
 const DEFAULT_CONFIG = {
-  position: 'bottom-right', // 'bottom-right', 'bottom-left', 'top-right', 'top-left'
+  position: 'bottom-end', // 'bottom-end', 'bottom-start', 'top-end', 'top-start' (mirrored in RTL), or fixed 'bottom-right', 'top-left', etc.
   features: 'all', // 'all' or array of feature keys
   initialProfile: 'default',
-  language: 'en',
+  language: 'auto', // Language code, or 'auto' to follow <html lang>
+  translations: null, // Extra messages keyed by language code, e.g. { fr: { widget: { title: '…' } } }
+  direction: 'auto', // 'ltr', 'rtl', or 'auto' to follow <html dir>, then the language
   theme: 'light', // 'light', 'dark', or 'auto'
   keyboardShortcut: 'alt+a',
   autoSave: true,
-  debug: true  // Enable debug by default to see what's happening
+  storage: 'local', // 'local', 'session', 'cookie', 'indexedDB', 'memory', an array of them, or an adapter object
+  sync: null, // Remote sync endpoint URL or options object (see core/sync.js)
+  crossTab: true, // Apply changes made in other open tabs of the site
+  shadowDom: false, // Render the button and panel in a shadow root, isolated from page styles
+  icons: 'svg', // 'svg' for the built-in icons, or 'fontawesome' to use the Font Awesome stylesheet already on the page
+  fontBaseUrl: null, // Directory serving the bundled fonts, defaults to assets/fonts next to the toolkit script
+  nonce: null, // Nonce added to injected <style> and <link> elements, for pages with a `style-src 'nonce-…'` CSP
+  debug: false // Log level: false for warnings and errors, true for everything, a level ('silent', 'error', 'warn', 'info', 'debug'), or { level, prefix, sink }
 };
 
 /**
  * The main SpicyAccessibility object
  */
 const SpicyAccessibility = {
+  /**
+   * Built-in storage adapters, for use with the `storage` config option
+   */
+  adapters: {
+    LocalStorageAdapter,
+    SessionStorageAdapter,
+    CookieAdapter,
+    IndexedDBAdapter,
+    MemoryAdapter
+  },
+  
   /**
    * Initialize the accessibility toolkit
    * @param {Object} config - Configuration options
    */
   init(config = {}) {
-    console.log('SpicyAccessibility initialization started');
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this._generation = (this._generation || 0) + 1;
+    
+    // Set the log level first so every message below follows it
+    configureLogger(this.config.debug);
+    logger.debug('Initialization started');
     
     try {
       // Make object available globally for debugging
@@ -47,8 +89,6 @@ const SpicyAccessibility = {
         window.SpicyAccessibility = this;
       }
       
-      this.config = { ...DEFAULT_CONFIG, ...config };
-      
       // Initialize core methods first to avoid binding errors
       this.open = this.open || function() {
         if (this.widget) this.widget.openPanel();
@@ -62,46 +102,73 @@ const SpicyAccessibility = {
         if (this.widget) this.widget.togglePanel();
       };
       
-      // Ensure Font Awesome is loaded first
-      const faPromise = new Promise((resolve) => {
-        // Check if Font Awesome is already loaded
-        if (document.querySelector('link[href*="font-awesome"]')) {
-          resolve();
-          return;
-        }
-        
-        // Add Font Awesome
-        const fontAwesomeLink = document.createElement('link');
-        fontAwesomeLink.rel = 'stylesheet';
-        fontAwesomeLink.href = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css';
-        fontAwesomeLink.onload = resolve;
-        fontAwesomeLink.onerror = () => {
-          console.warn('Failed to load Font Awesome, falling back to text');
-          resolve();
-        };
-        document.head.appendChild(fontAwesomeLink);
-      });
+      // Icons are inline SVG, so rendering needs no network requests
+      setIconMode(this.config.icons);
+      if (this.config.icons === 'fontawesome' && !document.querySelector('link[href*="font-awesome"], link[href*="fontawesome"]')) {
+        logger.warn('The `fontawesome` icon option needs the Font Awesome stylesheet on the page');
+      }
+      
+      // Readable fonts are served from the toolkit's own assets unless configured otherwise
+      setFontBaseUrl(this.config.fontBaseUrl);
+      
+      // Injected styles must carry the page's nonce under a strict Content Security Policy
+      setStyleNonce(this.config.nonce);
       
       // Initialize core components
       this.events = new EventBus();
-      console.log('EventBus initialized');
+      logger.debug('EventBus initialized');
       
-      this.storage = new Storage(this.config.autoSave);
-      console.log('Storage initialized');
+      this.i18n = new I18n(this.config.language, this.events, this.config.translations, this.config.direction);
+      logger.debug(`I18n initialized (${this.i18n.getLanguage()})`);
+      
+      this.storage = new Storage(this.config.autoSave, this.config.storage);
+      logger.debug(`Storage initialized (${this.storage.adapter.name || 'custom'} adapter)`);
       
       this.settings = new Settings(this.storage, this.events);
-      console.log('Settings initialized');
+      logger.debug('Settings initialized');
+      
+      this.registry = new FeatureRegistry(this.settings, this.events, this.i18n, this.config);
       
       // Load saved settings
       this.settings.load();
-      console.log('Settings loaded');
+      logger.debug('Settings loaded');
+      
+      // Work queued below checks the generation, so it stops after destroy() or another init()
+      const generation = this._generation;
+      const isCurrent = () => this._generation === generation;
+      
+      // Async adapters (IndexedDB) hydrate after init, so reload once their data is in
+      const storageReady = this.storage.adapter.isAsync
+        ? this.storage.ready().then(() => {
+          if (!isCurrent()) return;
+          this.settings.reload();
+          logger.debug('Settings reloaded from async storage');
+        })
+        : Promise.resolve();
+      
+      // Keep other open tabs in sync
+      if (this.config.crossTab) {
+        this.tabSync = new TabSync(this.storage, this.settings, this.events);
+        this.tabSync.start();
+        logger.debug('Cross-tab sync initialized');
+      }
+      
+      // Start remote sync once local data is available
+      if (this.config.sync) {
+        this.sync = new RemoteSync(this.config.sync, this.storage, this.settings, this.events);
+        const sync = this.sync;
+        storageReady.then(() => {
+          if (isCurrent()) sync.start();
+        });
+        logger.debug('Remote sync initialized');
+      }
       
       // Initialize UI with proper error handling
       try {
-        this.widget = new Widget(this.config, this.settings, this.events);
-        console.log('Widget initialized');
+        this.widget = new Widget(this.config, this.settings, this.events, this.i18n);
+        logger.debug('Widget initialized');
       } catch (widgetError) {
-        console.error('Error initializing widget:', widgetError);
+        logger.error('Error initializing widget:', widgetError);
         this.createEmergencyButton();
       }
       
@@ -109,43 +176,31 @@ const SpicyAccessibility = {
       if (this.widget) {
         try {
           this._registerFeatures();
-          console.log('Features registered');
+          logger.debug('Features registered');
         } catch (featuresError) {
-          console.error('Error registering features:', featuresError);
+          logger.error('Error registering features:', featuresError);
         }
       }
       
-      // Wait for Font Awesome to load before rendering
-      faPromise.then(() => {
-        // Initialize UI and render only if widget exists
-        if (this.widget) {
-          this.widget.render().catch(error => {
-            console.error('Error rendering widget:', error);
-            this.createEmergencyButton();
-          });
-          console.log('Widget render called');
-          
-          // Apply initial profile if specified
-          if (this.config.initialProfile !== 'default') {
-            this.settings.loadProfile(this.config.initialProfile);
-            console.log(`Applied initial profile: ${this.config.initialProfile}`);
-          }
+      // Apply initial profile if specified
+      if (this.widget && this.config.initialProfile !== 'default') {
+        this.settings.loadProfile(this.config.initialProfile);
+        logger.debug(`Applied initial profile: ${this.config.initialProfile}`);
+      }
+      
+      logger.info('Initialization completed');
+      
+      // Check if the widget was created successfully
+      this._widgetCheckTimer = setTimeout(() => {
+        const existingButton = this.widget && this.widget.getElementById('spicy-access-btn');
+        if (!existingButton) {
+          logger.warn('Widget button not found after initialization');
+          this.createEmergencyButton();
         }
-        
-        console.log('SpicyAccessibility initialization completed');
-        
-        // Check if the widget was created successfully
-        setTimeout(() => {
-          const existingButton = document.getElementById('spicy-access-btn');
-          if (!existingButton) {
-            console.warn('Widget button not found after initialization');
-            this.createEmergencyButton();
-          }
-        }, 2000);
-      });
+      }, 2000);
       
     } catch (error) {
-      console.error('Error initializing SpicyAccessibility:', error);
+      logger.error('Error initializing SpicyAccessibility:', error);
       this.createEmergencyButton();
     }
     
@@ -153,35 +208,107 @@ const SpicyAccessibility = {
   },
   
   /**
-   * Register all enabled feature modules
+   * Remove the toolkit from the page
+   * Every element, listener, class and style it added is removed and changed attributes
+   * are restored, so init() can be called again afterwards
+   * Saved settings are kept, and feature modules registered with registerFeature() need
+   * to be registered again
+   */
+  destroy() {
+    clearTimeout(this._widgetCheckTimer);
+    this._widgetCheckTimer = null;
+    
+    // Invalidate the storage reload and sync start still queued by init()
+    this._generation = (this._generation || 0) + 1;
+    
+    if (this.widget) {
+      this.widget.destroy();
+    }
+    
+    if (this.sync) {
+      this.sync.stop();
+    }
+    
+    if (this.tabSync) {
+      this.tabSync.stop();
+    }
+    
+    if (this.storage) {
+      this.storage.close();
+    }
+    
+    if (this.i18n) {
+      this.i18n.destroy();
+    }
+    
+    if (this.events) {
+      this.events.clear();
+    }
+    
+    const emergencyButton = document.getElementById('emergency-a11y-btn');
+    if (emergencyButton) {
+      emergencyButton.remove();
+    }
+    
+    this.widget = null;
+    this.sync = null;
+    this.tabSync = null;
+    this.registry = null;
+    this.settings = null;
+    this.storage = null;
+    this.i18n = null;
+    this.events = null;
+    this._pendingFeatures = [];
+    
+    logger.info('Destroyed');
+  },
+  
+  /**
+   * Register the built-in feature modules, then any registered before init()
    * @private
    */
   _registerFeatures() {
     try {
-      const features = [
-        new TextFeatures(this.settings, this.events),
-        new VisualFeatures(this.settings, this.events),
-        new NavigationFeatures(this.settings, this.events),
-        new AudioFeatures(this.settings, this.events),
-        new Profiles(this.settings, this.events)
-      ];
+      [TextFeatures, VisualFeatures, NavigationFeatures, AudioFeatures, Profiles]
+        .forEach(FeatureModule => this.registerFeature(FeatureModule));
       
-      // Filter features if specific ones are requested
-      if (Array.isArray(this.config.features) && this.config.features !== 'all') {
-        features.forEach(featureModule => {
-          featureModule.enabledFeatures = featureModule.features.filter(
-            feature => this.config.features.includes(feature.id)
-          );
-        });
-      }
-      
-      // Register all features with the widget
-      features.forEach(featureModule => {
-        this.widget.registerFeatureModule(featureModule);
-      });
+      const pending = this._pendingFeatures || [];
+      this._pendingFeatures = [];
+      pending.forEach(moduleOrDefinition => this.registerFeature(moduleOrDefinition));
     } catch (error) {
-      console.error('Error registering features:', error);
+      logger.error('Error registering features:', error);
+    }
+  },
+  
+  /**
+   * Register a feature module (see core/registry.js for the module contract)
+   * Its features are validated, saved and included in profiles like the built-in ones
+   * Modules registered before init() are queued until then
+   * @param {Function|Object} moduleOrDefinition - Module class, instance, or plain definition
+   * @returns {Object|null} The registered module, or null if it was rejected or queued
+   */
+  registerFeature(moduleOrDefinition) {
+    if (!this.registry) {
+      this._pendingFeatures = this._pendingFeatures || [];
+      this._pendingFeatures.push(moduleOrDefinition);
+      return null;
     }
+    
+    const featureModule = this.registry.register(moduleOrDefinition);
+    if (featureModule && this.widget) {
+      this.widget.registerFeatureModule(featureModule);
+    }
+    
+    return featureModule;
+  },
+  
+  /**
+   * Add an icon to the built-in SVG set, e.g. for a custom feature
+   * @param {string} icon - Icon name or Font Awesome classes, e.g. 'fa-solid fa-glasses'
+   * @param {string} svgContent - Shapes for a 24×24 viewBox, drawn with `stroke="currentColor"`
+   */
+  registerIcon(icon, svgContent) {
+    addIcon(icon, svgContent);
   },
   
   /**
@@ -214,6 +341,87 @@ const SpicyAccessibility = {
     }
   },
   
+  /**
+   * Preview the page as people with a color vision deficiency see it
+   * The simulation lasts for the page session only, it is never saved, synced, undone or put into profiles
+   * @param {string|null} type - 'protanopia', 'deuteranopia', 'tritanopia' or 'achromatopsia'; null or 'none' to stop
+   * @returns {boolean} Whether the simulation was applied
+   */
+  simulate(type) {
+    return this.settings ? this.settings.updateSetting('colorSimulation', type || 'none') : false;
+  },
+  
+  /**
+   * Undo the last settings change
+   * @returns {boolean} Whether a change was undone
+   */
+  undo() {
+    return this.settings ? this.settings.undo() : false;
+  },
+  
+  /**
+   * Redo the last undone settings change
+   * @returns {boolean} Whether a change was redone
+   */
+  redo() {
+    return this.settings ? this.settings.redo() : false;
+  },
+  
+  /**
+   * Change the widget language
+   * @param {string} language - Language code, or 'auto' to follow <html lang>
+   * @returns {string|null} The language actually used, or null if not initialized
+   */
+  setLanguage(language) {
+    return this.i18n ? this.i18n.setLanguage(language) : null;
+  },
+  
+  /**
+   * Get the current widget language
+   * @returns {string|null} Language code, or null if not initialized
+   */
+  getLanguage() {
+    return this.i18n ? this.i18n.getLanguage() : null;
+  },
+  
+  /**
+   * Change the widget text direction
+   * @param {string} direction - 'ltr', 'rtl', or 'auto' to follow <html dir>, then the language
+   * @returns {string|null} The direction actually used, or null if not initialized
+   */
+  setDirection(direction) {
+    return this.i18n ? this.i18n.setDirection(direction) : null;
+  },
+  
+  /**
+   * Get the current widget text direction
+   * @returns {string|null} 'ltr' or 'rtl', or null if not initialized
+   */
+  getDirection() {
+    return this.i18n ? this.i18n.getDirection() : null;
+  },
+  
+  /**
+   * Register translations for a language, or override some of the bundled strings
+   * @param {string} language - Language code
+   * @param {Object} messages - Nested messages (see src/locales/en.js for the keys)
+   */
+  addTranslations(language, messages) {
+    if (this.i18n) {
+      this.i18n.addTranslations(language, messages);
+    }
+  },
+  
+  /**
+   * Apply several settings changes as one transaction
+   * Listeners receive a single `settings:changed` event and undo reverts them together
+   * @param {Function} fn - Callback receiving the Settings instance
+   * @returns {Object|null} The change diff, or null if not initialized
+   */
+  batch(fn) {
+    return this.settings ? this.settings.batch(fn) : null;
+  },
+  
   /**
    * Reset all accessibility settings to defaults
    */
@@ -223,6 +431,14 @@ const SpicyAccessibility = {
     }
   },
   
+  /**
+   * Push pending changes to the sync endpoint and pull the latest remote state
+   * @returns {Promise<boolean>} Whether the sync succeeded
+   */
+  syncNow() {
+    return this.sync ? this.sync.syncNow() : Promise.resolve(false);
+  },
+  
   /**
    * Get the current settings
    * @returns {Object} The current settings
@@ -236,35 +452,45 @@ const SpicyAccessibility = {
    */
   createEmergencyButton() {
     // Don't create if it already exists or if the regular button exists
-    if (document.getElementById('emergency-a11y-btn') || document.getElementById('spicy-access-btn')) {
+    const existingButton = this.widget ? this.widget.getElementById('spicy-access-btn') : document.getElementById('spicy-access-btn');
+    if (document.getElementById('emergency-a11y-btn') || existingButton) {
       return;
     }
     
-    console.warn('Creating emergency accessibility button');
+    logger.warn('Creating emergency accessibility button');
     
     const fallbackButton = document.createElement('button');
     fallbackButton.id = 'emergency-a11y-btn';
-    fallbackButton.innerHTML = '<span style="font-weight:bold;">A11Y</span>';
-    fallbackButton.style.cssText = `
-      position: fixed !important;
-      bottom: 20px !important;
-      right: 20px !important;
-      z-index: 10000 !important;
-      width: auto !important;
-      min-width: 56px !important;
-      height: 56px !important;
-      padding: 0 15px !important;
-      background-color: #4265ED !important;
-      color: white !important;
-      border: none !important;
-      border-radius: 28px !important;
-      font-size: 16px !important;
-      box-shadow: 0 4px 16px rgba(0,0,0,0.2) !important;
-      display: flex !important;
-      align-items: center !important;
-      justify-content: center !important;
-      cursor: pointer !important;
-    `;
+    fallbackButton.className = UI_CLASS;
+    const label = document.createElement('span');
+    label.textContent = 'A11Y';
+    label.style.fontWeight = 'bold';
+    fallbackButton.appendChild(label);
+    
+    // Set through the CSSOM rather than cssText, which a strict CSP blocks
+    const buttonStyles = {
+      'position': 'fixed',
+      'bottom': '20px',
+      'inset-inline-end': '20px',
+      'z-index': '10000',
+      'width': 'auto',
+      'min-width': '56px',
+      'height': '56px',
+      'padding': '0 15px',
+      'background-color': '#4265ED',
+      'color': 'white',
+      'border': 'none',
+      'border-radius': '28px',
+      'font-size': '16px',
+      'box-shadow': '0 4px 16px rgba(0,0,0,0.2)',
+      'display': 'flex',
+      'align-items': 'center',
+      'justify-content': 'center',
+      'cursor': 'pointer'
+    };
+    Object.entries(buttonStyles).forEach(([property, value]) => {
+      fallbackButton.style.setProperty(property, value, 'important');
+    });
     document.body.appendChild(fallbackButton);
     
     // Make the fallback button functional
@@ -273,7 +499,7 @@ const SpicyAccessibility = {
         try {
           this.widget.togglePanel();
         } catch (error) {
-          console.error('Error toggling panel:', error);
+          logger.error('Error toggling panel:', error);
           alert('Accessibility panel would open here, but there was an issue with the widget implementation.');
           
           // Try to reinitialize
@@ -282,7 +508,7 @@ const SpicyAccessibility = {
               this.widget.initialize();
               setTimeout(() => this.widget.togglePanel(), 500);
             } catch (e) {
-              console.error('Failed to reinitialize widget:', e);
+              logger.error('Failed to reinitialize widget:', e);
             }
           }
         }
@@ -298,6 +524,7 @@ export default SpicyAccessibility;
 
 /**
  * Debug function to help diagnose and fix widget issues
+ * Run by hand from the browser console, so it prints whatever the `debug` level is
  */
 function debugWidget() {
   console.log('Running accessibility widget debug...');
@@ -320,7 +547,7 @@ function debugWidget() {
   }
   
   // Reinitialize widget if needed
-  if (!document.getElementById('spicy-access-btn')) {
+  if (!widget.getElementById('spicy-access-btn')) {
     console.warn('Widget button not found in DOM, attempting to reinitialize...');
     
     if (typeof widget.initialize === 'function') {
@@ -332,20 +559,6 @@ function debugWidget() {
     console.log('Widget button found in DOM');
   }
   
-  // Check for Font Awesome
-  if (!document.querySelector('link[href*="font-awesome"]')) {
-    console.warn('Font Awesome not loaded, attempting to load...');
-    
-    const fontAwesomeLink = document.createElement('link');
-    fontAwesomeLink.rel = 'stylesheet';
-    fontAwesomeLink.href = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css';
-    document.head.appendChild(fontAwesomeLink);
-    
-    console.log('Font Awesome link added to head');
-  } else {
-    console.log('Font Awesome is loaded');
-  }
-  
   // Check for feature modules
   if (widget.featureModules && widget.featureModules.length > 0) {
     console.log(`Found ${widget.featureModules.length} feature modules`);
@@ -354,8 +567,8 @@ function debugWidget() {
   }
   
   // Force recreate the toggle button if it exists but is not working
-  const existingButton = document.getElementById('spicy-access-btn');
-  if (existingButton && !existingButton.innerHTML.includes('fa-')) {
+  const existingButton = widget.getElementById('spicy-access-btn');
+  if (existingButton && !existingButton.querySelector('.spicy-icon')) {
     console.warn('Toggle button found but icon may be missing, recreating...');
     
     if (existingButton.parentNode) {
@@ -0,0 +1,154 @@
+/**
+ * Color Utilities
+ * Helpers for WCAG contrast checks and color conversions
+ */
+
+/**
+ * Hex colors as stored in settings, e.g. '#1b1b1b'
+ */
+export const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Parse a 6-digit hex color
+ * @param {string} hex - Color such as '#1b1b1b'
+ * @returns {{r: number, g: number, b: number}|null} Channels from 0 to 255, or null if unreadable
+ */
+export function parseHexColor(hex) {
+  if (typeof hex !== 'string' || !HEX_COLOR_PATTERN.test(hex)) return null;
+  
+  return {
+    r: parseInt(hex.slice(1, 3), 16),
+    g: parseInt(hex.slice(3, 5), 16),
+    b: parseInt(hex.slice(5, 7), 16)
+  };
+}
+
+/**
+ * Relative luminance of a color, as defined by WCAG
+ * @param {{r: number, g: number, b: number}} color - Channels from 0 to 255
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+export function relativeLuminance({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * Contrast ratio between two colors, as defined by WCAG
+ * @param {{r: number, g: number, b: number}} first - Channels from 0 to 255
+ * @param {{r: number, g: number, b: number}} second - Channels from 0 to 255
+ * @returns {number} Ratio from 1 to 21
+ */
+export function colorContrast(first, second) {
+  const [lighter, darker] = [relativeLuminance(first), relativeLuminance(second)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Contrast ratio between two hex colors, as defined by WCAG
+ * @param {string} first - Hex color
+ * @param {string} second - Hex color
+ * @returns {number|null} Ratio from 1 to 21, or null if a color is unreadable
+ */
+export function contrastRatio(first, second) {
+  const a = parseHexColor(first);
+  const b = parseHexColor(second);
+  return a && b ? colorContrast(a, b) : null;
+}
+
+/**
+ * WCAG conformance of a contrast ratio for text
+ * @param {number} ratio - Contrast ratio
+ * @returns {string} 'AAA', 'AA', 'AA-large' (large text only) or 'fail'
+ */
+export function contrastLevel(ratio) {
+  if (ratio >= 7) return 'AAA';
+  if (ratio >= 4.5) return 'AA';
+  if (ratio >= 3) return 'AA-large';
+  return 'fail';
+}
+
+/**
+ * Parse a computed color, e.g. 'rgb(27, 27, 27)' or 'rgba(0, 0, 0, 0.5)'
+ * @param {string} value - Color as returned by getComputedStyle()
+ * @returns {{r: number, g: number, b: number, a: number}|null} Channels, or null for other formats
+ */
+export function parseRgbColor(value) {
+  const match = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i.exec(String(value).trim());
+  if (!match) return null;
+  
+  let a = match[4] === undefined ? 1 : parseFloat(match[4]);
+  if (match[4] && match[4].endsWith('%')) a /= 100;
+  
+  return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]), a };
+}
+
+/**
+ * Format a color for CSS
+ * @param {{r: number, g: number, b: number, a: number}} color - Channels, alpha optional
+ * @returns {string} 'rgb(…)' or 'rgba(…)'
+ */
+export function formatRgbColor({ r, g, b, a = 1 }) {
+  const channels = [r, g, b].map(channel => Math.round(channel)).join(', ');
+  return a < 1 ? `rgba(${channels}, ${a})` : `rgb(${channels})`;
+}
+
+/**
+ * Convert a color to hue, saturation and lightness
+ * @param {{r: number, g: number, b: number}} color - Channels from 0 to 255
+ * @returns {{h: number, s: number, l: number}} Hue in degrees, saturation and lightness from 0 to 1
+ */
+export function rgbToHsl({ r, g, b }) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  
+  if (max === min) return { h: 0, s: 0, l };
+  
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === red) {
+    h = (green - blue) / d + (green < blue ? 6 : 0);
+  } else if (max === green) {
+    h = (blue - red) / d + 2;
+  } else {
+    h = (red - green) / d + 4;
+  }
+  
+  return { h: h * 60, s, l };
+}
+
+/**
+ * Convert hue, saturation and lightness to a color
+ * @param {{h: number, s: number, l: number}} hsl - Hue in degrees, saturation and lightness from 0 to 1
+ * @returns {{r: number, g: number, b: number}} Channels from 0 to 255
+ */
+export function hslToRgb({ h, s, l }) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const channel = n => 255 * (l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1)));
+  
+  return { r: channel(0), g: channel(8), b: channel(4) };
+}
+
+/**
+ * Paint a semi-transparent color over an opaque one
+ * @param {{r: number, g: number, b: number, a: number}} color - Color on top
+ * @param {{r: number, g: number, b: number}} backdrop - Opaque color below
+ * @returns {{r: number, g: number, b: number, a: number}} Opaque result
+ */
+export function blendColors(color, backdrop) {
+  const a = color.a === undefined ? 1 : color.a;
+  return {
+    r: color.r * a + backdrop.r * (1 - a),
+    g: color.g * a + backdrop.g * (1 - a),
+    b: color.b * a + backdrop.b * (1 - a),
+    a: 1
+  };
+}
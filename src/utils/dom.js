@@ -3,6 +3,60 @@
  * Helpers for DOM manipulation
  */
 
+import { getIconMode } from './icons';
+import { createLogger } from './logger';
+import widgetStyles from '../styles/widget.css?raw';
+
+const logger = createLogger('dom');
+
+// Nonce for the <style> and <link> elements the toolkit injects, set from the `nonce` config option
+let styleNonce = null;
+
+// Constructed widget stylesheet, shared by the document and shadow roots
+let widgetSheet = null;
+
+/**
+ * Class marking the root of every element the toolkit adds to the page
+ * Page-wide rules and scripts leave these elements and their contents alone
+ */
+export const UI_CLASS = 'spicy-ui';
+
+/**
+ * Set the nonce added to injected <style> and <link> elements
+ * Pages with a `style-src 'nonce-…'` Content Security Policy only apply styles carrying it
+ * @param {string|null} nonce - Nonce from the page's policy, or null for none
+ */
+export function setStyleNonce(nonce) {
+  styleNonce = nonce ? String(nonce) : null;
+}
+
+/**
+ * Add the configured nonce to a <style> or <link> element
+ * @param {HTMLElement} element - Element about to be injected
+ * @returns {HTMLElement} The same element
+ */
+export function applyNonce(element) {
+  if (styleNonce) {
+    element.setAttribute('nonce', styleNonce);
+  }
+  return element;
+}
+
+/**
+ * Create a <style> element carrying the configured nonce
+ * @param {string} css - Style rules
+ * @param {string} [id] - Element ID
+ * @returns {HTMLStyleElement} Style element
+ */
+export function createStyleElement(css, id) {
+  const style = applyNonce(document.createElement('style'));
+  if (id) {
+    style.id = id;
+  }
+  style.textContent = css;
+  return style;
+}
+
 /**
  * Create an HTML element with attributes and properties
  * @param {string} tag - Tag name
@@ -89,80 +143,27 @@ export function createElement(tag, options = {}) {
  */
 export function addGlobalStyles() {
   return new Promise((resolve) => {
-    console.log('Adding global styles...');
+    logger.debug('Adding global styles...');
     
     // Check if styles are already added
     if (document.getElementById('spicy-global-styles')) {
-      console.log('Global styles already added');
+      logger.debug('Global styles already added');
       resolve();
       return;
     }
     
-    // Add Font Awesome from CDN directly if not already loaded
-    if (!document.querySelector('link[href*="font-awesome"]')) {
-      console.log('Loading Font Awesome from CDN...');
-      
-      // Create a link element for Font Awesome
-      const fontAwesomeLink = document.createElement('link');
-      fontAwesomeLink.rel = 'stylesheet';
-      fontAwesomeLink.href = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css';
-      fontAwesomeLink.integrity = 'sha512-iecdLmaskl7CVkqkXNQ/ZH/XLlvWZOJyj7Yy7tcenmpD1ypASozpmT/E0iPtmFIB46ZmdtAc9eNBvH0H/ZpiBw==';
-      fontAwesomeLink.crossOrigin = 'anonymous';
-      fontAwesomeLink.referrerPolicy = 'no-referrer';
-      
-      document.head.appendChild(fontAwesomeLink);
-      
-      // Additionally load the solid style specifically
-      const fontAwesomeSolidLink = document.createElement('link');
-      fontAwesomeSolidLink.rel = 'stylesheet';
-      fontAwesomeSolidLink.href = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/solid.min.css';
-      fontAwesomeSolidLink.integrity = 'sha512-yDUXOUWwbHH4ggxueDnC5vJv4tmfySpVdIcN1LksGZi8W8EVZv4uKGrQc0pVf66zS7LDhFJM7Zdeow1sw1/8Jw==';
-      fontAwesomeSolidLink.crossOrigin = 'anonymous';
-      fontAwesomeSolidLink.referrerPolicy = 'no-referrer';
-      
-      document.head.appendChild(fontAwesomeSolidLink);
-      
-      console.log('Font Awesome CSS added to document head');
-    } else {
-      console.log('Font Awesome already loaded');
-    }
-    
-    // Add inline Font Awesome styles as a fallback
-    const faFallbackStyle = document.createElement('style');
-    faFallbackStyle.textContent = `
-      .fa-universal-access:before {
-        content: "♿";
-      }
-      .fa-xmark:before {
-        content: "✕";
-      }
-      .fa-arrows-rotate:before {
-        content: "↻";
-      }
-    `;
-    document.head.appendChild(faFallbackStyle);
-    
     // Add accessible focus styles
-    const focusStyles = document.createElement('style');
-    focusStyles.id = 'spicy-global-styles';
-    focusStyles.textContent = `
+    const focusStyles = createStyleElement(`
       .keyboard-focus {
         outline: 3px solid #4265ED !important;
         outline-offset: 2px !important;
       }
       
       /* Feature icon styles */
-      #spicy-access-panel i[class*="fa-"],
-      #spicy-access-btn i[class*="fa-"] {
-        font-family: 'Font Awesome 6 Free', 'FontAwesome', sans-serif !important;
-        font-weight: 900 !important;
-        font-style: normal;
+      .spicy-icon {
         display: inline-block;
-      }
-      
-      /* Panel animation */
-      #spicy-access-panel {
-        transition: opacity 0.3s ease, transform 0.3s ease;
+        flex-shrink: 0;
+        vertical-align: -0.125em;
       }
       
       /* Focus indicator styles */
@@ -196,16 +197,103 @@ export function addGlobalStyles() {
         pointer-events: none;
         line-height: 1.5;
       }
-    `;
+    `, 'spicy-global-styles');
     document.head.appendChild(focusStyles);
     
-    console.log('Global styles added');
+    logger.debug('Global styles added');
     
     // Resolve immediately without waiting for font loading
     resolve();
   });
 }
 
+/**
+ * Remove the styles added by addGlobalStyles
+ */
+export function removeGlobalStyles() {
+  const styles = document.getElementById('spicy-global-styles');
+  if (styles) {
+    styles.remove();
+  }
+}
+
+/**
+ * Add the widget stylesheet (styles/widget.css) to the document or a shadow root, once
+ * Where constructable stylesheets are supported the sheet is adopted, which a strict
+ * `style-src` policy doesn't block; elsewhere a <style> element carrying the nonce is added
+ * @param {Document|ShadowRoot} root - Node the widget UI lives in
+ */
+export function addWidgetStyles(root) {
+  if ('adoptedStyleSheets' in root && typeof CSSStyleSheet === 'function' && 'replaceSync' in CSSStyleSheet.prototype) {
+    if (!widgetSheet) {
+      widgetSheet = new CSSStyleSheet();
+      widgetSheet.replaceSync(widgetStyles);
+    }
+    if (!root.adoptedStyleSheets.includes(widgetSheet)) {
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, widgetSheet];
+    }
+    return;
+  }
+  
+  const container = root === document ? document.head : root;
+  if (!container.querySelector('#spicy-widget-styles')) {
+    container.appendChild(createStyleElement(widgetStyles, 'spicy-widget-styles'));
+  }
+}
+
+/**
+ * Remove the widget stylesheet added by addWidgetStyles
+ * @param {Document|ShadowRoot} root - Node the widget UI lived in
+ */
+export function removeWidgetStyles(root) {
+  if (widgetSheet && 'adoptedStyleSheets' in root) {
+    root.adoptedStyleSheets = root.adoptedStyleSheets.filter(sheet => sheet !== widgetSheet);
+  }
+  
+  const container = root === document ? document.head : root;
+  const styles = container.querySelector('#spicy-widget-styles');
+  if (styles) {
+    styles.remove();
+  }
+}
+
+/**
+ * Add the widget's scoped stylesheet to a shadow root
+ * Page styles can't match elements inside the root, so the widget stylesheet and focus styles are added here,
+ * and the host is reset so inherited page styles (fonts, colors, filters) don't leak in
+ * @param {ShadowRoot} shadowRoot - Shadow root hosting the widget UI
+ */
+export function addShadowStyles(shadowRoot) {
+  // The page's Font Awesome class rules must be loaded inside the root too (its @font-face stays in the document)
+  if (getIconMode() === 'fontawesome') {
+    document.querySelectorAll('link[href*="font-awesome"], link[href*="fontawesome"]').forEach(link => {
+      const scopedLink = applyNonce(document.createElement('link'));
+      scopedLink.rel = 'stylesheet';
+      scopedLink.href = link.href;
+      shadowRoot.appendChild(scopedLink);
+    });
+  }
+  
+  const scopedStyles = createStyleElement(`
+    :host {
+      all: initial !important;
+    }
+    
+    #spicy-access-panel,
+    #spicy-access-btn {
+      font-size: 16px;
+      line-height: 1.4;
+    }
+    
+    .keyboard-focus {
+      outline: 3px solid #4265ED !important;
+      outline-offset: 2px !important;
+    }
+  `, 'spicy-shadow-styles');
+  shadowRoot.appendChild(scopedStyles);
+  addWidgetStyles(shadowRoot);
+}
+
 /**
  * Find the first focusable element within a container
  * @param {HTMLElement} container - Container element
@@ -3,8 +3,57 @@
  * Helpers for font loading and management
  */
 
-// Cache for loaded fonts
-const loadedFonts = new Set();
+import { createStyleElement } from './dom';
+import { createLogger } from './logger';
+
+const logger = createLogger('fonts');
+
+// Loaded fonts, with the style element and FontFace added for each
+const loadedFonts = new Map();
+
+/**
+ * Where the bundled fonts are fetched from when the toolkit isn't loaded with a <script> tag
+ */
+const CDN_FONT_BASE_URL = 'https://cdn.jsdelivr.net/npm/spicy-accessibility@1.0.0/dist/assets/fonts/';
+
+// The build copies the bundled fonts to assets/fonts next to the toolkit script
+const scriptUrl = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+
+// Set from the `fontBaseUrl` config option
+let fontBaseUrl = null;
+
+/**
+ * Choose where the bundled fonts are loaded from
+ * @param {string|null} url - Directory holding the font files, or null for the default
+ */
+export function setFontBaseUrl(url) {
+  fontBaseUrl = url ? String(url) : null;
+}
+
+/**
+ * Get the directory the bundled fonts are loaded from
+ * @returns {string} Base URL ending with a slash
+ */
+export function getFontBaseUrl() {
+  let base = fontBaseUrl;
+  if (!base) {
+    try {
+      base = scriptUrl ? new URL('assets/fonts/', scriptUrl).href : CDN_FONT_BASE_URL;
+    } catch (e) {
+      base = CDN_FONT_BASE_URL;
+    }
+  }
+  return base.endsWith('/') ? base : `${base}/`;
+}
+
+/**
+ * Get the URL of a bundled font file
+ * @param {string} fileName - File name in assets/fonts
+ * @returns {string} Font URL
+ */
+export function getFontUrl(fileName) {
+  return `${getFontBaseUrl()}${fileName}`;
+}
 
 /**
  * Load a font dynamically
@@ -20,7 +69,7 @@ export function loadFont(fontFamily, fontUrl, options = {}) {
   // Return early if font already loaded
   const fontKey = `${fontFamily}-${fontUrl}`;
   if (loadedFonts.has(fontKey)) {
-    return Promise.resolve();
+    return loadedFonts.get(fontKey).promise;
   }
   
   // Set default options
@@ -31,11 +80,11 @@ export function loadFont(fontFamily, fontUrl, options = {}) {
   } = options;
   
   // Create @font-face declaration
+  const format = /\.woff2($|[?#])/i.test(fontUrl) ? 'woff2' : 'woff';
   const fontFace = `
     @font-face {
       font-family: '${fontFamily}';
-      src: url('${fontUrl}') format('woff2'),
-           url('${fontUrl}') format('woff');
+      src: url('${fontUrl}') format('${format}');
       font-style: ${fontStyle};
       font-weight: ${fontWeight};
       font-display: ${fontDisplay};
@@ -43,10 +92,12 @@ export function loadFont(fontFamily, fontUrl, options = {}) {
   `;
   
   // Add style element
-  const style = document.createElement('style');
-  style.textContent = fontFace;
+  const style = createStyleElement(fontFace);
   document.head.appendChild(style);
   
+  const loadedFont = { style, fontFace: null, promise: null };
+  loadedFonts.set(fontKey, loadedFont);
+  
   // Load font using FontFace API if available
   if ('FontFace' in window) {
     const font = new FontFace(
@@ -59,18 +110,21 @@ export function loadFont(fontFamily, fontUrl, options = {}) {
       }
     );
     
-    return font.load()
-      .then(loadedFont => {
-        document.fonts.add(loadedFont);
-        loadedFonts.add(fontKey);
+    loadedFont.promise = font.load()
+      .then(fontFace => {
+        // Skip fonts unloaded while they were loading
+        if (loadedFonts.get(fontKey) !== loadedFont) return;
+        document.fonts.add(fontFace);
+        loadedFont.fontFace = fontFace;
       })
       .catch(error => {
-        console.error(`Error loading font ${fontFamily}:`, error);
+        logger.error(`Error loading font ${fontFamily} from ${fontUrl}:`, error);
       });
+    return loadedFont.promise;
   }
   
   // Fallback to simpler approach
-  return new Promise(resolve => {
+  loadedFont.promise = new Promise(resolve => {
     // Create test element
     const testElement = document.createElement('span');
     testElement.style.fontFamily = `'${fontFamily}', monospace`;
@@ -82,10 +136,27 @@ export function loadFont(fontFamily, fontUrl, options = {}) {
     // Set timeout to allow font to load
     setTimeout(() => {
       document.body.removeChild(testElement);
-      loadedFonts.add(fontKey);
       resolve();
     }, 50);
   });
+  return loadedFont.promise;
+}
+
+/**
+ * Remove a font added with loadFont
+ * @param {string} fontFamily - Font family name
+ * @param {string} fontUrl - URL to the font file
+ */
+export function unloadFont(fontFamily, fontUrl) {
+  const fontKey = `${fontFamily}-${fontUrl}`;
+  const loadedFont = loadedFonts.get(fontKey);
+  if (!loadedFont) return;
+  
+  loadedFont.style.remove();
+  if (loadedFont.fontFace) {
+    document.fonts.delete(loadedFont.fontFace);
+  }
+  loadedFonts.delete(fontKey);
 }
 
 /**
@@ -135,7 +206,7 @@ export function getAvailableFonts() {
       return [...new Set(fontData.map(font => font.family))];
     })
     .catch(error => {
-      console.error('Error querying local fonts:', error);
+      logger.error('Error querying local fonts:', error);
       return [];
     });
 }
@@ -0,0 +1,183 @@
+/**
+ * Icons - Inline SVG icon set for the widget UI
+ * Icons are looked up by their Font Awesome class names, so feature modules declare
+ * `icon: 'fa-solid fa-eye'` whether the SVG set or the page's own Font Awesome is used
+ */
+
+import { createLogger } from './logger';
+
+const logger = createLogger('icons');
+
+/**
+ * Icon bodies for a 24×24 viewBox, drawn with the stroke set on the <svg>
+ */
+const ICONS = {
+  'universal-access': '<circle cx="12" cy="12" r="10"/><circle cx="12" cy="7" r="1.5"/><path d="M7 9.5l5 1 5-1M12 10.5v4M9.5 18.5l2.5-4 2.5 4"/>',
+  'xmark': '<path d="M18 6L6 18M6 6l12 12"/>',
+  'plus': '<path d="M12 5v14M5 12h14"/>',
+  'minus': '<path d="M5 12h14"/>',
+  'circle': '<circle cx="12" cy="12" r="9"/>',
+  'rotate-left': '<path d="M3 12a9 9 0 1 0 3-6.7L3 8"/><path d="M3 3v5h5"/>',
+  'rotate-right': '<path d="M21 12a9 9 0 1 1-3-6.7L21 8"/><path d="M21 3v5h-5"/>',
+  'arrows-rotate': '<path d="M3 12a9 9 0 0 1 15-6.7L21 8"/><path d="M21 3v5h-5"/><path d="M21 12a9 9 0 0 1-15 6.7L3 16"/><path d="M8 16H3v5"/>',
+  'arrow-down-right': '<path d="M7 7l10 10M17 8v9H8"/>',
+  'arrow-down-left': '<path d="M17 7L7 17M16 17H7V8"/>',
+  'arrows-up-down': '<path d="M12 3v18M8 7l4-4 4 4M8 17l4 4 4-4"/>',
+  'arrows-left-right': '<path d="M3 12h18M7 8l-4 4 4 4M17 8l4 4-4 4"/>',
+  'arrows-up-down-left-right': '<path d="M12 2v20M2 12h20M9 5l3-3 3 3M9 19l3 3 3-3M5 9l-3 3 3 3M19 9l3 3-3 3"/>',
+  'sliders': '<path d="M4 21v-7M4 10V3M12 21v-9M12 8V3M20 21v-5M20 12V3M1 14h6M9 8h6M17 16h6"/>',
+  'gears': '<circle cx="12" cy="12" r="3"/><path d="M12 2v3M12 19v3M2 12h3M19 12h3M4.9 4.9L7 7M17 17l2.1 2.1M4.9 19.1L7 17M17 7l2.1-2.1"/>',
+  
+  // Text
+  'font': '<path d="M4 20L12 4l8 16M7 14h10"/>',
+  'text-height': '<path d="M3 6V4h10v2M8 4v16M6 20h4M18 4v16M15 7l3-3 3 3M15 17l3 3 3-3"/>',
+  'heading': '<path d="M6 4v16M18 4v16M6 12h12M4 4h4M16 4h4M4 20h4M16 20h4"/>',
+  'text-width': '<path d="M4 6V4h16v2M12 4v10M9 14h6M3 19h18M6 16l-3 3 3 3M18 16l3 3-3 3"/>',
+  'bold': '<path d="M7 4h6a4 4 0 0 1 0 8H7zM7 12h7a4 4 0 0 1 0 8H7z"/>',
+  'align-left': '<path d="M3 6h18M3 10h12M3 14h18M3 18h12"/>',
+  'paragraph': '<path d="M13 4v16M17 4v16M19 4H9.5a4.5 4.5 0 0 0 0 9H13"/>',
+  'file-lines': '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><path d="M14 2v6h6M8 13h8M8 17h8M8 9h2"/>',
+  
+  // Visual
+  'eye': '<path d="M2 12s3.5-7 10-7 10 7 10 7-3.5 7-10 7S2 12 2 12z"/><circle cx="12" cy="12" r="3"/>',
+  'circle-half-stroke': '<circle cx="12" cy="12" r="10"/><path d="M12 2a10 10 0 0 1 0 20z" fill="currentColor"/>',
+  'droplet': '<path d="M12 3s-6 6.5-6 11a6 6 0 0 0 12 0c0-4.5-6-11-6-11z"/>',
+  'moon': '<path d="M21 12.8A9 9 0 1 1 11.2 3 7 7 0 0 0 21 12.8z"/>',
+  'sun': '<circle cx="12" cy="12" r="4"/><path d="M12 2v2M12 20v2M4.9 4.9l1.4 1.4M17.7 17.7l1.4 1.4M2 12h2M20 12h2M4.9 19.1l1.4-1.4M17.7 6.3l1.4-1.4"/>',
+  'brush': '<path d="M20 4l-9 9"/><path d="M10.5 13.5a3 3 0 0 0-4.2 0C5 14.8 5.5 17 3 18c2 2 6 2.5 7.8.7a3 3 0 0 0-.3-5.2z"/>',
+  'palette': '<path d="M12 3a9 9 0 0 0 0 18c1.1 0 1.7-.8 1.7-1.7 0-.5-.2-.8-.5-1.1-.3-.3-.4-.7-.4-1.1 0-.9.8-1.7 1.7-1.7H16a5 5 0 0 0 5-5c0-4-4-7.4-9-7.4z"/><circle cx="7.5" cy="11" r="1"/><circle cx="10" cy="7" r="1"/><circle cx="15" cy="7.5" r="1"/>',
+  'link': '<path d="M10 13a5 5 0 0 0 7.5.5l3-3a5 5 0 0 0-7-7l-1.7 1.7"/><path d="M14 11a5 5 0 0 0-7.5-.5l-3 3a5 5 0 0 0 7 7l1.7-1.7"/>',
+  'image-slash': '<rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="9" cy="9" r="2"/><path d="M21 15l-5-5L5 21M2 2l20 20"/>',
+  'photo-film': '<rect x="2" y="4" width="14" height="12" rx="2"/><path d="M6 20h14a2 2 0 0 0 2-2V8M2 13l4-4 4 4 2-2 4 4"/>',
+  'display': '<rect x="2" y="3" width="20" height="14" rx="2"/><path d="M8 21h8M12 17v4"/>',
+  'pause': '<rect x="6" y="4" width="4" height="16" rx="1"/><rect x="14" y="4" width="4" height="16" rx="1"/>',
+  'person-walking': '<circle cx="13" cy="4" r="2"/><path d="M12 8l-1.5 6.5M9 20l1.5-5.5L14 17v4M6 11.5L9 9h4l2.5 3.5L19 13"/>',
+  'mouse-pointer': '<path d="M4 4l6.5 16 2.3-6.7L19.5 11z"/><path d="M13 13l6 6"/>',
+  'arrow-pointer': '<path d="M6 3v16l4.2-4.2 3.3 6.7 2.7-1.3-3.3-6.7H19z"/>',
+  'bullseye': '<circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/>',
+  
+  // Navigation
+  'location-arrow': '<path d="M3 11L22 2l-9 19-2-8z"/>',
+  'sitemap': '<rect x="9" y="2" width="6" height="5" rx="1"/><rect x="2" y="17" width="6" height="5" rx="1"/><rect x="16" y="17" width="6" height="5" rx="1"/><path d="M12 7v5M5 17v-5h14v5"/>',
+  'ruler-horizontal': '<rect x="2" y="7" width="20" height="10" rx="2"/><path d="M6 7v4M10 7v3M14 7v4M18 7v3"/>',
+  'comment': '<path d="M21 12a8 8 0 0 1-11.8 7L3 21l2-5.5A8 8 0 1 1 21 12z"/>',
+  'magnifying-glass': '<circle cx="11" cy="11" r="7"/><path d="M21 21l-4.3-4.3"/>',
+  'glasses': '<circle cx="6" cy="15" r="4"/><circle cx="18" cy="15" r="4"/><path d="M10 15a2 2 0 0 1 4 0M2.5 13L5 6h1M21.5 13L19 6h-1"/>',
+  
+  // Audio
+  'volume-high': '<path d="M11 5L6 9H2v6h4l5 4z"/><path d="M15.5 8.5a5 5 0 0 1 0 7M19 5a10 10 0 0 1 0 14"/>',
+  'play': '<path d="M6 3v18l15-9z"/>',
+  'stop': '<rect x="5" y="5" width="14" height="14" rx="2"/>',
+  
+  // Profiles
+  'users': '<circle cx="9" cy="7" r="4"/><path d="M2 21v-1a6 6 0 0 1 12 0v1M16 3.1a4 4 0 0 1 0 7.8M22 21v-1a6 6 0 0 0-4-5.7"/>',
+  'user-gear': '<circle cx="9" cy="7" r="4"/><path d="M2 21v-1a6 6 0 0 1 9-5.2"/><circle cx="18" cy="17" r="3"/><path d="M18 12v2M18 20v2M13 17h2M21 17h2"/>',
+  'floppy-disk': '<path d="M5 3h11l5 5v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2z"/><path d="M7 3v5h8V3M7 21v-7h10v7"/>',
+  'trash': '<path d="M3 6h18M8 6V4a1 1 0 0 1 1-1h6a1 1 0 0 1 1 1v2M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6M10 11v6M14 11v6"/>'
+};
+
+/**
+ * Older Font Awesome names for icons in the set
+ */
+const ALIASES = {
+  'adjust': 'circle-half-stroke',
+  'times': 'xmark',
+  'close': 'xmark',
+  'undo': 'rotate-left',
+  'redo': 'rotate-right',
+  'sync': 'arrows-rotate',
+  'save': 'floppy-disk',
+  'search': 'magnifying-glass',
+  'volume-up': 'volume-high'
+};
+
+/**
+ * Font Awesome classes that pick a style or size rather than an icon
+ */
+const STYLE_CLASSES = ['fa-solid', 'fa-regular', 'fa-light', 'fa-thin', 'fa-duotone', 'fa-brands', 'fa-fw', 'fas', 'far', 'fab'];
+
+// 'svg' renders the set above, 'fontawesome' leaves the classes to the page's Font Awesome
+let iconMode = 'svg';
+
+// Names already reported as missing, so each is only warned about once
+const missingIcons = new Set();
+
+/**
+ * Choose how icons are rendered
+ * @param {string} mode - 'svg' for the built-in set, or 'fontawesome' to use the page's Font Awesome
+ */
+export function setIconMode(mode) {
+  if (mode !== 'svg' && mode !== 'fontawesome') {
+    logger.warn(`Unknown icon mode "${mode}", using the built-in SVG icons`);
+    iconMode = 'svg';
+    return;
+  }
+  iconMode = mode;
+}
+
+/**
+ * Get how icons are rendered
+ * @returns {string} 'svg' or 'fontawesome'
+ */
+export function getIconMode() {
+  return iconMode;
+}
+
+/**
+ * Get the icon name from a Font Awesome class string
+ * @param {string} iconClass - Classes such as 'fa-solid fa-eye', or a bare name such as 'eye'
+ * @returns {string} Icon name, e.g. 'eye'
+ */
+export function getIconName(iconClass) {
+  const classes = String(iconClass || '').trim().split(/\s+/);
+  const iconToken = classes.find(name => name.startsWith('fa-') && !STYLE_CLASSES.includes(name)) || classes[0] || '';
+  const name = iconToken.replace(/^fa-/, '');
+  return ALIASES[name] || name;
+}
+
+/**
+ * Add an icon to the SVG set, or replace one
+ * @param {string} iconClass - Icon name or Font Awesome classes, e.g. 'fa-solid fa-glasses'
+ * @param {string} svgContent - Shapes for a 24×24 viewBox, drawn with `stroke="currentColor"`
+ */
+export function registerIcon(iconClass, svgContent) {
+  const name = getIconName(iconClass);
+  if (!name || typeof svgContent !== 'string') {
+    logger.warn('registerIcon needs an icon name and SVG content');
+    return;
+  }
+  ICONS[name] = svgContent;
+  missingIcons.delete(name);
+}
+
+/**
+ * Check whether the SVG set has an icon
+ * @param {string} iconClass - Icon name or Font Awesome classes
+ * @returns {boolean} Whether the icon exists
+ */
+export function hasIcon(iconClass) {
+  return Object.prototype.hasOwnProperty.call(ICONS, getIconName(iconClass));
+}
+
+/**
+ * Render an icon as markup
+ * Icons are decorative, so they are hidden from assistive technology
+ * @param {string} iconClass - Font Awesome classes, e.g. 'fa-solid fa-eye'
+ * @returns {string} <svg> markup, or an <i> element in 'fontawesome' mode
+ */
+export function renderIcon(iconClass) {
+  if (iconMode === 'fontawesome') {
+    return `<i class="spicy-icon ${iconClass}" aria-hidden="true"></i>`;
+  }
+  
+  let name = getIconName(iconClass);
+  if (!hasIcon(name)) {
+    if (!missingIcons.has(name)) {
+      missingIcons.add(name);
+      logger.warn(`No built-in icon for "${iconClass}", add one with registerIcon()`);
+    }
+    name = 'circle';
+  }
+  
+  return `<svg class="spicy-icon spicy-icon-${name}" viewBox="0 0 24 24" width="1em" height="1em" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">${ICONS[name]}</svg>`;
+}
@@ -0,0 +1,98 @@
+/**
+ * Logger - Leveled console output for the toolkit
+ * Messages are prefixed with the toolkit name and the module they come from,
+ * e.g. `[SpicyAccessibility:widget]`, and can be forwarded to a sink for monitoring
+ */
+
+/**
+ * Levels from quietest to most verbose, a message is output if its level is at or below the active one
+ */
+const LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+/**
+ * Console method used for each level
+ */
+const CONSOLE_METHODS = {
+  error: 'error',
+  warn: 'warn',
+  info: 'info',
+  debug: 'log'
+};
+
+// Shared by every logger, set from the `debug` config option
+const state = {
+  level: 'warn',
+  prefix: 'SpicyAccessibility',
+  console: true,
+  sink: null
+};
+
+/**
+ * Configure every logger from the `debug` config option
+ * @param {boolean|string|Object} debug - true for 'debug', false for 'warn', a level name,
+ *   or { level, prefix, console, sink } where sink(entry) receives each message as { level, namespace, args }
+ *   and `console: false` leaves the messages to the sink only
+ */
+export function configureLogger(debug) {
+  const options = debug && typeof debug === 'object' ? debug : { level: debug };
+  let level = options.level;
+  
+  state.prefix = options.prefix || 'SpicyAccessibility';
+  state.console = options.console !== false;
+  state.sink = typeof options.sink === 'function' ? options.sink : null;
+  
+  if (level === true) level = 'debug';
+  if (level === false || level === undefined || level === null) level = 'warn';
+  
+  if (!LEVELS.includes(level)) {
+    console.warn(`[${state.prefix}] Unknown log level "${level}", using "warn"`);
+    level = 'warn';
+  }
+  
+  state.level = level;
+}
+
+/**
+ * Get the active log level
+ * @returns {string} Level name
+ */
+export function getLogLevel() {
+  return state.level;
+}
+
+/**
+ * Output a message if its level is enabled
+ * @param {string} level - Message level
+ * @param {string} namespace - Module the message comes from
+ * @param {Array} args - Console arguments
+ */
+function write(level, namespace, args) {
+  if (LEVELS.indexOf(level) > LEVELS.indexOf(state.level)) return;
+  
+  if (state.console) {
+    const prefix = namespace ? `[${state.prefix}:${namespace}]` : `[${state.prefix}]`;
+    console[CONSOLE_METHODS[level]](prefix, ...args);
+  }
+  
+  if (state.sink) {
+    try {
+      state.sink({ level, namespace, args });
+    } catch (e) {
+      console.error(`[${state.prefix}] Log sink failed:`, e);
+    }
+  }
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} [namespace] - Module name shown in the prefix
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function}} Logger
+ */
+export function createLogger(namespace = '') {
+  return {
+    error: (...args) => write('error', namespace, args),
+    warn: (...args) => write('warn', namespace, args),
+    info: (...args) => write('info', namespace, args),
+    debug: (...args) => write('debug', namespace, args)
+  };
+}
@@ -0,0 +1,154 @@
+import {
+  SCHEMA_VERSION,
+  ruleFromFeature,
+  validateValue,
+  sanitizeSettings,
+  migrateSettings
+} from '../../src/core/schema';
+import Storage from '../../src/core/storage';
+import EventBus from '../../src/core/events';
+import Settings from '../../src/core/settings';
+import { configureLogger } from '../../src/utils/logger';
+
+configureLogger({ level: 'silent' });
+
+describe('migrateSettings', () => {
+  test('carries the original dyslexiaFont toggle through to readingFont', () => {
+    expect(migrateSettings({ dyslexiaFont: true }, 0)).toEqual({ readingFont: 'opendyslexic' });
+    expect(migrateSettings({ dyslexiaFont: false }, 0)).toEqual({ readingFont: 'none' });
+  });
+
+  test('starts from the stored version', () => {
+    expect(migrateSettings({ dyslexicFont: 'true' }, 1)).toEqual({ readingFont: 'opendyslexic' });
+
+    // Already at version 2, so a dyslexicFont key is left alone
+    expect(migrateSettings({ dyslexicFont: true }, 2)).toEqual({ dyslexicFont: true });
+    expect(migrateSettings({ fontSize: 120 }, SCHEMA_VERSION)).toEqual({ fontSize: 120 });
+  });
+
+  test('keeps a readingFont that is already there', () => {
+    expect(migrateSettings({ dyslexicFont: true, readingFont: 'lexend' }, 1)).toEqual({ readingFont: 'lexend' });
+  });
+
+  test('turns the spacing toggles into levels that look the same', () => {
+    expect(migrateSettings({ lineHeight: true, letterSpacing: 'true' }, 2)).toEqual({
+      lineHeight: 1.8,
+      letterSpacing: 0.12,
+      wordSpacing: 0.16
+    });
+    expect(migrateSettings({ lineHeight: false, letterSpacing: false, wordSpacing: 0.2 }, 2)).toEqual({
+      lineHeight: 0,
+      letterSpacing: 0,
+      wordSpacing: 0.2
+    });
+  });
+
+  test('turns the left text alignment into start', () => {
+    expect(migrateSettings({ textAlign: 'left' }, 3)).toEqual({ textAlign: 'start' });
+    expect(migrateSettings({ textAlign: 'none' }, 3)).toEqual({ textAlign: 'none' });
+  });
+
+  test('does not change the object it was given', () => {
+    const stored = { dyslexiaFont: true };
+    migrateSettings(stored, 0);
+    expect(stored).toEqual({ dyslexiaFont: true });
+  });
+});
+
+describe('validateValue', () => {
+  const slider = ruleFromFeature({ id: 'fontSize', type: 'slider', min: 80, max: 200, default: 100 });
+
+  test('clamps numbers to the feature range', () => {
+    expect(validateValue(slider, 500)).toEqual({ valid: true, value: 200 });
+    expect(validateValue(slider, 10)).toEqual({ valid: true, value: 80 });
+    expect(validateValue(slider, '120')).toEqual({ valid: true, value: 120 });
+  });
+
+  test('rejects values of the wrong type with the default', () => {
+    expect(validateValue(slider, 'big')).toEqual({ valid: false, value: 100 });
+    expect(validateValue(slider, NaN)).toEqual({ valid: false, value: 100 });
+    expect(validateValue(slider, '')).toEqual({ valid: false, value: 100 });
+
+    const toggle = ruleFromFeature({ id: 'grayscale', type: 'toggle' });
+    expect(validateValue(toggle, 'true')).toEqual({ valid: true, value: true });
+    expect(validateValue(toggle, 1)).toEqual({ valid: false, value: false });
+  });
+
+  test('rejects values outside the options and badly formatted colors', () => {
+    const select = ruleFromFeature({ id: 'textAlign', type: 'select', options: [{ value: 'none' }, { value: 'start' }] });
+    expect(validateValue(select, 'start')).toEqual({ valid: true, value: 'start' });
+    expect(validateValue(select, 'justify')).toEqual({ valid: false, value: 'none' });
+
+    const color = ruleFromFeature({ id: 'textColor', type: 'color', default: '#000000' });
+    expect(validateValue(color, '#1b1b1b').valid).toBe(true);
+    expect(validateValue(color, 'red; background: url(x)')).toEqual({ valid: false, value: '#000000' });
+  });
+});
+
+describe('sanitizeSettings', () => {
+  const schema = {
+    fontSize: ruleFromFeature({ id: 'fontSize', type: 'slider', min: 80, max: 200, default: 100 }),
+    grayscale: ruleFromFeature({ id: 'grayscale', type: 'toggle' })
+  };
+
+  test('fills in defaults, fixes bad values and keeps unknown keys', () => {
+    expect(sanitizeSettings(schema, { fontSize: 999, grayscale: 'yes', pluginSetting: 3 })).toEqual({
+      fontSize: 200,
+      grayscale: false,
+      pluginSetting: 3
+    });
+  });
+
+  test('treats anything but a plain object as empty', () => {
+    expect(sanitizeSettings(schema, null)).toEqual({ fontSize: 100, grayscale: false });
+    expect(sanitizeSettings(schema, [1, 2])).toEqual({ fontSize: 100, grayscale: false });
+  });
+});
+
+describe('Settings validation and migration', () => {
+  function createSettings(storage = new Storage(true, 'memory')) {
+    return new Settings(storage, new EventBus());
+  }
+
+  test('migrates data saved before versioning and records the schema version', () => {
+    const storage = new Storage(true, 'memory');
+    storage.setItem('spicySettings', JSON.stringify({ dyslexiaFont: true, lineHeight: true, fontSize: 120 }));
+    storage.setItem('spicyProfiles', JSON.stringify({ mine: { dyslexicFont: true } }));
+
+    const settings = createSettings(storage);
+    settings.load();
+
+    expect(settings.getSetting('readingFont')).toBe('opendyslexic');
+    expect(settings.getSetting('lineHeight')).toBe(1.8);
+    expect(settings.getSetting('fontSize')).toBe(120);
+    expect(settings.getProfiles().mine.readingFont).toBe('opendyslexic');
+    expect(storage.getItem('spicySettingsVersion')).toBe(String(SCHEMA_VERSION));
+    expect(JSON.parse(storage.getItem('spicySettings'))).not.toHaveProperty('dyslexicFont');
+  });
+
+  test('ignores corrupted stored settings', () => {
+    const storage = new Storage(true, 'memory');
+    storage.setItem('spicySettings', '{not json');
+
+    const settings = createSettings(storage);
+    settings.load();
+
+    expect(settings.getAll()).toEqual(settings.defaultSettings);
+  });
+
+  test('rejects unknown keys and invalid values in updates', () => {
+    const settings = createSettings();
+    settings.registerFeatures([{ id: 'fontSize', type: 'slider', min: 80, max: 200 }]);
+    settings.load();
+
+    expect(settings.updateSetting('notASetting', true)).toBe(false);
+    expect(settings.updateSetting('fontSize', 'huge')).toBe(false);
+    expect(settings.updateSetting('fontSize', 400)).toBe(true);
+    expect(settings.getSetting('fontSize')).toBe(200);
+
+    settings.updateSettings({ fontSize: 'x', grayscale: true, notASetting: 1 });
+    expect(settings.getSetting('fontSize')).toBe(200);
+    expect(settings.getSetting('grayscale')).toBe(true);
+    expect(settings.getAll()).not.toHaveProperty('notASetting');
+  });
+});
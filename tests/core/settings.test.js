@@ -0,0 +1,239 @@
+import Storage from '../../src/core/storage';
+import EventBus from '../../src/core/events';
+import Settings from '../../src/core/settings';
+import { configureLogger } from '../../src/utils/logger';
+
+configureLogger({ level: 'silent' });
+
+function createSettings() {
+  const events = new EventBus();
+  const settings = new Settings(new Storage(true, 'memory'), events);
+  settings.load();
+  return { events, settings };
+}
+
+describe('Settings history', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 10000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('undoes and redoes changes in order', () => {
+    const { settings } = createSettings();
+
+    settings.updateSetting('fontSize', 120);
+    now += 2000;
+    settings.updateSetting('grayscale', true);
+
+    expect(settings.undo()).toBe(true);
+    expect(settings.getSetting('grayscale')).toBe(false);
+    expect(settings.getSetting('fontSize')).toBe(120);
+
+    expect(settings.undo()).toBe(true);
+    expect(settings.getSetting('fontSize')).toBe(100);
+    expect(settings.undo()).toBe(false);
+
+    expect(settings.redo()).toBe(true);
+    expect(settings.getSetting('fontSize')).toBe(120);
+    expect(settings.canRedo()).toBe(true);
+  });
+
+  test('a new change clears the redo stack', () => {
+    const { settings } = createSettings();
+
+    settings.updateSetting('fontSize', 120);
+    settings.undo();
+    now += 2000;
+    settings.updateSetting('grayscale', true);
+
+    expect(settings.canRedo()).toBe(false);
+  });
+
+  test('merges changes to the same key within a second into one step', () => {
+    const { settings } = createSettings();
+
+    // Dragging a slider
+    [110, 120, 130].forEach(value => {
+      now += 300;
+      settings.updateSetting('fontSize', value);
+    });
+
+    expect(settings.history.past).toHaveLength(1);
+    settings.undo();
+    expect(settings.getSetting('fontSize')).toBe(100);
+  });
+
+  test('keeps separate steps for other keys or after a pause', () => {
+    const { settings } = createSettings();
+
+    settings.updateSetting('fontSize', 110);
+    now += 300;
+    settings.updateSetting('grayscale', true);
+    now += 300;
+    settings.updateSetting('grayscale', false);
+    now += 1000;
+    settings.updateSetting('grayscale', true);
+
+    expect(settings.history.past).toHaveLength(3);
+  });
+
+  test('keeps at most 50 steps', () => {
+    const { settings } = createSettings();
+
+    for (let i = 1; i <= 60; i++) {
+      now += 2000;
+      settings.updateSetting('fontSize', 100 + i);
+    }
+
+    expect(settings.history.past).toHaveLength(50);
+
+    while (settings.undo());
+    // The 10 oldest steps were dropped
+    expect(settings.getSetting('fontSize')).toBe(110);
+  });
+
+  test('announces when undo and redo become available', () => {
+    const { events, settings } = createSettings();
+    const states = [];
+    events.on('settings:history', state => states.push(state));
+
+    settings.updateSetting('fontSize', 120);
+    settings.undo();
+
+    expect(states).toEqual([
+      { canUndo: true, canRedo: false },
+      { canUndo: false, canRedo: true }
+    ]);
+  });
+
+  test('changes from other tabs and storage reloads are not undoable', () => {
+    const { settings } = createSettings();
+
+    settings.applyExternal({ ...settings.getAll(), fontSize: 150 });
+
+    expect(settings.getSetting('fontSize')).toBe(150);
+    expect(settings.canUndo()).toBe(false);
+  });
+
+  test('session-only settings are not undoable, saved or synced', () => {
+    const { events, settings } = createSettings();
+    settings.registerFeatures([{
+      id: 'colorSimulation',
+      type: 'select',
+      persist: false,
+      options: [{ value: 'none' }, { value: 'protanopia' }]
+    }]);
+    const saved = jest.fn();
+    const changed = jest.fn();
+    events.on('settings:saved', saved);
+    events.on('settings:changed', changed);
+
+    settings.updateSetting('colorSimulation', 'protanopia');
+
+    expect(changed).toHaveBeenCalledTimes(1);
+    expect(saved).not.toHaveBeenCalled();
+    expect(settings.canUndo()).toBe(false);
+
+    // Undoing another change leaves the preview on
+    now += 2000;
+    settings.updateSetting('fontSize', 120);
+    settings.undo();
+
+    expect(settings.getSetting('fontSize')).toBe(100);
+    expect(settings.getSetting('colorSimulation')).toBe('protanopia');
+  });
+});
+
+describe('Settings batches', () => {
+  test('emit one settings:changed event with every changed key', () => {
+    const { events, settings } = createSettings();
+    const changes = [];
+    const saves = [];
+    events.on('settings:changed', (current, diff) => changes.push(diff));
+    events.on('settings:saved', persistent => saves.push(persistent));
+
+    const diff = settings.batch(() => {
+      settings.updateSetting('fontSize', 120);
+      settings.updateSetting('grayscale', true);
+      settings.updateSetting('highlightLinks', false);
+    });
+
+    expect(changes).toHaveLength(1);
+    expect(saves).toHaveLength(1);
+    expect(changes[0]).toBe(diff);
+    expect(diff.keys.sort()).toEqual(['fontSize', 'grayscale']);
+    expect(diff.changes.fontSize).toEqual({ oldValue: 100, newValue: 120 });
+    expect(diff).not.toHaveProperty('key');
+  });
+
+  test('single-key changes carry key and value', () => {
+    const { events, settings } = createSettings();
+    const changes = [];
+    events.on('settings:changed', (current, diff) => changes.push(diff));
+
+    settings.updateSetting('fontSize', 130);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ keys: ['fontSize'], key: 'fontSize', value: 130 });
+  });
+
+  test('nested batches join the outermost one', () => {
+    const { events, settings } = createSettings();
+    const changes = [];
+    events.on('settings:changed', (current, diff) => changes.push(diff));
+
+    settings.batch(() => {
+      settings.updateSetting('fontSize', 120);
+      expect(settings.batch(() => settings.updateSetting('grayscale', true))).toBeNull();
+    });
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0].keys.sort()).toEqual(['fontSize', 'grayscale']);
+  });
+
+  test('roll back every change when the callback throws', () => {
+    const { events, settings } = createSettings();
+    const changed = jest.fn();
+    events.on('settings:changed', changed);
+
+    expect(() => settings.batch(() => {
+      settings.updateSetting('fontSize', 120);
+      throw new Error('nope');
+    })).toThrow('nope');
+
+    expect(settings.getSetting('fontSize')).toBe(100);
+    expect(changed).not.toHaveBeenCalled();
+    expect(settings.canUndo()).toBe(false);
+  });
+
+  test('are undone as one step', () => {
+    const { settings } = createSettings();
+
+    settings.batch(() => {
+      settings.updateSetting('fontSize', 120);
+      settings.updateSetting('grayscale', true);
+    });
+    settings.undo();
+
+    expect(settings.getSetting('fontSize')).toBe(100);
+    expect(settings.getSetting('grayscale')).toBe(false);
+    expect(settings.canUndo()).toBe(false);
+  });
+
+  test('without changes emit nothing', () => {
+    const { events, settings } = createSettings();
+    const changed = jest.fn();
+    events.on('settings:changed', changed);
+
+    const diff = settings.batch(() => settings.updateSetting('fontSize', 100));
+
+    expect(diff.keys).toEqual([]);
+    expect(changed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+import Storage from '../../src/core/storage';
+import { CookieAdapter } from '../../src/core/adapters';
+import { configureLogger } from '../../src/utils/logger';
+
+configureLogger({ level: 'silent' });
+
+describe('Storage with IndexedDB', () => {
+  afterEach(() => {
+    delete global.indexedDB;
+  });
+
+  // indexedDB exists but opening a database fails, as in Safari private mode
+  function refuseToOpen(fail) {
+    global.indexedDB = {
+      open: jest.fn(() => {
+        const request = {};
+        setTimeout(() => fail(request));
+        return request;
+      })
+    };
+  }
+
+  test('falls back to the next adapter when the database fails to open', async () => {
+    refuseToOpen(request => {
+      request.error = new Error('denied');
+      request.onerror();
+    });
+
+    const storage = new Storage(true, ['indexedDB', 'memory']);
+    expect(storage.adapter.name).toBe('indexedDB');
+    storage.setItem('spicySettings', '{"fontSize":120}');
+
+    await storage.ready();
+
+    expect(storage.adapter.name).toBe('memory');
+    // Values written while it was opening are kept
+    expect(storage.getItem('spicySettings')).toBe('{"fontSize":120}');
+  });
+
+  test('falls back when opening throws', async () => {
+    global.indexedDB = {
+      open: () => {
+        throw new Error('The operation is insecure');
+      }
+    };
+
+    const storage = new Storage(true, 'indexedDB');
+    await storage.ready();
+
+    expect(storage.adapter.name).toBe('memory');
+  });
+
+  test('does not fall back after close()', async () => {
+    refuseToOpen(request => request.onerror());
+
+    const storage = new Storage(true, 'indexedDB');
+    storage.close();
+    await storage.ready();
+
+    expect(storage.adapter.name).toBe('indexedDB');
+  });
+});
+
+describe('CookieAdapter', () => {
+  afterEach(() => {
+    document.cookie.split(';').forEach(part => {
+      document.cookie = `${part.split('=')[0].trim()}=; max-age=0; path=/`;
+    });
+  });
+
+  test('throws instead of writing a cookie the browser would drop', () => {
+    const adapter = new CookieAdapter();
+    // Fits as plain text, but not once URI-encoded
+    const value = JSON.stringify({ name: 'ü'.repeat(1000) });
+
+    expect(() => adapter.setItem('spicyProfiles', value)).toThrow(/byte limit/);
+    expect(adapter.getItem('spicyProfiles')).toBeNull();
+
+    adapter.setItem('spicySettings', '{"fontSize":120}');
+    expect(adapter.getItem('spicySettings')).toBe('{"fontSize":120}');
+  });
+
+  test('reports the failed write to Storage callers', () => {
+    const storage = new Storage(true, 'cookie');
+
+    expect(storage.adapter.name).toBe('cookie');
+    expect(storage.setItem('spicyProfiles', 'x'.repeat(5000))).toBe(false);
+    expect(storage.setItem('spicySettings', '{}')).toBe(true);
+  });
+});
@@ -0,0 +1,249 @@
+import Storage from '../../src/core/storage';
+import EventBus from '../../src/core/events';
+import Settings from '../../src/core/settings';
+import RemoteSync from '../../src/core/sync';
+import { configureLogger } from '../../src/utils/logger';
+
+configureLogger({ level: 'silent' });
+
+/**
+ * In-memory sync endpoint merging writes per key like examples/sync-server
+ */
+function createServer() {
+  const server = {
+    state: {
+      spicySettings: { values: {}, timestamps: {} },
+      spicyProfiles: { values: {}, timestamps: {} }
+    },
+    failing: false
+  };
+
+  server.fetch = jest.fn((url, init) => {
+    if (server.failing) {
+      return Promise.resolve({ ok: false, status: 500 });
+    }
+
+    if (init.method === 'PUT') {
+      const incoming = JSON.parse(init.body);
+      Object.keys(server.state).forEach(blob => {
+        if (!incoming[blob]) return;
+        Object.entries(incoming[blob].values).forEach(([key, value]) => {
+          const time = incoming[blob].timestamps[key] || 0;
+          if (time >= (server.state[blob].timestamps[key] || 0)) {
+            server.state[blob].values[key] = value;
+            server.state[blob].timestamps[key] = time;
+          }
+        });
+      });
+    }
+
+    const body = JSON.parse(JSON.stringify(server.state));
+    return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+  });
+
+  return server;
+}
+
+function createClient(server, storage = new Storage(true, 'memory')) {
+  const events = new EventBus();
+  const settings = new Settings(storage, events);
+  settings.load();
+
+  const sync = new RemoteSync({ endpoint: '/sync', fetch: server.fetch, pullInterval: 0 }, storage, settings, events);
+  return { storage, events, settings, sync };
+}
+
+describe('RemoteSync', () => {
+  let now;
+  let clients;
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    clients = [];
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.sync.stop());
+    jest.restoreAllMocks();
+  });
+
+  function client(server, storage) {
+    const created = createClient(server, storage);
+    clients.push(created);
+    return created;
+  }
+
+  // The first pull queues the local keys the server does not have yet; push them right away
+  async function connect(sync) {
+    await sync.start();
+    await sync.flush();
+  }
+
+  test('queues changes while offline and pushes them once back online', async () => {
+    const server = createServer();
+    const { settings, sync } = client(server);
+    await connect(sync);
+    server.fetch.mockClear();
+
+    const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    settings.updateSetting('fontSize', 120);
+
+    expect(await sync.flush()).toBe(false);
+    expect(sync.queue).toEqual(['spicySettings']);
+    expect(server.fetch).not.toHaveBeenCalled();
+
+    onLine.mockReturnValue(true);
+    expect(await sync.flush()).toBe(true);
+
+    expect(sync.queue).toEqual([]);
+    expect(server.state.spicySettings.values.fontSize).toBe(120);
+    expect(server.state.spicySettings.timestamps.fontSize).toBe(1000);
+  });
+
+  test('pushes a queue left over from a previous session on start', async () => {
+    const server = createServer();
+    const first = client(server);
+
+    const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    await first.sync.start();
+    first.settings.updateSetting('fontSize', 130);
+    first.sync.stop();
+    onLine.mockRestore();
+
+    // Same storage, as after a reload
+    const second = client(server, first.storage);
+    expect(second.sync.queue).toEqual(['spicySettings']);
+
+    await second.sync.start();
+
+    expect(second.sync.queue).not.toContain('spicySettings');
+    expect(server.state.spicySettings.values.fontSize).toBe(130);
+  });
+
+  test('applies remote keys that are newer than the local ones', async () => {
+    const server = createServer();
+    const { settings, sync } = client(server);
+    await connect(sync);
+
+    settings.updateSetting('fontSize', 120);
+    settings.updateSetting('highlightLinks', true);
+    await sync.flush();
+
+    // Another device changed fontSize later
+    server.state.spicySettings.values.fontSize = 150;
+    server.state.spicySettings.timestamps.fontSize = 2000;
+
+    await sync.pull();
+
+    expect(settings.getSetting('fontSize')).toBe(150);
+    expect(settings.getSetting('highlightLinks')).toBe(true);
+    expect(sync.queue).toEqual([]);
+  });
+
+  test('keeps and pushes local keys that are newer than the remote ones', async () => {
+    const server = createServer();
+    server.state.spicySettings = {
+      values: { fontSize: 150, bigCursor: true },
+      timestamps: { fontSize: 2000, bigCursor: 2000 }
+    };
+
+    const { settings, sync } = client(server);
+    await connect(sync);
+    expect(settings.getSetting('fontSize')).toBe(150);
+
+    now = 3000;
+    settings.updateSetting('fontSize', 110);
+    await sync.flush();
+
+    expect(server.state.spicySettings.values.fontSize).toBe(110);
+    expect(server.state.spicySettings.timestamps.fontSize).toBe(3000);
+    expect(server.state.spicySettings.values.bigCursor).toBe(true);
+
+    // An older remote write does not win over the local value
+    server.state.spicySettings.values.fontSize = 175;
+    server.state.spicySettings.timestamps.fontSize = 2500;
+    await sync.pull();
+
+    expect(settings.getSetting('fontSize')).toBe(110);
+    expect(sync.queue).toEqual(['spicySettings']);
+  });
+
+  test('sends deleted profiles as null markers', async () => {
+    const server = createServer();
+    const { settings, sync } = client(server);
+    await connect(sync);
+
+    settings.saveProfile('mine');
+    await sync.flush();
+    expect(server.state.spicyProfiles.values.mine).toEqual(settings.getProfiles().mine);
+
+    now = 2000;
+    settings.deleteProfile('mine');
+    await sync.flush();
+
+    expect(server.state.spicyProfiles.values.mine).toBeNull();
+    expect(server.state.spicyProfiles.timestamps.mine).toBe(2000);
+  });
+
+  test('removes profiles deleted on another device', async () => {
+    const server = createServer();
+    const { settings, sync } = client(server);
+    await connect(sync);
+
+    settings.saveProfile('mine');
+    await sync.flush();
+
+    server.state.spicyProfiles.values.mine = null;
+    server.state.spicyProfiles.timestamps.mine = 2000;
+    await sync.pull();
+
+    expect(settings.getProfiles()).not.toHaveProperty('mine');
+    expect(settings.getProfiles()).toHaveProperty('highContrast');
+  });
+
+  test('does not stamp changes received from another tab again', async () => {
+    const server = createServer();
+    const first = client(server);
+    const second = client(server, first.storage);
+    await connect(first.sync);
+    await connect(second.sync);
+
+    now = 2000;
+    first.settings.updateSetting('fontSize', 130);
+    second.settings.applyExternal(first.settings.getAll());
+    first.settings.saveProfile('mine');
+    second.settings.replaceProfiles(first.settings.getProfiles());
+
+    now = 5000;
+    second.settings.updateSetting('grayscale', true);
+
+    expect(second.sync.meta.spicySettings.fontSize).toBe(2000);
+    expect(second.sync.meta.spicySettings.grayscale).toBe(5000);
+
+    second.settings.saveProfile('other');
+    expect(second.sync.meta.spicyProfiles.mine).toBe(2000);
+    expect(second.sync.meta.spicyProfiles.other).toBe(5000);
+  });
+
+  test('keeps changes queued when the request fails', async () => {
+    const server = createServer();
+    const { events, settings, sync } = client(server);
+    const errors = [];
+    events.on('sync:error', error => errors.push(error));
+    await connect(sync);
+
+    server.failing = true;
+    settings.updateSetting('fontSize', 140);
+
+    expect(await sync.flush()).toBe(false);
+    expect(sync.queue).toEqual(['spicySettings']);
+    expect(errors).toHaveLength(1);
+    expect(server.state.spicySettings.values.fontSize).toBe(100);
+
+    server.failing = false;
+    expect(await sync.flush()).toBe(true);
+    expect(sync.queue).toEqual([]);
+    expect(server.state.spicySettings.values.fontSize).toBe(140);
+  });
+});
@@ -0,0 +1,128 @@
+import Storage from '../../src/core/storage';
+import EventBus from '../../src/core/events';
+import Settings from '../../src/core/settings';
+import VisualFeatures from '../../src/features/visual';
+import { configureLogger } from '../../src/utils/logger';
+
+configureLogger({ level: 'silent' });
+
+function setup() {
+  const events = new EventBus();
+  const settings = new Settings(new Storage(true, 'memory'), events);
+  const visual = new VisualFeatures(settings, events);
+
+  settings.registerFeatures(visual.features);
+  settings.load();
+  events.on('settings:changed', (current, diff) => visual.apply(current, diff));
+
+  return { events, settings, visual };
+}
+
+describe('VisualFeatures color filters', () => {
+  afterEach(() => {
+    document.body.className = '';
+    document.body.innerHTML = '';
+  });
+
+  test('switching filters turns the previous one off in the same change', () => {
+    const { events, settings, visual } = setup();
+    const changes = [];
+    events.on('settings:changed', (current, diff) => changes.push(diff));
+
+    settings.updateSetting('protanopia', true);
+    settings.updateSetting('deuteranopia', true);
+
+    expect(settings.getSetting('protanopia')).toBe(false);
+    expect(settings.getSetting('deuteranopia')).toBe(true);
+    expect(visual.colorFilter.type).toBe('deuteranopia');
+    expect(changes[1].keys.sort()).toEqual(['deuteranopia', 'protanopia']);
+
+    // One undo step brings the first filter back
+    settings.undo();
+    expect(settings.getSetting('protanopia')).toBe(true);
+    expect(settings.getSetting('deuteranopia')).toBe(false);
+    expect(visual.colorFilter.type).toBe('protanopia');
+  });
+
+  test('turning a filter off keeps another one that is still on', () => {
+    const { settings, visual } = setup();
+
+    // Data saved before the filters were exclusive in settings
+    settings.settings.protanopia = true;
+    settings.settings.tritanopia = true;
+    visual.apply(settings.getAll(), null);
+
+    settings.updateSetting('tritanopia', false);
+
+    expect(visual.colorFilter.type).toBe('protanopia');
+  });
+
+  test('turning the only filter off removes it', () => {
+    const { settings, visual } = setup();
+
+    settings.updateSetting('achromatopsia', true);
+    settings.updateSetting('achromatopsia', false);
+
+    expect(visual.colorFilter.type).toBeNull();
+  });
+});
+
+describe('VisualFeatures contrast modes', () => {
+  afterEach(() => {
+    document.body.className = '';
+    document.documentElement.removeAttribute('style');
+  });
+
+  test('turning a contrast mode on turns custom colors off in settings', () => {
+    const { settings } = setup();
+
+    settings.updateSetting('customColors', true);
+    expect(document.body.classList.contains('spicy-custom-colors')).toBe(true);
+
+    settings.updateSetting('contrast', true);
+
+    expect(settings.getSetting('customColors')).toBe(false);
+    expect(document.body.classList.contains('spicy-contrast-high')).toBe(true);
+    expect(document.body.classList.contains('spicy-custom-colors')).toBe(false);
+    expect(document.documentElement.style.getPropertyValue('--spicy-custom-text')).toBe('');
+
+    // One undo step brings custom colors back without high contrast
+    settings.undo();
+    expect(settings.getSetting('contrast')).toBe(false);
+    expect(document.body.classList.contains('spicy-contrast-high')).toBe(false);
+    expect(document.body.classList.contains('spicy-custom-colors')).toBe(true);
+    expect(document.documentElement.style.getPropertyValue('--spicy-custom-text')).toBe('#1b1b1b');
+  });
+
+  test('color changes only apply while custom colors are on in settings', () => {
+    const { settings } = setup();
+
+    settings.updateSetting('textColor', '#222222');
+    expect(document.documentElement.style.getPropertyValue('--spicy-custom-text')).toBe('');
+
+    settings.updateSetting('customColors', true);
+    settings.updateSetting('textColor', '#333333');
+    expect(document.documentElement.style.getPropertyValue('--spicy-custom-text')).toBe('#333333');
+  });
+});
+
+describe('VisualFeatures color adjustments', () => {
+  afterEach(() => {
+    document.body.className = '';
+    document.body.innerHTML = '';
+  });
+
+  test('grayscale is the saturation step of the color filter', () => {
+    const { settings, visual } = setup();
+
+    settings.updateSetting('saturationLevel', 50);
+    settings.updateSetting('grayscale', true);
+
+    expect(document.body.classList.contains('spicy-grayscale')).toBe(false);
+    expect(document.body.classList.contains('spicy-color-filter')).toBe(true);
+    expect(visual.colorFilter.saturationMatrix.getAttribute('values')).toBe('0');
+
+    settings.updateSetting('grayscale', false);
+    expect(visual.colorFilter.saturationMatrix.getAttribute('values')).toBe('0.5');
+  });
+});
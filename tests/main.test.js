@@ -0,0 +1,70 @@
+import SpicyAccessibility from '../src/main';
+
+describe('SpicyAccessibility.destroy()', () => {
+  test('stops the sync start queued by init()', async () => {
+    const fetch = jest.fn(() => Promise.resolve({ ok: true, status: 204 }));
+
+    SpicyAccessibility.init({ storage: 'memory', crossTab: false, sync: { endpoint: '/sync', fetch }, debug: 'silent' });
+    SpicyAccessibility.destroy();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('a module instance registered again after init() uses the new settings and events', () => {
+    const module = {
+      id: 'plugin',
+      features: [{ id: 'pluginToggle', type: 'toggle' }],
+      apply: jest.fn()
+    };
+    const instance = Object.create(module);
+
+    SpicyAccessibility.init({ storage: 'memory', crossTab: false, debug: 'silent' });
+    SpicyAccessibility.registerFeature(instance);
+    const first = { settings: SpicyAccessibility.settings, events: SpicyAccessibility.events };
+    SpicyAccessibility.destroy();
+
+    SpicyAccessibility.init({ storage: 'memory', crossTab: false, debug: 'silent' });
+    SpicyAccessibility.registerFeature(instance);
+
+    expect(instance.settings).toBe(SpicyAccessibility.settings);
+    expect(instance.settings).not.toBe(first.settings);
+    expect(instance.events).toBe(SpicyAccessibility.events);
+    expect(instance.events).not.toBe(first.events);
+    SpicyAccessibility.destroy();
+  });
+});
+
+describe('Page attributes', () => {
+  test('destroy() leaves the attributes of <html> and <body> that the page set', async () => {
+    document.documentElement.setAttribute('style', '');
+    document.body.setAttribute('class', '');
+
+    SpicyAccessibility.init({ storage: 'memory', crossTab: false, debug: 'silent' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    SpicyAccessibility.settings.updateSetting('lineHeight', 1.5);
+    SpicyAccessibility.settings.updateSetting('customColors', true);
+    SpicyAccessibility.destroy();
+
+    expect(document.documentElement.getAttribute('style')).toBe('');
+    expect(document.body.getAttribute('class')).toBe('');
+  });
+});
+
+describe('Widget text', () => {
+  test('translations are set as text, not parsed as markup', async () => {
+    const markup = '<img src="x" class="injected">';
+    SpicyAccessibility.init({
+      storage: 'memory',
+      crossTab: false,
+      debug: 'silent',
+      translations: { en: { widget: { reset: markup, position: markup }, sections: { text: markup } } }
+    });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const panel = SpicyAccessibility.widget.panel;
+    expect(panel.querySelector('.injected')).toBeNull();
+    expect(panel.textContent).toContain(markup);
+    SpicyAccessibility.destroy();
+  });
+});
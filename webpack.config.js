@@ -34,11 +34,18 @@ module.exports = (env, argv) => {
         },
         {
           test: /\.css$/,
+          resourceQuery: { not: [/raw/] },
           use: [
             isProduction ? MiniCssExtractPlugin.loader : 'style-loader',
             'css-loader'
           ]
         },
+        {
+          // Stylesheets the toolkit adds itself (e.g. widget.css), imported as text
+          test: /\.css$/,
+          resourceQuery: /raw/,
+          type: 'asset/source'
+        },
         {
           test: /\.(png|svg|jpg|jpeg|gif)$/i,
           type: 'asset/resource',